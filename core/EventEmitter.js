@@ -0,0 +1,33 @@
+// SphereTris - core/EventEmitter.js
+// Tiny event emitter used by the game core (no DOM EventTarget so it also works in Node).
+
+export class EventEmitter {
+    constructor() {
+        this._listeners = new Map(); // Maps event name -> array of handlers
+    }
+
+    // Returns an unsubscribe function for convenience
+    on(eventName, handler) {
+        if (!this._listeners.has(eventName)) {
+            this._listeners.set(eventName, []);
+        }
+        this._listeners.get(eventName).push(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    off(eventName, handler) {
+        const handlers = this._listeners.get(eventName);
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index > -1) handlers.splice(index, 1);
+    }
+
+    emit(eventName, payload) {
+        const handlers = this._listeners.get(eventName);
+        if (!handlers) return;
+        // Copy so handlers can unsubscribe while we iterate
+        for (const handler of [...handlers]) {
+            handler(payload);
+        }
+    }
+}
@@ -0,0 +1,52 @@
+// SphereTris - core/GameStateMachine.js
+// Which screen the app is on and whether the simulation should run. The rules in
+// SpheretrisGame don't care about menus; front-ends use this to decide when to tick.
+
+import { EventEmitter } from './EventEmitter.js';
+
+export const GAME_STATES = {
+    LOADING: 'loading', // Assets still loading
+    TITLE: 'title', // Main menu
+    PLAYING: 'playing', // The only state in which the game ticks and takes input
+    PAUSED: 'paused',
+    CLEARING: 'clearing', // Holding the game while a layer-clear animation plays
+    GAME_OVER: 'gameOver',
+    EDITING: 'editing' // Level editor - the board is edited, not played
+};
+
+// Allowed moves from each state
+const TRANSITIONS = {
+    loading: ['title'],
+    title: ['playing', 'editing'],
+    playing: ['paused', 'clearing', 'gameOver', 'title'],
+    paused: ['playing', 'gameOver', 'title', 'editing'], // gameOver when the run is ended from the pause menu
+    clearing: ['playing', 'gameOver', 'title'],
+    gameOver: ['playing', 'title', 'editing'],
+    editing: ['playing', 'title'] // A level is played to test it, then edited again
+};
+
+export class GameStateMachine extends EventEmitter {
+    constructor(initialState = GAME_STATES.LOADING) {
+        super();
+        if (!TRANSITIONS[initialState]) throw new Error(`Unknown game state "${initialState}"`);
+        this.state = initialState;
+    }
+
+    is(state) {
+        return this.state === state;
+    }
+
+    can(state) {
+        return TRANSITIONS[this.state].includes(state);
+    }
+
+    // Move to another state, emitting 'change' { from, to }. Throws on a move the table doesn't allow.
+    transition(state) {
+        if (!this.can(state)) {
+            throw new Error(`Cannot go from "${this.state}" to "${state}"`);
+        }
+        const from = this.state;
+        this.state = state;
+        this.emit('change', { from, to: state });
+    }
+}
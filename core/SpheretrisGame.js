@@ -0,0 +1,910 @@
+// SphereTris - core/SpheretrisGame.js
+// Renderer-free game rules. Owns the board, the falling piece, score and level,
+// and reports everything that happens through events so any front-end (the
+// Three.js page, a bot, a Node script) can drive the same game.
+
+import { EventEmitter } from './EventEmitter.js';
+import { createRandom, randomSeed } from './random.js';
+import { createPieceGenerator, createSequenceGenerator } from './pieceGenerator.js';
+import { PIECE_TYPES, PIECE_SETS, pieceSides, pieceWeights, pieceCells } from './pieces.js';
+import { levelForScore } from './difficulty.js';
+import { ScoreKeeper } from './scoring.js';
+import { PUZZLE_TILE_COLOR, parseTileColor } from './puzzles.js';
+import { createSoccerBallTopology, faceAlongDirection } from './topology.js';
+import { CLEAR_RULES, findClearRings, topFace } from './rings.js';
+import { findColorGroups, touchingTiles } from './colorGroups.js';
+import {
+    vec3Add, vec3Scale, vec3Dot, vec3Cross, vec3Length,
+    quatIdentity, quatFromAxisAngle, quatMultiply, quatNormalize, quatInvert, quatSlerp, quatRotateVec3
+} from './math.js';
+
+export const SHAPES = ['hex', 'pent'];
+
+// Fixed simulation step (seconds). Falling and timers advance in whole steps so a game
+// plays out the same regardless of frame rate - which is what makes replays exact.
+export const STEP = 1 / 60;
+
+export const TILE_COLORS = [
+    0x00bcd4, 0xff5722, 0x4caf50, 0xffeb3b, 0x9c27b0, 0xf44336, 0x2196f3
+];
+
+export const GARBAGE_TILE_COLOR = 0x616161; // Tiles pushed in by rising garbage
+
+// Mixed into the seed for the garbage gaps' own PRNG, so turning pressure on doesn't change
+// which pieces a seed deals
+const GARBAGE_SEED_SALT = 0x9e3779b9;
+// Same for the colours dealt under the 'colors' clear rule
+const COLOR_SEED_SALT = 0x85ebca6b;
+
+export const DEFAULT_CONFIG = {
+    spawnHeight: 7.0,
+    baseFallSpeed: 0.3, // Units per second (0.005 per frame at 60 Hz)
+    fallSpeedPerLevel: 0.06, // Added per level (0.001 per frame at 60 Hz)
+    maxFallSpeed: null, // Cap on the level speed-up (null for none)
+    tileDepth: 0.12,
+    surfaceOffset: 0.005, // Gap between a landed tile and the face under it
+    penalty: 15, // Score lost when a shape lands on the wrong face/tile
+    rejectDelay: 0.6, // Seconds before the next spawn after a mismatch
+    clearRule: 'shells', // 'shells' clears whole layers, 'rings' any closed ring of faces (see core/rings.js),
+    // 'colors' groups of touching tiles of one colour (see core/colorGroups.js)
+    colorGroupSize: 4, // Tiles a colour group needs to pop under the 'colors' rule
+    colorCount: 4, // Colours dealt under the 'colors' rule, the first ones in TILE_COLORS
+    layerCompleteCount: null, // Tiles a shell needs to clear (null: one on every face)
+    tileScore: 25, // Points per cleared tile
+    multiLayerBonus: 100, // Points per layer when several clear at once
+    comboBonus: 50, // Points per clearing placement in a row, after the first (see core/scoring.js)
+    chainBonus: 100, // Points for the second step of a colour chain, doubling with every step after it
+    backToBackBonus: 0.5, // Share of a multi-layer clear's points added when the last clear was multi-layer too
+    perfectSphereBonus: 2000, // Points for a clear that leaves the ball empty
+    levelMultiplier: 0.1, // Clear points grow by this share per level above 1
+    pointsPerLevel: 1000,
+    levelThresholds: null, // Scores where levels 2, 3... start before pointsPerLevel takes over, see core/difficulty.js
+    topOutShell: 8, // Shell from which a tile near the top of the ball tops out
+    gameOverWorldYThreshold: 2.5, // World Y position indicating top-out
+    previewCount: 3, // Upcoming pieces kept in the queue (1-6)
+    pieceSet: 'classic', // Which piece types are dealt, see PIECE_SETS in core/pieces.js
+    snapDuration: 0.15, // Seconds snapToFace() takes to turn the ball
+    softDropMultiplier: 8, // Fall speed while soft dropping, times the normal speed
+    softDropPoints: 5, // Points per unit fallen while soft dropping, paid when the piece lands
+    lockDelay: 0.5, // Seconds a piece rests on the surface (and can still be re-aimed) before it lands
+    pieceWeights: null, // Overrides for the 'weighted' randomizer, e.g. { hex: 1, pent: 1 }
+    ghost: true, // Whether front-ends may show where the piece will land
+    difficulty: 'normal', // Preset the rest came from (see core/difficulty.js), kept for the leaderboard
+    mode: 'classic', // Game mode the rules below came from (see core/modes.js)
+    goalLayers: null, // Layers to clear to win (null for none)
+    timeLimit: null, // Seconds until the game ends (null for none)
+    topOut: true, // false: a piece that would top out is turned away instead of ending the game
+    puzzle: null, // Preset board, piece list and goal (see core/puzzles.js)
+    garbageEvery: null, // Pieces placed between rising garbage layers (null for none)
+    garbageInterval: null, // Seconds between rising garbage layers (null for none)
+    garbageGaps: 2, // Open faces in each garbage layer
+    pressure: 'off' // Preset the garbage settings came from (see core/modes.js), kept for the leaderboard
+};
+
+export class SpheretrisGame extends EventEmitter {
+    // topology: face graph from core/topology.js (defaults to the soccer ball model's).
+    // seed: unsigned 32-bit integer. randomizer: 'random', 'bag' or 'weighted' (see core/pieceGenerator.js).
+    constructor({ topology = createSoccerBallTopology(), seed = randomSeed(), randomizer = 'random', config = {} } = {}) {
+        super();
+        if (!topology || !Array.isArray(topology.faces) || topology.faces.length === 0) {
+            throw new Error('SpheretrisGame needs a topology with at least one face');
+        }
+        this.topology = topology;
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        if (!PIECE_SETS[this.config.pieceSet]) {
+            throw new Error(`Unknown piece set "${this.config.pieceSet}" (expected one of ${Object.keys(PIECE_SETS).join(', ')})`);
+        }
+        if (!CLEAR_RULES[this.config.clearRule]) {
+            throw new Error(`Unknown clear rule "${this.config.clearRule}" (expected one of ${Object.keys(CLEAR_RULES).join(', ')})`);
+        }
+        this._rings = null; // { topFaceId, rings } for the orientation the rings were last found for
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+        this.randomizer = randomizer;
+        // A puzzle deals its own fixed list; the PRNG is still created so nothing else changes
+        this.nextShape = this.config.puzzle ? createSequenceGenerator(this.config.puzzle.pieces) : createPieceGenerator({
+            random: this.random,
+            shapes: PIECE_SETS[this.config.pieceSet],
+            randomizer,
+            weights: { ...pieceWeights(topology), ...this.config.pieceWeights }
+        });
+
+        this.score = 0;
+        this.stats = {
+            piecesPlaced: 0, layersCleared: 0, mismatches: 0, penaltyPoints: 0, maxCombo: 0, perfectSpheres: 0, garbageLayers: 0,
+            maxChain: 0
+        };
+        this.scoring = new ScoreKeeper(this.config); // Combo, back-to-back and the score breakdown
+        this.level = 1;
+        this.isGameOver = false;
+        this.result = null; // { won, reason } once the game has ended, reason being 'topOut',
+        // 'goal', 'timeUp', 'outOfPieces' or 'ended'
+        this.ballQuaternion = quatIdentity();
+        // Ball orientation as of the last two steps, for renderers to interpolate between
+        this.previousBallQuaternion = quatIdentity();
+        this.stepBallQuaternion = quatIdentity();
+        this.snap = null; // { faceId, from, to, step, steps } while snapToFace() turns the ball
+        // Rising garbage: pieces placed and steps run since the last garbage layer, and whether
+        // a due one is held back because it would top out a game without top-out
+        this.garbage = { pieces: 0, steps: 0, held: false };
+        this.garbageRandom = createRandom((this.seed ^ GARBAGE_SEED_SALT) >>> 0);
+
+        // Layers are shells: a tile's shell is its height in its face's stack (stackIndex + 1),
+        // and shell k is complete once every face's stack is at least k tall
+        this.activeTiles = [];
+        this.occupiedFaces = new Map(); // Maps face id -> stack of tiles (innermost first)
+        this._nextTileId = 1;
+        if (this.config.puzzle) this._placePuzzleTiles(this.config.puzzle);
+
+        // { type, shape, color, twist, distance, previousDistance, approaching, resting,
+        // lockTimer, softDropDistance } - shape is the anchor cell's, twist counts steps of one
+        // anchor side around the drop line, resting is true while the lock delay runs
+        this.current = null;
+        this.softDropping = false;
+        this.spawnTimer = 0; // Counts down to the next spawn after a rejected piece
+        this.colorIndex = 0;
+        // The colour rule deals colours at random from their own PRNG, like the garbage gaps
+        this.colorRandom = createRandom((this.seed ^ COLOR_SEED_SALT) >>> 0);
+        this.manualShape = null; // Debug override for the generated shape
+        // Upcoming pieces, next first. Its length only changes how far ahead the
+        // sequence is dealt, not the sequence itself.
+        this.queueLength = Math.min(6, Math.max(1, Math.round(this.config.previewCount)));
+        this.queue = [];
+        this._fillQueue();
+        this.held = null; // { type, shape, color } parked in the hold slot
+        this.canHold = true; // One hold per piece - reset when a piece comes from the queue
+
+        this.stepCount = 0;
+        this._accumulator = 0;
+        this.inputLog = []; // [step, type, ...args] per command, see core/replay.js
+    }
+
+    // Null once a puzzle has dealt its last piece
+    get next() {
+        return this.queue[0] || null;
+    }
+
+    // Game time so far (seconds) - what Sprint is timed by
+    get elapsedTime() {
+        return this.stepCount * STEP;
+    }
+
+    // Seconds left when there is a time limit, otherwise null
+    get timeLeft() {
+        return this.config.timeLimit === null ? null : Math.max(0, this.config.timeLimit - this.elapsedTime);
+    }
+
+    // Pieces a puzzle still has to deal after the current one (queued, held and not yet
+    // dealt), otherwise null
+    get piecesLeft() {
+        if (!this.config.puzzle) return null;
+        return this.queue.length + (this.held ? 1 : 0) + this.nextShape.remaining();
+    }
+
+    // How close the next garbage layer is, from 0 (just arrived) to 1 (due), or null without
+    // pressure. With both garbageEvery and garbageInterval set, whichever comes first.
+    get garbageProgress() {
+        const { garbageEvery, garbageInterval } = this.config;
+        const shares = [];
+        if (garbageEvery !== null) shares.push(this.garbage.pieces / garbageEvery);
+        if (garbageInterval !== null) shares.push(this.garbage.steps / Math.round(garbageInterval / STEP));
+        return shares.length === 0 ? null : Math.min(1, Math.max(...shares));
+    }
+
+    get fallSpeed() {
+        const speed = this.config.baseFallSpeed + (this.level - 1) * this.config.fallSpeedPerLevel;
+        return this.config.maxFallSpeed === null ? speed : Math.min(speed, this.config.maxFallSpeed);
+    }
+
+    // --- Commands ---
+    // Each command is logged against the step it was issued before (see core/replay.js)
+
+    spawn() {
+        if (this.isGameOver) return null;
+        this._record('n');
+        return this._spawn();
+    }
+
+    // Rotate the ball around a world-space axis (the falling piece stays put).
+    // Axis and angle are rounded so the input log stays compact and replays bit-exact.
+    rotate(axis, angle) {
+        if (this.isGameOver) return;
+        const roundedAxis = axis.map(value => Math.round(value * 1e4) / 1e4);
+        const roundedAngle = Math.round(angle * 1e6) / 1e6;
+        this._record('r', ...roundedAxis, roundedAngle);
+        this.snap = null; // Turning by hand takes over from a snap in progress
+
+        const rotation = quatFromAxisAngle(roundedAxis, roundedAngle);
+        this.ballQuaternion = quatNormalize(quatMultiply(rotation, this.ballQuaternion));
+    }
+
+    // Hard drop: land the falling piece on whatever is under it right now
+    drop() {
+        if (this.isGameOver || !this.current) return;
+        this._record('d');
+        // A drop mid-snap lands where the snap was headed
+        if (this.snap) {
+            this.ballQuaternion = this.snap.to;
+            this.snap = null;
+        }
+        const target = this.getLandingTarget();
+        if (target) this._land(target);
+    }
+
+    // Speed the fall up while on (a held key). Distance fallen this way scores on landing.
+    setSoftDrop(on) {
+        if (this.isGameOver || on === this.softDropping) return;
+        this._record('v', on ? 1 : 0);
+        this.softDropping = on;
+    }
+
+    // Park the falling piece in the hold slot and bring in the held one (or the next piece
+    // when the slot is empty). Allowed once per piece; returns whether it happened.
+    hold() {
+        if (this.isGameOver || !this.current || !this.canHold) return false;
+        if (!this.held && this.queue.length === 0) return false; // Nothing to swap in
+        this._record('h');
+        const previouslyHeld = this.held;
+        this.held = { type: this.current.type, shape: this.current.shape, color: this.current.color };
+        this._spawn(previouslyHeld);
+        this.canHold = false;
+        this.emit('hold', { held: { ...this.held } });
+        return true;
+    }
+
+    // Turn the falling piece one anchor side (60 degrees for a hexagon, 72 for a pentagon)
+    // around the drop line; direction +1 is counter-clockwise seen from above. Tiles land
+    // turned the same way. Returns whether it turned.
+    twist(direction) {
+        if (this.isGameOver || !this.current) return false;
+        const step = Math.sign(direction);
+        if (step === 0) return false;
+        this._record('t', step);
+        const sides = pieceSides(this.current.type);
+        this.current.twist = (this.current.twist + step + sides) % sides;
+        return true;
+    }
+
+    // Turn the ball over the next snapDuration seconds so faceId sits under the spawn point,
+    // taking the shortest way round. Returns whether a snap started.
+    snapToFace(faceId) {
+        const face = this.topology.faces[faceId];
+        if (this.isGameOver || !face) return false;
+        this._record('f', faceId);
+
+        const normal = quatRotateVec3(this.ballQuaternion, face.normal); // World space
+        const axis = vec3Cross(normal, [0, 1, 0]);
+        const angle = Math.acos(Math.min(1, Math.max(-1, normal[1])));
+        // Straight down has no shortest way - any horizontal axis will do
+        const rotation = vec3Length(axis) > 1e-9 ? quatFromAxisAngle(axis, angle) : quatFromAxisAngle([1, 0, 0], angle);
+        this.snap = {
+            faceId,
+            from: [...this.ballQuaternion],
+            to: quatNormalize(quatMultiply(rotation, this.ballQuaternion)),
+            step: 0,
+            steps: Math.max(1, Math.round(this.config.snapDuration / STEP))
+        };
+        return true;
+    }
+
+    // Give up the run (the only way a Zen game ends). Ends it like any other finish, not won.
+    endGame() {
+        if (this.isGameOver) return;
+        this._record('e');
+        this._finish(false, 'ended');
+    }
+
+    // Debug: force every generated piece to a single tile of a shape (null for random).
+    // Pieces already queued are switched too, so the very next one obeys.
+    forceNextShape(shape) {
+        this._record('s', shape);
+        this.manualShape = shape;
+        if (shape) this.queue.forEach(piece => { piece.type = shape; piece.shape = shape; });
+    }
+
+    // Advance the simulation by dt seconds of real time, in whole fixed steps.
+    // beforeStep (optional) runs ahead of each step - the place to apply held keys so
+    // they act per step rather than per frame. When it returns false the game stops there
+    // (say a clear is playing out) and the rest of dt is dropped, like time spent paused.
+    tick(dt, beforeStep) {
+        this._accumulator += dt;
+        while (this._accumulator >= STEP) {
+            if (beforeStep && beforeStep(STEP) === false) {
+                this._accumulator = 0;
+                return;
+            }
+            this._accumulator -= STEP;
+            this.step();
+        }
+    }
+
+    // How far (0-1) real time has run past the last step; renderers blend the
+    // previous and current step by this much
+    get interpolationAlpha() {
+        return this._accumulator / STEP;
+    }
+
+    // Advance the simulation by exactly one fixed step
+    step() {
+        if (this.isGameOver) return;
+        this.stepCount++;
+        this._advance();
+        if (this.config.garbageInterval !== null && !this.isGameOver &&
+            ++this.garbage.steps >= Math.round(this.config.garbageInterval / STEP)) {
+            this._insertGarbage();
+        }
+        if (this.config.timeLimit !== null && !this.isGameOver && this.stepCount >= Math.round(this.config.timeLimit / STEP)) {
+            this._finish(true, 'timeUp');
+        }
+        this.previousBallQuaternion = this.stepBallQuaternion;
+        this.stepBallQuaternion = [...this.ballQuaternion];
+    }
+
+    // --- Queries ---
+
+    // Face under the spawn point (world +Y) and where the falling piece would sit.
+    // The top-level fields describe the anchor cell; cells lists every cell of the piece
+    // ({ faceId, stackIndex, shape, rotation, surfaceShape, matches }, anchor first, faceId
+    // null for an arm with nowhere to go). rotation is the face corner the tile's first
+    // corner would sit on. matches is true only when every cell fits.
+    // surfaceDistance is measured from the centre along the drop line, to the highest
+    // surface under any cell - that is where the piece stops.
+    getLandingTarget() {
+        const up = quatRotateVec3(quatInvert(this.ballQuaternion), [0, 1, 0]);
+        const hit = faceAlongDirection(this.topology, up);
+        if (!hit) return null;
+
+        const type = this.current ? this.current.type : 'hex';
+        const twist = this.current ? this.current.twist : 0;
+        let surfaceHeight = 0;
+        const cells = pieceCells(this.topology, type, twist, hit.face, this.ballQuaternion).map(({ face, shape, rotation }) => {
+            if (!face) return { faceId: null, stackIndex: 0, shape, rotation, surfaceShape: null, matches: false };
+            const stack = this.occupiedFaces.get(face.id) || [];
+            const topTile = stack[stack.length - 1];
+            const surfaceShape = topTile ? topTile.shape : face.shape;
+            const planeDistance = vec3Dot(face.center, face.normal);
+            surfaceHeight = Math.max(surfaceHeight, stack.length === 0
+                ? planeDistance
+                : planeDistance + this.config.surfaceOffset + stack.length * this.config.tileDepth);
+            return { faceId: face.id, stackIndex: stack.length, shape, rotation, surfaceShape, matches: surfaceShape === shape };
+        });
+
+        const anchor = cells[0];
+        return {
+            faceId: anchor.faceId,
+            stackIndex: anchor.stackIndex,
+            surfaceShape: anchor.surfaceShape,
+            surfaceDistance: surfaceHeight / hit.cos,
+            matches: this.current ? cells.every(cell => cell.matches) : true,
+            cells
+        };
+    }
+
+    // What clears under the rings rule (see core/rings.js): the great circles, and the
+    // latitude belts around the up axis of the ball as it is turned now. Empty under the
+    // other rules.
+    get rings() {
+        if (this.config.clearRule !== 'rings') return [];
+        const up = quatRotateVec3(quatInvert(this.ballQuaternion), [0, 1, 0]);
+        const topFaceId = topFace(this.topology, up).id;
+        if (!this._rings || this._rings.topFaceId !== topFaceId) {
+            this._rings = { topFaceId, rings: findClearRings(this.topology, up) };
+        }
+        return this._rings.rings;
+    }
+
+    // Rings (see core/rings.js) that landing on target would complete - for front-ends to
+    // highlight while the player aims. Empty unless the rings rule is on.
+    ringsCompletedBy(target) {
+        if (this.rings.length === 0 || !target || !target.matches) return [];
+        const added = new Map();
+        for (const cell of target.cells) added.set(cell.faceId, (added.get(cell.faceId) || 0) + 1);
+        return this.rings.filter(ring => {
+            const before = Math.min(...ring.faces.map(faceId => this._stackHeight(faceId)));
+            const after = Math.min(...ring.faces.map(faceId => this._stackHeight(faceId) + (added.get(faceId) || 0)));
+            return after > before;
+        });
+    }
+
+    // Ball-local position of the centre of a tile resting at stackIndex on a face
+    tileLocalPosition(faceId, stackIndex) {
+        const face = this.topology.faces[faceId];
+        const height = this.config.tileDepth / 2 + this.config.surfaceOffset + stackIndex * this.config.tileDepth;
+        return vec3Add(face.center, vec3Scale(face.normal, height));
+    }
+
+    // Plain snapshot of everything a front-end or bot needs
+    getState() {
+        return {
+            seed: this.seed,
+            randomizer: this.randomizer,
+            stepCount: this.stepCount,
+            score: this.score,
+            stats: { ...this.stats },
+            scoring: this.scoring.getState(),
+            level: this.level,
+            isGameOver: this.isGameOver,
+            ballQuaternion: [...this.ballQuaternion],
+            snapFaceId: this.snap ? this.snap.faceId : null,
+            current: this.current ? { ...this.current } : null,
+            next: this.next ? { ...this.next } : null,
+            queue: this.queue.map(piece => ({ ...piece })),
+            held: this.held ? { ...this.held } : null,
+            canHold: this.canHold,
+            softDropping: this.softDropping,
+            garbage: { ...this.garbage },
+            tiles: this.activeTiles.map(tile => ({ ...tile })),
+            layers: Array.from({ length: this._outermostShell() }, (_, index) => (
+                { shell: index + 1, count: this._shellTiles(index + 1).length }
+            ))
+        };
+    }
+
+    // --- Internals ---
+
+    _advance() {
+        if (this.snap) {
+            this.snap.step++;
+            const t = this.snap.step / this.snap.steps;
+            this.ballQuaternion = t >= 1 ? this.snap.to : quatNormalize(quatSlerp(this.snap.from, this.snap.to, t));
+            if (t >= 1) this.snap = null;
+        }
+
+        if (!this.current) {
+            if (this.spawnTimer > 0) {
+                this.spawnTimer -= STEP;
+                if (this.spawnTimer <= 0) this._spawn();
+            }
+            return;
+        }
+
+        const piece = this.current;
+        piece.previousDistance = piece.distance;
+        const fall = this.fallSpeed * STEP * (this.softDropping ? this.config.softDropMultiplier : 1);
+
+        const target = this.getLandingTarget();
+        if (!target) {
+            piece.distance -= fall;
+            return;
+        }
+
+        const approachThreshold = this.config.tileDepth / 2 + 0.2;
+        const collisionThreshold = this.config.tileDepth / 2 + 0.01;
+        // A resting piece sits exactly on the surface; turning the ball can put it over a
+        // taller stack (it rides up) or a lower one (it falls again)
+        const restingDistance = target.surfaceDistance + collisionThreshold;
+        piece.distance = Math.max(piece.distance - fall, restingDistance);
+        if (this.softDropping && piece.distance < piece.previousDistance) {
+            piece.softDropDistance += piece.previousDistance - piece.distance;
+        }
+
+        const distanceToSurface = piece.distance - target.surfaceDistance;
+        piece.approaching = distanceToSurface <= approachThreshold && distanceToSurface > collisionThreshold;
+        if (distanceToSurface > collisionThreshold + 1e-9) {
+            piece.resting = false;
+            piece.lockTimer = 0;
+            return;
+        }
+
+        // Touching: count the lock delay down before the piece commits
+        piece.resting = true;
+        piece.lockTimer += STEP;
+        if (piece.lockTimer >= this.config.lockDelay - 1e-9) {
+            this._land(target);
+        }
+    }
+
+    _record(type, ...args) {
+        this.inputLog.push([this.stepCount, type, ...args]);
+    }
+
+    // Start a piece falling - the given one (swapped out of hold) or the next from the queue
+    _spawn(piece = null) {
+        this.spawnTimer = 0;
+        this.canHold = true;
+        if (!piece && this.queue.length === 0) {
+            // A puzzle out of pieces still gets the held one, then it's over
+            if (!this.held) {
+                this._finish(false, 'outOfPieces');
+                return null;
+            }
+            piece = this.held;
+            this.held = null;
+        }
+        const source = piece || this.queue[0];
+        this.current = {
+            type: source.type,
+            shape: source.shape,
+            color: source.color,
+            twist: 0,
+            distance: this.config.spawnHeight,
+            previousDistance: this.config.spawnHeight,
+            approaching: false,
+            resting: false,
+            lockTimer: 0,
+            softDropDistance: 0
+        };
+        if (!piece) {
+            this.queue.shift();
+            this._fillQueue();
+        }
+        this.emit('spawn', {
+            piece: { ...this.current },
+            next: this.next ? { ...this.next } : null,
+            queue: this.queue.map(queued => ({ ...queued }))
+        });
+        return this.current;
+    }
+
+    _fillQueue() {
+        while (this.queue.length < this.queueLength) {
+            const piece = this._generatePiece();
+            if (!piece) return; // A puzzle's list has run out
+            this.queue.push(piece);
+        }
+    }
+
+    _generatePiece() {
+        // Always draw so a debug override doesn't shift the rest of the seeded sequence
+        const generatedType = this.nextShape();
+        if (generatedType === null) return null;
+        const type = this.manualShape || generatedType;
+        if (this.config.clearRule === 'colors') {
+            const colorCount = Math.min(TILE_COLORS.length, Math.max(1, this.config.colorCount));
+            return { type, shape: PIECE_TYPES[type].anchor, color: TILE_COLORS[Math.floor(this.colorRandom() * colorCount)] };
+        }
+        const color = TILE_COLORS[this.colorIndex];
+        this.colorIndex = (this.colorIndex + 1) % TILE_COLORS.length;
+        return { type, shape: PIECE_TYPES[type].anchor, color };
+    }
+
+    _land(target) {
+        const piece = this.current;
+        this.current = null;
+
+        // Every cell's shape must match what is under it (hex on hex, pent on pent) -
+        // otherwise penalize and drop the whole piece
+        const mismatch = target.cells.find(cell => !cell.matches);
+        if (mismatch) {
+            const penalty = Math.min(this.score, this.config.penalty);
+            this.score -= penalty;
+            this.stats.mismatches++;
+            this.stats.penaltyPoints += penalty;
+            this.scoring.record('penalty', -penalty);
+            this.scoring.breakCombo();
+            this.spawnTimer = this.config.rejectDelay;
+            this.emit('reject', {
+                piece,
+                faceId: target.faceId,
+                penalty,
+                reason: mismatch.faceId === null ? 'noFace' : 'mismatch', // noFace: a cell hangs off the ball
+                cell: { ...mismatch }
+            });
+            this.emit('score', { score: this.score, level: this.level });
+            return;
+        }
+
+        // Check for Game Over condition - any cell reaching the top counts
+        const toppedOut = target.cells.some(cell => this._topsOut(cell.faceId, cell.stackIndex));
+        if (toppedOut && !this.config.topOut) {
+            // Zen: the piece is turned away like a blocked one, but costs nothing
+            this.scoring.breakCombo();
+            this.spawnTimer = this.config.rejectDelay;
+            this.emit('reject', { piece, faceId: target.faceId, penalty: 0, reason: 'topOut', cell: null });
+            return;
+        }
+
+        // One tile per cell, each on top of its own face's stack
+        const tiles = target.cells.map(cell => this._placeTile({
+            shape: cell.shape,
+            color: piece.color,
+            faceId: cell.faceId,
+            rotation: cell.rotation
+        }));
+        this.stats.piecesPlaced++;
+        this.emit('land', { tile: { ...tiles[0] }, tiles: tiles.map(tile => ({ ...tile })) });
+
+        const softDropPoints = Math.floor(piece.softDropDistance * this.config.softDropPoints);
+        if (softDropPoints > 0) {
+            this._addPoints(softDropPoints);
+            this.scoring.record('softDrop', softDropPoints);
+            this.emit('score', { score: this.score, level: this.level });
+        }
+
+        if (toppedOut) {
+            this._finish(false, 'topOut');
+            return;
+        }
+
+        this._checkForCompletedLayers();
+        if (this._goalReached()) {
+            this._finish(true, 'goal');
+            return;
+        }
+        if (this.config.garbageEvery !== null && ++this.garbage.pieces >= this.config.garbageEvery) {
+            this._insertGarbage();
+            if (this.isGameOver) return;
+        }
+        this._spawn();
+    }
+
+    // Put a tile on top of its face's stack; returns the stored tile
+    _placeTile({ shape, color, faceId, rotation }) {
+        if (!this.occupiedFaces.has(faceId)) this.occupiedFaces.set(faceId, []);
+        const stack = this.occupiedFaces.get(faceId);
+        const tile = {
+            id: this._nextTileId++,
+            shape,
+            color,
+            faceId,
+            stackIndex: stack.length,
+            rotation
+        };
+        stack.push(tile);
+        this.activeTiles.push(tile);
+        return tile;
+    }
+
+    _placePuzzleTiles(puzzle) {
+        for (const tile of puzzle.tiles) {
+            this._placeTile({
+                shape: tile.shape,
+                color: tile.color === undefined ? PUZZLE_TILE_COLOR : parseTileColor(tile.color),
+                faceId: tile.faceId,
+                rotation: 0
+            });
+        }
+    }
+
+    // Rising garbage: a new innermost layer, open on garbageGaps faces, pushes every other
+    // stack out by one tile - the fall after a clear in reverse. Filling the gaps clears it
+    // like any other layer.
+    _insertGarbage() {
+        const rngState = this.garbageRandom.getState();
+        const gaps = this._garbageGaps();
+        // Judged by shell alone, not by where the ball is turned - the push reaches every side.
+        // Stacks over a gap aren't pushed, so they can't top out.
+        const toppedOut = Array.from(this.occupiedFaces)
+            .some(([faceId, stack]) => !gaps.includes(faceId) && stack.length + 1 >= this.config.topOutShell);
+        if (toppedOut && !this.config.topOut) {
+            // Zen: the layer stays due (the counters keep running) and rises once the stacks
+            // are low enough again. Its gaps are drawn again then, so waiting uses none up.
+            this.garbageRandom.setState(rngState);
+            if (!this.garbage.held) this.emit('garbageHeld', { pieces: this.garbage.pieces, steps: this.garbage.steps });
+            this.garbage.held = true;
+            return;
+        }
+        this.garbage = { pieces: 0, steps: 0, held: false };
+
+        const moved = [];
+        const tiles = [];
+        for (const face of this.topology.faces) {
+            if (gaps.includes(face.id)) continue;
+            const stack = this.occupiedFaces.get(face.id) || [];
+            stack.forEach((tile, index) => {
+                tile.stackIndex = index + 1;
+                moved.push({ ...tile });
+            });
+            const tile = {
+                id: this._nextTileId++,
+                shape: face.shape,
+                color: GARBAGE_TILE_COLOR,
+                faceId: face.id,
+                stackIndex: 0,
+                rotation: 0
+            };
+            stack.unshift(tile);
+            this.occupiedFaces.set(face.id, stack);
+            this.activeTiles.push(tile);
+            tiles.push(tile);
+        }
+        this.stats.garbageLayers++;
+
+        this.emit('garbage', { tiles: tiles.map(tile => ({ ...tile })), gaps: [...gaps] });
+        if (moved.length > 0) this.emit('tilesMoved', { tiles: moved });
+        if (toppedOut) this._finish(false, 'topOut');
+    }
+
+    // Faces the next garbage layer leaves open. Empty faces come first, as those are holes
+    // to fill; once they run out the gaps go on occupied faces, whose stacks then stay put.
+    // Under the rings rule every ring also keeps an empty face open, or the push alone
+    // would complete it.
+    _garbageGaps() {
+        const pick = candidates => candidates.splice(Math.floor(this.garbageRandom() * candidates.length), 1)[0];
+        const isEmpty = faceId => !this.occupiedFaces.has(faceId);
+        const empty = this.topology.faces.map(face => face.id).filter(isEmpty);
+        const occupied = this.topology.faces.map(face => face.id).filter(faceId => !isEmpty(faceId));
+        const count = Math.max(1, this.config.garbageGaps);
+        const gaps = [];
+        while (gaps.length < count && empty.length > 0) gaps.push(pick(empty));
+        while (gaps.length < count && occupied.length > 0) gaps.push(pick(occupied));
+        if (this.config.clearRule === 'rings') {
+            for (const ring of this.rings) {
+                if (ring.faces.some(faceId => gaps.includes(faceId) && isEmpty(faceId))) continue;
+                const open = ring.faces.filter(faceId => empty.includes(faceId));
+                if (open.length > 0) gaps.push(pick(open));
+            }
+        }
+        return gaps;
+    }
+
+    // Would a tile at stackIndex on faceId reach the top of the ball as it is turned now?
+    _topsOut(faceId, stackIndex) {
+        if (stackIndex + 1 < this.config.topOutShell) return false;
+        const worldPosition = quatRotateVec3(this.ballQuaternion, this.tileLocalPosition(faceId, stackIndex));
+        return worldPosition[1] >= this.config.gameOverWorldYThreshold;
+    }
+
+    // Sprint's layer target, or the puzzle's goal
+    _goalReached() {
+        const { goalLayers, puzzle } = this.config;
+        if (goalLayers !== null && this.stats.layersCleared >= goalLayers) return true;
+        if (!puzzle) return false;
+        if (puzzle.goal.type === 'clearBoard') return this.activeTiles.length === 0;
+        return this.stats.layersCleared >= puzzle.goal.count;
+    }
+
+    // Tiles in a shell (1 = against the ball): the tile at that height in every stack that tall
+    _shellTiles(shell) {
+        const tiles = [];
+        for (const stack of this.occupiedFaces.values()) {
+            if (stack.length >= shell) tiles.push(stack[shell - 1]);
+        }
+        return tiles;
+    }
+
+    // Height of the tallest stack, 0 on an empty ball
+    _outermostShell() {
+        let height = 0;
+        for (const stack of this.occupiedFaces.values()) height = Math.max(height, stack.length);
+        return height;
+    }
+
+    _stackHeight(faceId) {
+        return (this.occupiedFaces.get(faceId) || []).length;
+    }
+
+    // Complete layers, outer to inner (the order they are cleared in): { shell, tiles } per
+    // full shell, or under the rings rule { shell, ring, tiles } per ring and shell it fills
+    _completedLayers() {
+        const layers = [];
+        if (this.config.clearRule === 'rings') {
+            for (const ring of this.rings) {
+                const depth = Math.min(...ring.faces.map(faceId => this._stackHeight(faceId)));
+                for (let shell = 1; shell <= depth; shell++) {
+                    layers.push({ shell, ring, tiles: ring.faces.map(faceId => this.occupiedFaces.get(faceId)[shell - 1]) });
+                }
+            }
+            return layers.sort((a, b) => b.shell - a.shell);
+        }
+        const needed = this.config.layerCompleteCount ?? this.topology.faces.length;
+        for (let shell = this._outermostShell(); shell >= 1; shell--) {
+            const tiles = this._shellTiles(shell);
+            if (tiles.length >= needed) layers.push({ shell, tiles });
+        }
+        return layers;
+    }
+
+    _checkForCompletedLayers() {
+        if (this.config.clearRule === 'colors') {
+            this._popColorGroups();
+            return;
+        }
+        const completed = this._completedLayers();
+        if (completed.length === 0) {
+            this.scoring.breakCombo();
+            return;
+        }
+        const cleared = completed.map(layer => ({ ...layer, tiles: layer.tiles.map(tile => ({ ...tile })) }));
+
+        // Crossing rings share tiles, which go once
+        const clearedIds = new Set(cleared.flatMap(layer => layer.tiles.map(tile => tile.id)));
+        const moved = this._removeTiles(clearedIds);
+
+        const award = this.scoring.scoreClear({
+            layers: cleared.length,
+            tiles: clearedIds.size,
+            boardEmpty: this.activeTiles.length === 0,
+            level: this.level
+        });
+        const { points } = award;
+        this._addPoints(points);
+        this.stats.layersCleared += cleared.length;
+        this.stats.maxCombo = this.scoring.maxCombo;
+        if (award.perfectSphere) this.stats.perfectSpheres++;
+
+        this.emit('layersCleared', { layers: cleared, points, award });
+        if (moved.length > 0) this.emit('tilesMoved', { tiles: moved });
+        this.emit('score', { score: this.score, level: this.level });
+    }
+
+    // Colour rule: pop every group of colorGroupSize or more (and the garbage touching them),
+    // let the stacks settle and pop again while that makes new groups - one chain step a round
+    _popColorGroups() {
+        let chain = 0;
+        for (;;) {
+            const groups = findColorGroups(this.topology, this.occupiedFaces, {
+                minSize: this.config.colorGroupSize,
+                inertColor: GARBAGE_TILE_COLOR
+            });
+            if (groups.length === 0) break;
+            chain++;
+            const popped = new Map(groups.flat().map(tile => [tile.id, { ...tile }]));
+            const garbage = [];
+            for (const tile of groups.flat()) {
+                for (const touching of touchingTiles(this.topology, this.occupiedFaces, tile)) {
+                    if (touching.color !== GARBAGE_TILE_COLOR || popped.has(touching.id)) continue;
+                    popped.set(touching.id, { ...touching });
+                    garbage.push({ ...touching });
+                }
+            }
+            const moved = this._removeTiles(new Set(popped.keys()));
+
+            const award = this.scoring.scoreClear({
+                layers: groups.length,
+                tiles: popped.size,
+                boardEmpty: this.activeTiles.length === 0,
+                level: this.level,
+                chain
+            });
+            const { points } = award;
+            this._addPoints(points);
+            this.stats.layersCleared += groups.length; // A group counts as a layer for goals
+            this.stats.maxCombo = this.scoring.maxCombo;
+            this.stats.maxChain = Math.max(this.stats.maxChain, chain);
+            if (award.perfectSphere) this.stats.perfectSpheres++;
+
+            this.emit('colorsPopped', {
+                chain,
+                groups: groups.map(group => group.map(tile => ({ ...tile }))),
+                garbage,
+                tiles: [...popped.values()],
+                points,
+                award
+            });
+            if (moved.length > 0) this.emit('tilesMoved', { tiles: moved });
+            this.emit('score', { score: this.score, level: this.level });
+        }
+        if (chain === 0) this.scoring.breakCombo();
+    }
+
+    // Take tiles off the board by id. Tiles above a removed one fall inward along their own
+    // stack, one shell per removed tile under them; returns copies of the ones that moved.
+    _removeTiles(ids) {
+        this.activeTiles = this.activeTiles.filter(tile => !ids.has(tile.id));
+        const moved = [];
+        for (const [faceId, stack] of this.occupiedFaces) {
+            const remaining = stack.filter(tile => !ids.has(tile.id));
+            remaining.forEach((tile, stackIndex) => {
+                if (tile.stackIndex !== stackIndex) {
+                    tile.stackIndex = stackIndex;
+                    moved.push({ ...tile });
+                }
+            });
+            if (remaining.length > 0) this.occupiedFaces.set(faceId, remaining);
+            else this.occupiedFaces.delete(faceId);
+        }
+        return moved;
+    }
+
+    _addPoints(points) {
+        this.score += points;
+        this.level = levelForScore(this.score, this.config);
+    }
+
+    // End the game, won or lost - every mode's finish goes through here
+    _finish(won, reason) {
+        if (this.isGameOver) return;
+        this.isGameOver = true;
+        this.current = null;
+        this.result = { won, reason };
+        this.emit('gameOver', {
+            score: this.score,
+            level: this.level,
+            stats: { ...this.stats },
+            won,
+            reason,
+            time: this.elapsedTime
+        });
+    }
+}
@@ -0,0 +1,38 @@
+// SphereTris - core/colorGroups.js
+// Groups of same-coloured tiles for the 'colors' clear rule, where colour decides what
+// clears instead of layers. Two tiles touch when one sits on the other, or when they are
+// in the same shell on neighbouring faces.
+
+// Tiles touching tile: the ones directly under and over it, and the ones beside it
+export function touchingTiles(topology, occupiedFaces, tile) {
+    const stack = occupiedFaces.get(tile.faceId) || [];
+    const touching = [stack[tile.stackIndex - 1], stack[tile.stackIndex + 1]];
+    for (const neighborId of topology.faces[tile.faceId].neighbors) {
+        touching.push((occupiedFaces.get(neighborId) || [])[tile.stackIndex]);
+    }
+    return touching.filter(Boolean);
+}
+
+// Every group of at least minSize touching tiles of one colour, as arrays of tiles. Tiles
+// in inertColor (garbage) never group. Found face by face from the inside out, so the
+// order only depends on the board.
+export function findColorGroups(topology, occupiedFaces, { minSize, inertColor = null }) {
+    const groups = [];
+    const seen = new Set();
+    for (const face of topology.faces) {
+        for (const start of occupiedFaces.get(face.id) || []) {
+            if (seen.has(start.id) || start.color === inertColor) continue;
+            seen.add(start.id);
+            const group = [start];
+            for (let i = 0; i < group.length; i++) {
+                for (const tile of touchingTiles(topology, occupiedFaces, group[i])) {
+                    if (seen.has(tile.id) || tile.color !== start.color) continue;
+                    seen.add(tile.id);
+                    group.push(tile);
+                }
+            }
+            if (group.length >= minSize) groups.push(group);
+        }
+    }
+    return groups;
+}
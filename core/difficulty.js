@@ -0,0 +1,96 @@
+// SphereTris - core/difficulty.js
+// Difficulty presets are plain data: config overrides for SpheretrisGame plus the randomizer
+// they deal with. 'custom' is the normal preset with the player's own numbers on top.
+// The level curve lives here too, since presets are what change it.
+
+export const DIFFICULTIES = {
+    easy: {
+        label: 'Easy',
+        randomizer: 'bag', // Every shape comes round once per bag - no long droughts
+        config: {
+            baseFallSpeed: 0.2,
+            fallSpeedPerLevel: 0.03,
+            maxFallSpeed: 0.8,
+            pointsPerLevel: 1500,
+            penalty: 5,
+            spawnHeight: 8.0,
+            lockDelay: 1.0,
+            ghost: true
+        }
+    },
+    normal: {
+        label: 'Normal',
+        randomizer: 'random',
+        config: {} // The SpheretrisGame defaults
+    },
+    hard: {
+        label: 'Hard',
+        randomizer: 'weighted',
+        config: {
+            baseFallSpeed: 0.45,
+            fallSpeedPerLevel: 0.1,
+            levelThresholds: [500, 1200, 2000, 3000], // Then every pointsPerLevel
+            pointsPerLevel: 1500,
+            penalty: 30,
+            spawnHeight: 6.0,
+            lockDelay: 0.25,
+            ghost: false,
+            pieceWeights: { hex: 10, pent: 12 } // More pentagons than the ball has faces for
+        }
+    },
+    custom: {
+        label: 'Custom',
+        randomizer: 'random',
+        config: {} // Filled from the player's settings, see customDifficultyConfig()
+    }
+};
+
+// What a custom difficulty may change, with the range each number is clamped to
+export const CUSTOM_DIFFICULTY_FIELDS = {
+    baseFallSpeed: { label: 'Fall speed', min: 0.05, max: 3, step: 0.05 },
+    fallSpeedPerLevel: { label: 'Speed-up per level', min: 0, max: 1, step: 0.01 },
+    pointsPerLevel: { label: 'Points per level', min: 100, max: 10000, step: 100 },
+    penalty: { label: 'Mismatch penalty', min: 0, max: 500, step: 5 },
+    spawnHeight: { label: 'Spawn height', min: 5, max: 12, step: 0.5 },
+    lockDelay: { label: 'Lock delay (s)', min: 0, max: 3, step: 0.05 },
+    ghost: { label: 'Ghost piece', type: 'boolean' }
+};
+
+export function isDifficulty(name) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTIES, name);
+}
+
+// Keep only known fields, clamped to their ranges
+export function customDifficultyConfig(settings = {}) {
+    const config = {};
+    for (const [key, field] of Object.entries(CUSTOM_DIFFICULTY_FIELDS)) {
+        const value = settings[key];
+        if (field.type === 'boolean') {
+            if (typeof value === 'boolean') config[key] = value;
+        } else if (Number.isFinite(value)) {
+            config[key] = Math.min(field.max, Math.max(field.min, value));
+        }
+    }
+    return config;
+}
+
+// Game options for a difficulty: { randomizer, config } ready for new SpheretrisGame().
+// customSettings only matters for 'custom'. config.difficulty records the choice.
+export function difficultyOptions(name, customSettings = {}) {
+    if (!isDifficulty(name)) {
+        throw new Error(`Unknown difficulty "${name}" (expected one of ${Object.keys(DIFFICULTIES).join(', ')})`);
+    }
+    const preset = DIFFICULTIES[name];
+    const config = name === 'custom' ? customDifficultyConfig(customSettings) : preset.config;
+    return { randomizer: preset.randomizer, config: { ...structuredClone(config), difficulty: name } };
+}
+
+// Level for a score: a new level starts at each of config.levelThresholds (ascending
+// scores), then every config.pointsPerLevel points after the last one
+export function levelForScore(score, { levelThresholds = null, pointsPerLevel }) {
+    const thresholds = levelThresholds || [];
+    const reached = thresholds.filter(threshold => score >= threshold).length;
+    if (reached < thresholds.length) return reached + 1;
+    const start = thresholds.length > 0 ? thresholds[thresholds.length - 1] : 0;
+    return thresholds.length + 1 + Math.floor((score - start) / pointsPerLevel);
+}
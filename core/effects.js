@@ -0,0 +1,89 @@
+// SphereTris - core/effects.js
+// What the page's particle effects emit, worked out without a renderer: the quality presets
+// and the particles of each kind of burst. The page uploads a burst to the GPU once and a
+// shader moves every particle from its start values, so nothing is simulated per frame on
+// the CPU - and what a burst looks like can be checked in Node.
+
+import { vec3Cross, vec3Normalize } from './math.js';
+
+// Quality presets: particles is the share of each burst's full count, capacity the most
+// particles alive at once
+export const EFFECT_QUALITIES = {
+    off: { label: 'Off', particles: 0, capacity: 0, shockwave: false },
+    low: { label: 'Low', particles: 0.4, capacity: 1024, shockwave: true },
+    high: { label: 'High', particles: 1, capacity: 4096, shockwave: true }
+};
+
+// Burst kinds: particles at full quality, speed and life ranges (units per second, seconds),
+// how far off the surface normal they fly (0 straight out, 1 flat along the surface),
+// gravity (world units per second squared, negative pulls down), point size and a colour
+// to use instead of the tile's
+export const BURST_KINDS = {
+    clear: { count: 24, speed: [1.2, 2.6], life: [0.5, 0.9], spread: 0.6, gravity: -2.0, size: 0.09, color: null },
+    land: { count: 10, speed: [0.25, 0.6], life: [0.3, 0.5], spread: 0.95, gravity: -0.5, size: 0.06, color: 0xd7ccc8 },
+    shatter: { count: 18, speed: [0.9, 2.0], life: [0.4, 0.7], spread: 0.8, gravity: -4.0, size: 0.08, color: 0xff1744 }
+};
+
+export function isEffectQuality(name) {
+    return Object.prototype.hasOwnProperty.call(EFFECT_QUALITIES, name);
+}
+
+// Reduced motion keeps a few slow particles that mostly fade where they start, and drops
+// the shockwave
+export function effectSettings({ quality = 'high', reducedMotion = false } = {}) {
+    if (!isEffectQuality(quality)) {
+        throw new Error(`Unknown effect quality "${quality}" (expected one of ${Object.keys(EFFECT_QUALITIES).join(', ')})`);
+    }
+    const preset = EFFECT_QUALITIES[quality];
+    return {
+        quality,
+        reducedMotion,
+        particles: preset.particles * (reducedMotion ? 0.25 : 1),
+        capacity: preset.capacity,
+        speed: reducedMotion ? 0.15 : 1,
+        gravity: reducedMotion ? 0 : 1,
+        shockwave: preset.shockwave && !reducedMotion
+    };
+}
+
+// How a rejected piece fades: over the game's rejectDelay, so it is gone as the next piece
+// spawns, and flashing red first unless motion is reduced
+export function rejectFade(rejectDelay, settings = effectSettings()) {
+    return { duration: rejectDelay, flashColor: settings.reducedMotion ? null : 0xff0000 };
+}
+
+// Particles for one burst at origin (world space) off a surface facing normal (unit
+// vector): [{ position, velocity, gravity, color, life, size }]. color is the tile's, used
+// unless the kind has its own. random defaults to Math.random - effects don't need to
+// replay exactly.
+export function burstParticles(kind, { origin, normal, color = 0xffffff, settings = effectSettings(), random = Math.random }) {
+    const burst = BURST_KINDS[kind];
+    if (!burst) throw new Error(`Unknown burst "${kind}" (expected one of ${Object.keys(BURST_KINDS).join(', ')})`);
+    const count = Math.round(burst.count * settings.particles);
+    const [tangent, bitangent] = surfaceAxes(normal);
+    const particles = [];
+    for (let i = 0; i < count; i++) {
+        // A direction in the cone around the normal, spread towards the surface
+        const around = random() * Math.PI * 2;
+        const tilt = burst.spread * (Math.PI / 2) * Math.sqrt(random());
+        const direction = [0, 1, 2].map(axis => normal[axis] * Math.cos(tilt) +
+            (tangent[axis] * Math.cos(around) + bitangent[axis] * Math.sin(around)) * Math.sin(tilt));
+        const speed = (burst.speed[0] + random() * (burst.speed[1] - burst.speed[0])) * settings.speed;
+        particles.push({
+            position: [...origin],
+            velocity: direction.map(value => value * speed),
+            gravity: burst.gravity * settings.gravity,
+            color: burst.color ?? color,
+            life: burst.life[0] + random() * (burst.life[1] - burst.life[0]),
+            size: burst.size
+        });
+    }
+    return particles;
+}
+
+// Two unit vectors at right angles to normal and to each other
+function surfaceAxes(normal) {
+    const helper = Math.abs(normal[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+    const tangent = vec3Normalize(vec3Cross(normal, helper));
+    return [tangent, vec3Cross(normal, tangent)];
+}
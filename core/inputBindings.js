@@ -0,0 +1,134 @@
+// SphereTris - core/inputBindings.js
+// Which key or gamepad button triggers which action. Front-ends translate raw input
+// through this so every device drives the same actions, and players can rebind them.
+// Storage works like the leaderboard's: anything with getItem/setItem, or none.
+
+export const BINDINGS_VERSION = 1;
+
+// Action ids with the label the settings screen shows for them
+export const INPUT_ACTIONS = {
+    rotateLeft: 'Rotate left',
+    rotateRight: 'Rotate right',
+    rotateUp: 'Rotate up',
+    rotateDown: 'Rotate down',
+    softDrop: 'Soft drop',
+    drop: 'Hard drop',
+    hold: 'Hold',
+    twistLeft: 'Twist counter-clockwise',
+    twistRight: 'Twist clockwise',
+    pause: 'Pause',
+    rotationMode: 'Free/snap rotation'
+};
+
+// Keyboard bindings are KeyboardEvent.code values, gamepad ones are button indices of
+// the browser's "standard" gamepad mapping (0 = A/Cross, 12-15 = d-pad)
+export const DEFAULT_BINDINGS = {
+    keyboard: {
+        rotateLeft: ['ArrowLeft'],
+        rotateRight: ['ArrowRight'],
+        rotateUp: ['ArrowUp'],
+        rotateDown: ['ArrowDown'],
+        softDrop: ['KeyS'],
+        drop: ['Space'],
+        hold: ['KeyC', 'ShiftLeft', 'ShiftRight'],
+        twistLeft: ['KeyZ'],
+        twistRight: ['KeyX'],
+        pause: ['Escape', 'KeyP'],
+        rotationMode: ['KeyR']
+    },
+    gamepad: {
+        rotateLeft: [14],
+        rotateRight: [15],
+        rotateUp: [12],
+        rotateDown: [13],
+        softDrop: [7],
+        drop: [0],
+        hold: [1],
+        twistLeft: [2],
+        twistRight: [3],
+        pause: [9],
+        rotationMode: [8]
+    }
+};
+
+export const INPUT_DEVICES = Object.keys(DEFAULT_BINDINGS);
+
+export class InputBindings {
+    constructor({ storage = null, key = 'spheretris-bindings' } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.bindings = copyBindings(DEFAULT_BINDINGS);
+        this._load();
+    }
+
+    // Keys (or buttons) bound to an action
+    get(device, action) {
+        return [...this.bindings[device][action]];
+    }
+
+    // The action a key code (keyboard) or button index (gamepad) triggers, or null
+    actionFor(device, input) {
+        for (const [action, inputs] of Object.entries(this.bindings[device])) {
+            if (inputs.includes(input)) return action;
+        }
+        return null;
+    }
+
+    // Bind an action to a single key/button. Whatever action had that input before loses it.
+    set(device, action, input) {
+        if (!this.bindings[device]) throw new Error(`Unknown input device "${device}"`);
+        if (!INPUT_ACTIONS[action]) throw new Error(`Unknown input action "${action}"`);
+        for (const [other, inputs] of Object.entries(this.bindings[device])) {
+            this.bindings[device][other] = inputs.filter(bound => bound !== input);
+        }
+        this.bindings[device][action] = [input];
+        this._save();
+    }
+
+    reset() {
+        this.bindings = copyBindings(DEFAULT_BINDINGS);
+        this._save();
+    }
+
+    toJSON() {
+        return { version: BINDINGS_VERSION, bindings: copyBindings(this.bindings) };
+    }
+
+    _load() {
+        if (!this.storage) return;
+        try {
+            const text = this.storage.getItem(this.key);
+            if (!text) return;
+            const data = JSON.parse(text);
+            if (data.version !== BINDINGS_VERSION) throw new Error(`Unsupported bindings version ${data.version}`);
+            // Start from the defaults so actions added since the save still have a binding
+            for (const device of INPUT_DEVICES) {
+                for (const action of Object.keys(INPUT_ACTIONS)) {
+                    const saved = data.bindings?.[device]?.[action];
+                    if (Array.isArray(saved)) this.bindings[device][action] = [...saved];
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable input bindings:', error);
+            this.bindings = copyBindings(DEFAULT_BINDINGS);
+        }
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Could not save the input bindings:', error);
+        }
+    }
+}
+
+function copyBindings(bindings) {
+    const copy = {};
+    for (const [device, actions] of Object.entries(bindings)) {
+        copy[device] = {};
+        for (const [action, inputs] of Object.entries(actions)) copy[device][action] = [...inputs];
+    }
+    return copy;
+}
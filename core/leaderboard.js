@@ -0,0 +1,159 @@
+// SphereTris - core/leaderboard.js
+// Local high-score table. Entries are grouped into boards by game mode and seed, so
+// players racing the same seed compete with each other. Timed modes (Sprint, puzzles)
+// rank by time instead of score, see core/modes.js. Storage is anything with
+// getItem/setItem (window.localStorage in the browser); without one the table only
+// lives in memory.
+
+import { modeRanking } from './modes.js';
+
+export const LEADERBOARD_VERSION = 1;
+
+export const MAX_ENTRIES_PER_BOARD = 10;
+
+const NAME_MAX_LENGTH = 16;
+
+export class Leaderboard {
+    constructor({ storage = null, key = 'spheretris-leaderboard' } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.entries = [];
+        this._load();
+    }
+
+    // Record a finished game. Returns the stored entry, or null when it didn't make its board.
+    // result: { mode, seed, randomizer, difficulty, name, score, level, stats, time }, time being
+    // the seconds a timed mode's run took (leave it out for other modes)
+    addEntry(result) {
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+            mode: result.mode,
+            seed: result.seed,
+            randomizer: result.randomizer,
+            difficulty: result.difficulty || 'normal',
+            name: cleanName(result.name),
+            date: new Date().toISOString(),
+            score: result.score,
+            time: Number.isFinite(result.time) ? result.time : null,
+            level: result.level,
+            layersCleared: result.stats.layersCleared,
+            piecesPlaced: result.stats.piecesPlaced,
+            mismatches: result.stats.mismatches,
+            penaltyPoints: result.stats.penaltyPoints
+        };
+        if (!this.qualifies(entry)) return null;
+
+        this.entries.push(entry);
+        this._trim();
+        this._save();
+        return entry;
+    }
+
+    // Would this run ({ mode, seed, score, time }) get onto its board? Timed boards only take
+    // runs with a time, the others runs that scored.
+    qualifies({ mode, seed, score, time = null }) {
+        if (modeRanking(mode) === 'time' ? !Number.isFinite(time) : score <= 0) return false;
+        const board = this.getEntries({ mode, seed });
+        if (board.length < MAX_ENTRIES_PER_BOARD) return true;
+        // A tie with the last entry doesn't beat it - it got there first
+        return compareEntries({ mode, score, time, date: new Date().toISOString() }, board[board.length - 1]) < 0;
+    }
+
+    // Best first. Leave seed out to rank every seed of a mode together.
+    getEntries({ mode, seed } = {}) {
+        return this.entries
+            .filter(entry => (mode === undefined || entry.mode === mode) && (seed === undefined || entry.seed === seed))
+            .sort(compareEntries);
+    }
+
+    modes() {
+        return [...new Set(this.entries.map(entry => entry.mode))].sort();
+    }
+
+    seeds(mode) {
+        return [...new Set(this.getEntries({ mode }).map(entry => entry.seed))];
+    }
+
+    toJSON() {
+        return { version: LEADERBOARD_VERSION, entries: this.entries.map(entry => ({ ...entry })) };
+    }
+
+    // Merge an exported table into this one. Entries already present (same id) are skipped.
+    // Returns how many entries were added; throws on data that isn't a leaderboard.
+    importJSON(data) {
+        const imported = validateLeaderboard(data).entries;
+        const knownIds = new Set(this.entries.map(entry => entry.id));
+        const added = imported.filter(entry => !knownIds.has(entry.id)).map(entry => ({ ...entry, name: cleanName(entry.name) }));
+        this.entries.push(...added);
+        this._trim();
+        this._save();
+        return added.length;
+    }
+
+    clear() {
+        this.entries = [];
+        this._save();
+    }
+
+    // Keep only the top MAX_ENTRIES_PER_BOARD of each mode + seed board
+    _trim() {
+        const boards = new Map();
+        for (const entry of [...this.entries].sort(compareEntries)) {
+            const boardKey = `${entry.mode}:${entry.seed}`;
+            if (!boards.has(boardKey)) boards.set(boardKey, []);
+            const board = boards.get(boardKey);
+            if (board.length < MAX_ENTRIES_PER_BOARD) board.push(entry);
+        }
+        this.entries = [...boards.values()].flat();
+    }
+
+    _load() {
+        if (!this.storage) return;
+        try {
+            const text = this.storage.getItem(this.key);
+            if (text) this.entries = validateLeaderboard(JSON.parse(text)).entries;
+        } catch (error) {
+            console.warn('Ignoring unreadable leaderboard:', error);
+            this.entries = [];
+        }
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Could not save the leaderboard:', error);
+        }
+    }
+}
+
+// Throws with a readable message when data is not an exported leaderboard
+export function validateLeaderboard(data) {
+    if (!data || typeof data !== 'object') throw new Error('Leaderboard is not a JSON object');
+    if (data.version !== LEADERBOARD_VERSION) {
+        throw new Error(`Unsupported leaderboard version ${data.version} (expected ${LEADERBOARD_VERSION})`);
+    }
+    if (!Array.isArray(data.entries)) throw new Error('Leaderboard has no entry list');
+    for (const entry of data.entries) {
+        if (!entry || typeof entry.id !== 'string' || typeof entry.mode !== 'string'
+            || !Number.isInteger(entry.seed) || !Number.isFinite(entry.score)
+            || typeof entry.date !== 'string' || Number.isNaN(Date.parse(entry.date))
+            || (entry.time != null && !Number.isFinite(entry.time))) {
+            throw new Error(`Malformed leaderboard entry: ${JSON.stringify(entry)}`);
+        }
+    }
+    return data;
+}
+
+// Fastest first on timed boards, otherwise higher score first; ties go to the higher score,
+// then to whoever got there first
+function compareEntries(a, b) {
+    const byTime = modeRanking(a.mode) === 'time' ? a.time - b.time : 0;
+    return byTime || b.score - a.score || a.date.localeCompare(b.date);
+}
+
+function cleanName(name) {
+    const trimmed = String(name || '').trim().slice(0, NAME_MAX_LENGTH);
+    return trimmed || 'Anonymous';
+}
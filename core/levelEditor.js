@@ -0,0 +1,89 @@
+// SphereTris - core/levelEditor.js
+// Builds a puzzle (see core/puzzles.js) one tile at a time for the page's level editor.
+// Tiles stack on their face in the order they are added, the same way pieces land, and
+// a tile always takes its face's shape - nothing else could ever have landed there.
+
+import { PUZZLE_VERSION, validatePuzzle, parseTileColor } from './puzzles.js';
+import { PIECE_TYPES } from './pieces.js';
+
+export const MAX_EDITOR_STACK_HEIGHT = 6; // Higher stacks would top out before the puzzle starts
+
+export class LevelEditor {
+    // topology: the faces tiles go on. puzzle: a level to start from (copied), or a blank one.
+    constructor(topology, puzzle = null) {
+        this.topology = topology;
+        this.level = puzzle ? structuredClone(validatePuzzle(puzzle, topology)) : {
+            version: PUZZLE_VERSION,
+            id: 'my-level',
+            name: 'My Level',
+            description: '',
+            tiles: [],
+            pieces: ['hex'],
+            goal: { type: 'layers', count: 1 }
+        };
+    }
+
+    stackHeight(faceId) {
+        return this.level.tiles.filter(tile => tile.faceId === faceId).length;
+    }
+
+    // Put a tile on top of faceId's stack. color is '#rrggbb' or null for the default grey.
+    // Returns whether it was added (false once the stack is full).
+    addTile(faceId, color = null) {
+        const face = this.topology.faces[faceId];
+        if (!face) throw new Error(`Unknown face ${faceId}`);
+        if (color !== null && parseTileColor(color) === null) throw new Error(`Unreadable tile colour ${JSON.stringify(color)}`);
+        if (this.stackHeight(faceId) >= MAX_EDITOR_STACK_HEIGHT) return false;
+        const tile = { faceId, shape: face.shape };
+        if (color !== null) tile.color = color;
+        this.level.tiles.push(tile);
+        return true;
+    }
+
+    // Take the top tile off faceId's stack. Returns whether there was one.
+    removeTile(faceId) {
+        for (let i = this.level.tiles.length - 1; i >= 0; i--) {
+            if (this.level.tiles[i].faceId === faceId) {
+                this.level.tiles.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    clearTiles() {
+        this.level.tiles = [];
+    }
+
+    // Piece types in dealing order, e.g. ['hex', 'HHH']
+    setPieces(pieces) {
+        const unknown = pieces.find(type => !PIECE_TYPES[type]);
+        if (unknown !== undefined) throw new Error(`Unknown piece "${unknown}" (expected any of ${Object.keys(PIECE_TYPES).join(', ')})`);
+        this.level.pieces = [...pieces];
+    }
+
+    setGoal(goal) {
+        this.level.goal = goal.type === 'layers' ? { type: 'layers', count: goal.count } : { type: goal.type };
+    }
+
+    // Name, id and description
+    setInfo({ id = this.level.id, name = this.level.name, description = this.level.description }) {
+        Object.assign(this.level, { id, name, description });
+    }
+
+    // The level as a puzzle file, tiles listed face by face from the inside out.
+    // Throws like validatePuzzle() while the level isn't playable yet.
+    toPuzzle() {
+        const puzzle = {
+            $schema: 'level.schema.json',
+            ...structuredClone(this.level),
+            tiles: [...this.level.tiles].sort((a, b) => a.faceId - b.faceId).map(tile => ({ ...tile }))
+        };
+        return validatePuzzle(puzzle, this.topology);
+    }
+
+    // The board as it stands, for showing while editing - skips the checks toPuzzle() makes
+    toDraft() {
+        return structuredClone(this.level);
+    }
+}
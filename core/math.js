@@ -0,0 +1,102 @@
+// SphereTris - core/math.js
+// Minimal vector/quaternion helpers so the game core runs without Three.js.
+// Vectors are [x, y, z] arrays, quaternions are [x, y, z, w] (same order as THREE.Quaternion).
+
+export function vec3Add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+export function vec3Sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+export function vec3Scale(a, s) {
+    return [a[0] * s, a[1] * s, a[2] * s];
+}
+
+export function vec3Dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+export function vec3Cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+export function vec3Length(a) {
+    return Math.sqrt(vec3Dot(a, a));
+}
+
+export function vec3Normalize(a) {
+    const length = vec3Length(a);
+    return length > 0 ? vec3Scale(a, 1 / length) : [0, 0, 0];
+}
+
+export function quatIdentity() {
+    return [0, 0, 0, 1];
+}
+
+export function quatFromAxisAngle(axis, angle) {
+    const n = vec3Normalize(axis);
+    const s = Math.sin(angle / 2);
+    return [n[0] * s, n[1] * s, n[2] * s, Math.cos(angle / 2)];
+}
+
+// Hamilton product a * b (apply b first, then a)
+export function quatMultiply(a, b) {
+    const [ax, ay, az, aw] = a;
+    const [bx, by, bz, bw] = b;
+    return [
+        ax * bw + aw * bx + ay * bz - az * by,
+        ay * bw + aw * by + az * bx - ax * bz,
+        az * bw + aw * bz + ax * by - ay * bx,
+        aw * bw - ax * bx - ay * by - az * bz
+    ];
+}
+
+export function quatNormalize(q) {
+    const length = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]);
+    if (length === 0) return quatIdentity();
+    return [q[0] / length, q[1] / length, q[2] / length, q[3] / length];
+}
+
+// Inverse of a unit quaternion
+export function quatInvert(q) {
+    return [-q[0], -q[1], -q[2], q[3]];
+}
+
+// Spherical interpolation from a (t = 0) to b (t = 1) along the shorter arc
+export function quatSlerp(a, b, t) {
+    let cos = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    let target = b;
+    if (cos < 0) {
+        cos = -cos;
+        target = b.map(value => -value);
+    }
+    if (cos > 0.9995) {
+        // Nearly the same rotation - a normalized lerp is accurate enough and avoids dividing by ~0
+        return quatNormalize(a.map((value, i) => value + (target[i] - value) * t));
+    }
+    const angle = Math.acos(cos);
+    const sin = Math.sin(angle);
+    const wa = Math.sin((1 - t) * angle) / sin;
+    const wb = Math.sin(t * angle) / sin;
+    return a.map((value, i) => value * wa + target[i] * wb);
+}
+
+export function quatRotateVec3(q, v) {
+    const [qx, qy, qz, qw] = q;
+    const [x, y, z] = v;
+    // t = 2 * cross(q.xyz, v)
+    const tx = 2 * (qy * z - qz * y);
+    const ty = 2 * (qz * x - qx * z);
+    const tz = 2 * (qx * y - qy * x);
+    return [
+        x + qw * tx + (qy * tz - qz * ty),
+        y + qw * ty + (qz * tx - qx * tz),
+        z + qw * tz + (qx * ty - qy * tx)
+    ];
+}
@@ -0,0 +1,89 @@
+// SphereTris - core/modes.js
+// Game modes are plain data like the difficulties: config overrides applied on top of the
+// difficulty's, plus how the mode's leaderboard ranks a run. The rules they switch on
+// (goalLayers, timeLimit, topOut, puzzle) are in SpheretrisGame. Pressure (rising garbage)
+// and the other clear rules go on top of any mode but Puzzle and get leaderboards of their own.
+
+export const GAME_MODES = {
+    classic: {
+        label: 'Classic',
+        description: 'Endless - play until the ball tops out',
+        ranking: 'score',
+        config: {}
+    },
+    sprint: {
+        label: 'Sprint',
+        description: 'Clear 3 layers as fast as you can',
+        ranking: 'time',
+        config: { goalLayers: 3 }
+    },
+    ultra: {
+        label: 'Ultra',
+        description: 'Score as much as you can in 3 minutes',
+        ranking: 'score',
+        config: { timeLimit: 180 }
+    },
+    zen: {
+        label: 'Zen',
+        description: 'No game over and no speed-up',
+        ranking: 'score',
+        config: { topOut: false, fallSpeedPerLevel: 0 }
+    },
+    puzzle: {
+        label: 'Puzzle',
+        description: 'Finish a preset board with a fixed set of pieces',
+        ranking: 'time',
+        config: {}
+    }
+};
+
+// Rising garbage: how often a garbage layer pushes the stacks out (garbageEvery/garbageInterval)
+export const PRESSURE_LEVELS = {
+    off: { label: 'Off', config: {} },
+    pieces: { label: 'Every 10 pieces', config: { garbageEvery: 10 } },
+    timed: { label: 'Every 30 seconds', config: { garbageInterval: 30 } }
+};
+
+export function isGameMode(name) {
+    return Object.prototype.hasOwnProperty.call(GAME_MODES, name);
+}
+
+// Config overrides for a mode, with config.mode recording the choice. Puzzle mode needs the
+// puzzle (see core/puzzles.js), which goes into the config as well.
+export function modeConfig(name, { puzzle = null } = {}) {
+    if (!isGameMode(name)) {
+        throw new Error(`Unknown game mode "${name}" (expected one of ${Object.keys(GAME_MODES).join(', ')})`);
+    }
+    if (name === 'puzzle' && !puzzle) throw new Error('Puzzle mode needs a puzzle');
+    const config = { ...GAME_MODES[name].config, mode: name };
+    if (name === 'puzzle') config.puzzle = structuredClone(puzzle);
+    return config;
+}
+
+export function isPressureLevel(name) {
+    return Object.prototype.hasOwnProperty.call(PRESSURE_LEVELS, name);
+}
+
+// Config overrides for a pressure level, with config.pressure recording the choice
+export function pressureConfig(name) {
+    if (!isPressureLevel(name)) {
+        throw new Error(`Unknown pressure "${name}" (expected one of ${Object.keys(PRESSURE_LEVELS).join(', ')})`);
+    }
+    return { ...PRESSURE_LEVELS[name].config, pressure: name };
+}
+
+// Leaderboard mode for a game's config - every puzzle gets a board of its own, and so does
+// each pressure level and clear rule of a mode ('classic+pieces', 'zen+colors', 'ultra+timed+rings')
+export function leaderboardMode(config) {
+    if (config.mode === 'puzzle' && config.puzzle) return `puzzle:${config.puzzle.id}`;
+    const variants = [];
+    if (config.pressure && config.pressure !== 'off') variants.push(config.pressure);
+    if (config.clearRule && config.clearRule !== 'shells') variants.push(config.clearRule);
+    return [config.mode, ...variants].join('+');
+}
+
+// 'time' (fastest first) or 'score' (highest first) for a leaderboard mode
+export function modeRanking(mode) {
+    const name = mode.startsWith('puzzle:') ? 'puzzle' : mode.split('+')[0];
+    return isGameMode(name) ? GAME_MODES[name].ranking : 'score';
+}
@@ -0,0 +1,83 @@
+// SphereTris - core/pieceGenerator.js
+// Pluggable randomizers that decide which shape comes next. They all draw from the
+// game's seeded PRNG, so the same seed and randomizer always deal the same sequence.
+
+function shuffle(items, random) {
+    // Fisher-Yates
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+export const RANDOMIZERS = {
+    // Every shape equally likely, independent of what came before
+    random: ({ random, shapes }) => () => shapes[Math.floor(random() * shapes.length)],
+
+    // 7-bag style: deal from a shuffled bag holding every shape bagCopies times, refill when empty
+    bag: ({ random, shapes, bagCopies = 1 }) => {
+        let bag = [];
+        const next = () => {
+            if (bag.length === 0) {
+                bag = shuffle(shapes.flatMap(shape => Array(bagCopies).fill(shape)), random);
+            }
+            return bag.pop();
+        };
+        // The shapes left in the bag are the only state besides the PRNG
+        next.getState = () => [...bag];
+        next.setState = (saved) => { bag = [...saved]; };
+        return next;
+    },
+
+    // Independent draws weighted per shape - by default the ball's own 20:12 hex:pent face ratio
+    weighted: ({ random, shapes, weights }) => {
+        const total = shapes.reduce((sum, shape) => sum + (weights[shape] || 0), 0);
+        if (total <= 0) throw new Error('Weighted randomizer needs at least one positive weight');
+        return () => {
+            let roll = random() * total;
+            for (const shape of shapes) {
+                roll -= weights[shape] || 0;
+                if (roll < 0) return shape;
+            }
+            return shapes[shapes.length - 1];
+        };
+    }
+};
+
+// Count how many faces of each shape the topology has, e.g. { hex: 20, pent: 12 }
+export function faceShapeWeights(topology) {
+    const weights = {};
+    for (const face of topology.faces) {
+        weights[face.shape] = (weights[face.shape] || 0) + 1;
+    }
+    return weights;
+}
+
+// Returns a function that produces the next shape each time it is called.
+// getState()/setState() on it save and restore whatever the randomizer keeps between
+// calls (null for stateless ones) - the PRNG itself is saved separately.
+export function createPieceGenerator({ random, shapes, randomizer = 'random', weights, bagCopies }) {
+    const factory = RANDOMIZERS[randomizer];
+    if (!factory) {
+        throw new Error(`Unknown randomizer "${randomizer}" (expected one of ${Object.keys(RANDOMIZERS).join(', ')})`);
+    }
+    const generator = factory({ random, shapes, weights, bagCopies });
+    if (!generator.getState) {
+        generator.getState = () => null;
+        generator.setState = () => {};
+    }
+    return generator;
+}
+
+// Deals a fixed list of piece types once, in order, then returns null. Puzzles use it
+// instead of a randomizer; getState()/setState() carry how far it has got.
+export function createSequenceGenerator(sequence) {
+    if (!Array.isArray(sequence)) throw new Error('Sequence generator needs a list of piece types');
+    let index = 0;
+    const next = () => (index < sequence.length ? sequence[index++] : null);
+    next.remaining = () => sequence.length - index;
+    next.getState = () => index;
+    next.setState = (saved) => { index = saved; };
+    return next;
+}
@@ -0,0 +1,100 @@
+// SphereTris - core/pieces.js
+// What a piece looks like: an anchor cell (the one under the drop line) plus arms on
+// neighbouring faces. Arms are given as a neighbour offset around the anchor, so a piece
+// keeps its layout on any face it lands on and twisting it steps one side at a time.
+
+import { faceShapeWeights } from './pieceGenerator.js';
+import { vec3Sub, vec3Dot, vec3Normalize, quatInvert, quatRotateVec3 } from './math.js';
+
+// Singles are keyed by their shape, so a piece type and a face shape share names
+export const PIECE_TYPES = {
+    hex: { name: 'H', anchor: 'hex', arms: [] },
+    pent: { name: 'P', anchor: 'pent', arms: [] },
+    HHH: { name: 'H-H-H', anchor: 'hex', arms: [{ shape: 'hex', offset: 0 }, { shape: 'hex', offset: 2 }] },
+    HPH: { name: 'H-P-H', anchor: 'pent', arms: [{ shape: 'hex', offset: 0 }, { shape: 'hex', offset: 2 }] },
+    PHP: { name: 'P-H-P', anchor: 'hex', arms: [{ shape: 'pent', offset: 0 }, { shape: 'pent', offset: 2 }] },
+    HHP: { name: 'H-H-P', anchor: 'hex', arms: [{ shape: 'hex', offset: 0 }, { shape: 'pent', offset: 3 }] }
+};
+
+// Which piece types a game deals ('pieceSet' in the game config)
+export const PIECE_SETS = {
+    classic: ['hex', 'pent'],
+    compound: ['hex', 'pent', 'HHH', 'HPH', 'PHP', 'HHP']
+};
+
+// Sides around the anchor - one twist step turns the piece by one of them
+export function pieceSides(type) {
+    return PIECE_TYPES[type].anchor === 'pent' ? 5 : 6;
+}
+
+// Angle (radians) of an arm around the anchor for a given twist, measured in the world's
+// horizontal plane from +Z towards +X
+export function armAngle(type, arm, twist) {
+    return (arm.offset + twist) * 2 * Math.PI / pieceSides(type);
+}
+
+// Weights for the 'weighted' randomizer. Singles follow the ball's face ratio; a compound
+// piece counts half as often as faces of its anchor shape.
+export function pieceWeights(topology) {
+    const faceWeights = faceShapeWeights(topology);
+    const weights = {};
+    for (const [type, piece] of Object.entries(PIECE_TYPES)) {
+        const anchorFaces = faceWeights[piece.anchor] || 0;
+        weights[type] = piece.arms.length === 0 ? anchorFaces : anchorFaces / 2;
+    }
+    return weights;
+}
+
+// Angle (radians) the whole piece is turned by around the drop line, the same way as armAngle
+export function twistAngle(type, twist) {
+    return twist * 2 * Math.PI / pieceSides(type);
+}
+
+// Faces a piece covers when its anchor sits on anchorFace: [{ face, shape, rotation }],
+// anchor first. Each arm goes to the unused neighbour that lies closest to the arm's world
+// direction; face is null when there is no such neighbour. rotation is the index into the
+// face's ring of the corner each tile's first corner lands on.
+export function pieceCells(topology, type, twist, anchorFace, ballQuaternion) {
+    const piece = PIECE_TYPES[type];
+    const toLocal = quatInvert(ballQuaternion);
+    // A tile's first corner starts out along world +X and turns with the twist
+    const turn = twistAngle(type, twist);
+    const cornerDirection = quatRotateVec3(toLocal, [Math.cos(turn), 0, -Math.sin(turn)]);
+    const cornerOn = face => face ? nearestCorner(topology, face, cornerDirection) : 0;
+
+    const cells = [{ face: anchorFace, shape: piece.anchor, rotation: cornerOn(anchorFace) }];
+    const used = new Set([anchorFace.id]);
+
+    for (const arm of piece.arms) {
+        const angle = armAngle(type, arm, twist);
+        const direction = quatRotateVec3(toLocal, [Math.sin(angle), 0, Math.cos(angle)]);
+        let best = null;
+        let bestDot = -Infinity;
+        for (const neighborId of anchorFace.neighbors) {
+            if (used.has(neighborId)) continue;
+            const neighbor = topology.faces[neighborId];
+            const dot = vec3Dot(vec3Normalize(vec3Sub(neighbor.center, anchorFace.center)), direction);
+            if (dot > bestDot) {
+                best = neighbor;
+                bestDot = dot;
+            }
+        }
+        if (best) used.add(best.id);
+        cells.push({ face: best, shape: arm.shape, rotation: cornerOn(best) });
+    }
+    return cells;
+}
+
+// Ring index of the face corner that points most along direction (ball space)
+function nearestCorner(topology, face, direction) {
+    let best = 0;
+    let bestDot = -Infinity;
+    face.ring.forEach((vertexId, index) => {
+        const dot = vec3Dot(vec3Normalize(vec3Sub(topology.vertices[vertexId], face.center)), direction);
+        if (dot > bestDot) {
+            best = index;
+            bestDot = dot;
+        }
+    });
+    return best;
+}
@@ -0,0 +1,69 @@
+// SphereTris - core/puzzles.js
+// A puzzle is a preset board, a fixed list of pieces and a goal. It travels in the game
+// config (config.puzzle), so saves and replays of a puzzle carry the board with them.
+//
+// { version, id, name, description, tiles: [{ faceId, shape, color }], pieces: [type...],
+//   goal: { type: 'layers', count } | { type: 'clearBoard' } }
+//
+// Tiles on the same face stack in the order they are listed. color is '#rrggbb' or a
+// number and may be left out. levels/level.schema.json describes the same format for
+// editors; core/levelEditor.js builds levels in it.
+
+import { PIECE_TYPES } from './pieces.js';
+
+export const PUZZLE_VERSION = 1;
+
+export const PUZZLE_TILE_COLOR = 0x9e9e9e; // Preset tiles without a colour of their own
+
+export const PUZZLE_GOALS = {
+    layers: 'Clear layers',
+    clearBoard: 'Empty the ball'
+};
+
+// Throws with a readable message when data is not a puzzle that fits this topology
+export function validatePuzzle(data, topology) {
+    if (!data || typeof data !== 'object') throw new Error('Puzzle is not a JSON object');
+    if (data.version !== PUZZLE_VERSION) throw new Error(`Unsupported puzzle version ${data.version} (expected ${PUZZLE_VERSION})`);
+    if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) {
+        throw new Error('Puzzle needs an id of lowercase letters, digits and dashes');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') throw new Error(`Puzzle "${data.id}" has no name`);
+    if (!Array.isArray(data.tiles)) throw new Error(`Puzzle "${data.id}" has no tile list`);
+    for (const tile of data.tiles) {
+        if (!tile || !Number.isInteger(tile.faceId)) throw new Error(`Puzzle "${data.id}" has a tile without a face id`);
+        const face = topology && topology.faces[tile.faceId];
+        if (topology && !face) throw new Error(`Puzzle "${data.id}" has a tile on unknown face ${tile.faceId}`);
+        // Stacks only ever hold the face's own shape, so anything else could never have landed there
+        if (face && tile.shape !== face.shape) {
+            throw new Error(`Puzzle "${data.id}" puts a ${tile.shape} tile on ${face.shape} face ${tile.faceId}`);
+        }
+        if (tile.color !== undefined && parseTileColor(tile.color) === null) {
+            throw new Error(`Puzzle "${data.id}" has a tile with unreadable colour ${JSON.stringify(tile.color)}`);
+        }
+    }
+    if (!Array.isArray(data.pieces) || data.pieces.length === 0) throw new Error(`Puzzle "${data.id}" has no pieces`);
+    const unknownPiece = data.pieces.find(type => !PIECE_TYPES[type]);
+    if (unknownPiece !== undefined) throw new Error(`Puzzle "${data.id}" deals unknown piece "${unknownPiece}"`);
+    const goal = data.goal;
+    if (!goal || !PUZZLE_GOALS[goal.type]) {
+        throw new Error(`Puzzle "${data.id}" needs a goal of type ${Object.keys(PUZZLE_GOALS).join(' or ')}`);
+    }
+    if (goal.type === 'layers' && (!Number.isInteger(goal.count) || goal.count < 1)) {
+        throw new Error(`Puzzle "${data.id}" needs a layer count of at least 1`);
+    }
+    if (goal.type === 'clearBoard' && data.tiles.length === 0) throw new Error(`Puzzle "${data.id}" has nothing to clear`);
+    return data;
+}
+
+// Colour number for a tile's colour field ('#rrggbb' or a number), or null when unreadable
+export function parseTileColor(color) {
+    if (Number.isInteger(color) && color >= 0 && color <= 0xffffff) return color;
+    if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) return parseInt(color.slice(1), 16);
+    return null;
+}
+
+// One line for the HUD, e.g. "Clear 2 layers"
+export function describeGoal(goal) {
+    if (goal.type === 'clearBoard') return PUZZLE_GOALS.clearBoard;
+    return `Clear ${goal.count} ${goal.count === 1 ? 'layer' : 'layers'}`;
+}
@@ -0,0 +1,36 @@
+// SphereTris - core/random.js
+// Seeded PRNG so a game can be re-run from its seed (Math.random() cannot be seeded).
+
+// Mulberry32 - small, fast 32-bit generator. Returns floats in [0, 1).
+// getState()/setState() let a saved game carry on with the same sequence.
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.getState = () => state;
+    random.setState = (value) => { state = value >>> 0; };
+    return random;
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+}
+
+// Turn a user-supplied seed (e.g. from the URL) into a 32-bit integer.
+// Plain numbers are used as-is; any other text is hashed (FNV-1a) so "?seed=friday" works too.
+export function parseSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
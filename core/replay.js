@@ -0,0 +1,170 @@
+// SphereTris - core/replay.js
+// A replay is the seed, the rules and the game's input log. Because the core runs in
+// fixed steps and every random choice comes from the seed, re-applying the inputs at
+// the same steps reproduces the game exactly - no board snapshots needed.
+
+import { EventEmitter } from './EventEmitter.js';
+import { SpheretrisGame, STEP } from './SpheretrisGame.js';
+
+export const REPLAY_VERSION = 2; // 2: layers are shells of the face stacks (see SpheretrisGame)
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+export function createReplay(game) {
+    return {
+        version: REPLAY_VERSION,
+        seed: game.seed,
+        randomizer: game.randomizer,
+        config: { ...game.config },
+        steps: game.stepCount,
+        score: game.score,
+        recordedAt: new Date().toISOString(),
+        inputs: game.inputLog.map(entry => [...entry])
+    };
+}
+
+// Throws with a readable message when data is not a replay we can play
+export function validateReplay(data) {
+    if (!data || typeof data !== 'object') throw new Error('Replay file is not a JSON object');
+    if (data.version === 1) {
+        // Those games cleared layers by tile distance from the centre, so they wouldn't play out the same
+        throw new Error('Replay was recorded before layers became shells and can no longer be played back');
+    }
+    if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`);
+    if (!Number.isInteger(data.seed) || data.seed < 0) throw new Error('Replay has no valid seed');
+    if (!Number.isInteger(data.steps) || data.steps < 0) throw new Error('Replay has no valid step count');
+    if (!Array.isArray(data.inputs)) throw new Error('Replay has no input log');
+    let previousStep = 0;
+    for (const entry of data.inputs) {
+        if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || typeof entry[1] !== 'string') {
+            throw new Error(`Malformed replay input: ${JSON.stringify(entry)}`);
+        }
+        if (entry[0] < previousStep) throw new Error('Replay inputs are out of order');
+        previousStep = entry[0];
+    }
+    return data;
+}
+
+// Re-issue one logged command. Entries look like [step, type, ...args].
+export function applyInput(game, entry) {
+    const [, type, ...args] = entry;
+    switch (type) {
+        case 'n': game.spawn(); break;
+        case 'r': game.rotate(args.slice(0, 3), args[3]); break;
+        case 'd': game.drop(); break;
+        case 'h': game.hold(); break;
+        case 't': game.twist(args[0]); break;
+        case 'f': game.snapToFace(args[0]); break;
+        case 'v': game.setSoftDrop(args[0] === 1); break;
+        case 'e': game.endGame(); break;
+        case 's': game.forceNextShape(args[0]); break;
+        default: throw new Error(`Unknown replay input type "${type}"`);
+    }
+}
+
+// Plays a replay back on its own SpheretrisGame. Front-ends listen to player.game the
+// same way they would for a live game; after a seek a fresh game is announced via 'reset'.
+export class ReplayPlayer extends EventEmitter {
+    constructor(replay, { topology } = {}) {
+        super();
+        this.replay = validateReplay(replay);
+        this.topology = topology;
+        this.speed = 1;
+        this.paused = false;
+        this._accumulator = 0;
+        this._startGame();
+    }
+
+    get totalSteps() {
+        return this.replay.steps;
+    }
+
+    get duration() {
+        return this.replay.steps * STEP;
+    }
+
+    get currentTime() {
+        return this.game.stepCount * STEP;
+    }
+
+    get interpolationAlpha() {
+        return this._accumulator / STEP;
+    }
+
+    get finished() {
+        return this.game.stepCount >= this.replay.steps || this.game.isGameOver;
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.min(4, Math.max(0.5, speed));
+        this.emit('state', this);
+    }
+
+    pause() {
+        this.paused = true;
+        this.emit('state', this);
+    }
+
+    play() {
+        // Playing again from the end starts over
+        if (this.finished) this.seek(0);
+        this.paused = false;
+        this.emit('state', this);
+    }
+
+    // Advance by dt seconds of real time, scaled by the playback speed. beforeStep works
+    // like it does for SpheretrisGame.tick(): returning false stops playback for this update.
+    update(dt, beforeStep) {
+        if (this.paused || this.finished) return;
+        this._accumulator += dt * this.speed;
+        const steps = Math.floor(this._accumulator / STEP);
+        this._accumulator -= steps * STEP;
+        if (!this._stepTo(Math.min(this.replay.steps, this.game.stepCount + steps), beforeStep)) this._accumulator = 0;
+
+        if (this.finished) {
+            this.paused = true;
+            this.emit('end', this);
+            this.emit('state', this);
+        }
+    }
+
+    // Jump to a step by re-simulating from the start on a fresh game
+    seek(targetStep) {
+        const step = Math.max(0, Math.min(this.replay.steps, Math.round(targetStep)));
+        this._startGame();
+        this._stepTo(step);
+        this._accumulator = 0;
+        this.emit('reset', { game: this.game });
+        this.emit('state', this);
+    }
+
+    _startGame() {
+        this.game = new SpheretrisGame({
+            topology: this.topology,
+            seed: this.replay.seed,
+            randomizer: this.replay.randomizer,
+            config: this.replay.config
+        });
+        this._cursor = 0;
+        this._applyPendingInputs();
+    }
+
+    // Whether it got there (or the game ended) without beforeStep stopping it
+    _stepTo(targetStep, beforeStep) {
+        while (this.game.stepCount < targetStep && !this.game.isGameOver) {
+            if (beforeStep && beforeStep(STEP) === false) return false;
+            this.game.step();
+            this._applyPendingInputs();
+        }
+        return true;
+    }
+
+    // Inputs logged at step N were issued after N steps had run
+    _applyPendingInputs() {
+        const inputs = this.replay.inputs;
+        while (this._cursor < inputs.length && inputs[this._cursor][0] <= this.game.stepCount) {
+            applyInput(this.game, inputs[this._cursor]);
+            this._cursor++;
+        }
+    }
+}
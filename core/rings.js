@@ -0,0 +1,78 @@
+// SphereTris - core/rings.js
+// Closed rings of faces for the 'rings' clear rule, where a ring clears on its own instead
+// of waiting for a whole shell. Two families: the latitude belts around the ball's up axis
+// as it is turned now, and the great circles of ten hexagons around each pair of opposite
+// pentagons. The belts follow the face nearest the top, so turning the ball changes them;
+// the orientation is simulated state, so a replay or a resumed save sees the same belts.
+
+import { vec3Dot } from './math.js';
+
+// Clear rules a game can be played with (config.clearRule), with their labels. 'colors'
+// pops groups of matching tiles instead of layers (see core/colorGroups.js).
+export const CLEAR_RULES = {
+    shells: 'Full layers',
+    rings: 'Rings',
+    colors: 'Colour groups'
+};
+
+// Ring family labels, for front-ends
+export const RING_KINDS = {
+    latitude: 'Latitude belt',
+    greatCircle: 'Great circle'
+};
+
+// Every clear ring on the ball with up (a ball-local direction) at the top: [{ id, kind,
+// faces: [faceId...] }]. Latitude belts come first, top to bottom, then the great circles.
+// Faces appear in several rings. Any face on top gives four belts, so ids stay put.
+export function findClearRings(topology, up = [0, 1, 0]) {
+    const rings = [...latitudeBelts(topology, topFace(topology, up)), ...greatCircles(topology)];
+    return rings.map((ring, id) => ({ id, ...ring }));
+}
+
+// The face the up axis (ball-local) passes through - the one the latitude belts circle
+export function topFace(topology, up) {
+    return topology.faces.reduce((best, face) => (vec3Dot(face.normal, up) > vec3Dot(best.normal, up) ? face : best));
+}
+
+// Faces grouped by how many steps they are from the top face. Each group between the two
+// poles closes into a loop around the ball.
+function latitudeBelts(topology, top) {
+    const distance = new Map([[top.id, 0]]);
+    const queue = [top.id];
+    while (queue.length > 0) {
+        const faceId = queue.shift();
+        for (const neighborId of topology.faces[faceId].neighbors) {
+            if (distance.has(neighborId)) continue;
+            distance.set(neighborId, distance.get(faceId) + 1);
+            queue.push(neighborId);
+        }
+    }
+    const bands = [];
+    for (const [faceId, steps] of distance) {
+        if (!bands[steps]) bands[steps] = [];
+        bands[steps].push(faceId);
+    }
+    // Only a closed loop is a ring: every face in it touches exactly two others (the poles don't)
+    return bands
+        .filter(faces => faces.every(faceId => (
+            topology.faces[faceId].neighbors.filter(neighborId => faces.includes(neighborId)).length === 2
+        )))
+        .map(faces => ({ kind: 'latitude', faces: faces.sort((a, b) => a - b) }));
+}
+
+// The hexagons halfway between two opposite pentagons - six circles of ten
+function greatCircles(topology) {
+    const circles = [];
+    const seen = new Set();
+    for (const pole of topology.faces.filter(face => face.shape === 'pent')) {
+        // Those hexagons sit at about 0.19 of the axis either side; the next faces out are at 0.45
+        const faces = topology.faces
+            .filter(face => face.shape === 'hex' && Math.abs(vec3Dot(face.normal, pole.normal)) < 0.3)
+            .map(face => face.id);
+        const key = faces.join(',');
+        if (faces.length === 0 || seen.has(key)) continue; // The opposite pentagon gives the same circle
+        seen.add(key);
+        circles.push({ kind: 'greatCircle', faces });
+    }
+    return circles;
+}
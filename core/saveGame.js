@@ -0,0 +1,139 @@
+// SphereTris - core/saveGame.js
+// Versioned snapshot of an in-progress game so it can be put away and resumed later.
+// Unlike a replay this stores the board itself, plus the PRNG and randomizer state so the
+// piece sequence carries on exactly where it stopped. The input log is kept too, so a
+// resumed game can still be exported as a replay.
+
+import { SpheretrisGame, SHAPES } from './SpheretrisGame.js';
+import { PIECE_TYPES } from './pieces.js';
+
+export const SAVE_VERSION = 3; // 3: rising garbage can be held back (see SpheretrisGame)
+
+export function serializeGame(game) {
+    if (game.isGameOver) throw new Error('A finished game cannot be saved');
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        seed: game.seed,
+        randomizer: game.randomizer,
+        config: { ...game.config },
+        rngState: game.random.getState(),
+        generatorState: game.nextShape.getState(),
+        stepCount: game.stepCount,
+        score: game.score,
+        level: game.level,
+        stats: { ...game.stats },
+        scoring: game.scoring.getState(),
+        garbage: { ...game.garbage },
+        garbageRngState: game.garbageRandom.getState(),
+        ballQuaternion: [...game.ballQuaternion],
+        snap: game.snap ? { ...game.snap, from: [...game.snap.from], to: [...game.snap.to] } : null,
+        current: game.current ? { ...game.current } : null,
+        queue: game.queue.map(piece => ({ ...piece })),
+        held: game.held ? { ...game.held } : null,
+        canHold: game.canHold,
+        softDropping: game.softDropping,
+        spawnTimer: game.spawnTimer,
+        colorIndex: game.colorIndex,
+        colorRngState: game.colorRandom.getState(),
+        manualShape: game.manualShape,
+        nextTileId: game._nextTileId,
+        tiles: game.activeTiles.map(({ id, shape, color, faceId, stackIndex, rotation }) => (
+            { id, shape, color, faceId, stackIndex, rotation }
+        )),
+        inputLog: game.inputLog.map(entry => [...entry])
+    };
+}
+
+// Throws with a readable message when data is not a save we can restore on this topology
+export function validateSave(data, topology) {
+    if (!data || typeof data !== 'object') throw new Error('Save is not a JSON object');
+    if (Number.isInteger(data.version) && data.version < SAVE_VERSION) {
+        // Older saves may predate shells, multi-cell pieces and held-back garbage; they aren't upgraded
+        throw new Error('Save was made by an older version of the game and can no longer be resumed');
+    }
+    if (data.version !== SAVE_VERSION) throw new Error(`Unsupported save version ${data.version} (expected ${SAVE_VERSION})`);
+    if (!Number.isInteger(data.seed) || data.seed < 0) throw new Error('Save has no valid seed');
+    if (!Array.isArray(data.tiles)) throw new Error('Save has no tile list');
+    if (!Array.isArray(data.inputLog)) throw new Error('Save has no input log');
+    if (!Array.isArray(data.ballQuaternion) || data.ballQuaternion.length !== 4 || !data.ballQuaternion.every(Number.isFinite)) {
+        throw new Error('Save has no ball orientation');
+    }
+    // Restored as saved, bit for bit, so the game carries on like its replay would
+    if (Math.abs(Math.hypot(...data.ballQuaternion) - 1) > 1e-6) throw new Error('Save has a ball orientation that is not a unit quaternion');
+    // A puzzle's queue runs dry towards the end; every other game always has a next piece
+    const queueMayBeEmpty = Boolean(data.config && data.config.puzzle);
+    if (!Array.isArray(data.queue) || (data.queue.length === 0 && !queueMayBeEmpty) || !data.queue.every(isValidPiece)) {
+        throw new Error('Save has no valid piece queue');
+    }
+    if (data.current && !isValidPiece(data.current)) throw new Error('Save has an invalid current piece');
+    if (data.held && !isValidPiece(data.held)) throw new Error('Save has an invalid held piece');
+
+    // Every stack must run 0, 1, 2... from the face outwards
+    const stacks = new Map();
+    for (const tile of data.tiles) {
+        if (!SHAPES.includes(tile.shape)) throw new Error(`Save has a tile with unknown shape "${tile.shape}"`);
+        if (topology && !topology.faces[tile.faceId]) throw new Error(`Save has a tile on unknown face ${tile.faceId}`);
+        if (!stacks.has(tile.faceId)) stacks.set(tile.faceId, []);
+        stacks.get(tile.faceId).push(tile.stackIndex);
+    }
+    for (const [faceId, indices] of stacks) {
+        indices.sort((a, b) => a - b);
+        if (indices.some((stackIndex, i) => stackIndex !== i)) {
+            throw new Error(`Save has a broken tile stack on face ${faceId}`);
+        }
+    }
+    return data;
+}
+
+// Build a game from a save. topology defaults like it does for SpheretrisGame.
+export function restoreGame(data, { topology } = {}) {
+    const game = new SpheretrisGame({ topology, seed: data.seed, randomizer: data.randomizer, config: data.config });
+    validateSave(data, game.topology);
+
+    // The constructor already drew a piece; put the generators back where the save left them
+    game.random.setState(data.rngState);
+    game.nextShape.setState(data.generatorState);
+
+    game.stepCount = data.stepCount;
+    game.score = data.score;
+    game.level = data.level;
+    game.stats = { ...data.stats };
+    game.scoring.setState(data.scoring);
+    game.garbage = { ...data.garbage };
+    game.garbageRandom.setState(data.garbageRngState);
+    game.ballQuaternion = [...data.ballQuaternion];
+    game.previousBallQuaternion = [...game.ballQuaternion];
+    game.stepBallQuaternion = [...game.ballQuaternion];
+    game.snap = data.snap ? { ...data.snap, from: [...data.snap.from], to: [...data.snap.to] } : null;
+    game.current = data.current ? { ...data.current } : null;
+    game.queue = data.queue.map(piece => ({ ...piece }));
+    game.held = data.held ? { ...data.held } : null;
+    game.canHold = data.canHold;
+    game.softDropping = data.softDropping;
+    game.spawnTimer = data.spawnTimer;
+    game.colorIndex = data.colorIndex;
+    game.colorRandom.setState(data.colorRngState);
+    game.manualShape = data.manualShape;
+    game.inputLog = data.inputLog.map(entry => [...entry]);
+
+    // The saved tiles replace the board the constructor laid out for a puzzle
+    game.activeTiles = [];
+    game.occupiedFaces.clear();
+    for (const saved of data.tiles) {
+        const tile = { ...saved };
+        game.activeTiles.push(tile);
+        if (!game.occupiedFaces.has(tile.faceId)) game.occupiedFaces.set(tile.faceId, []);
+        game.occupiedFaces.get(tile.faceId).push(tile);
+    }
+    for (const stack of game.occupiedFaces.values()) {
+        stack.sort((a, b) => a.stackIndex - b.stackIndex);
+    }
+    game._nextTileId = data.nextTileId;
+    return game;
+}
+
+function isValidPiece(piece) {
+    const type = PIECE_TYPES[piece.type];
+    return Boolean(type) && type.anchor === piece.shape;
+}
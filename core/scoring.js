@@ -0,0 +1,84 @@
+// SphereTris - core/scoring.js
+// Works out what a clear is worth and keeps the running combo, back-to-back streak and a
+// per-source breakdown of the score. The game still owns the score itself; this only
+// prices each placement and remembers where the points came from.
+
+// Breakdown sources with the label the game over screen shows for them
+export const SCORE_SOURCES = {
+    tiles: 'Cleared tiles',
+    multiLayer: 'Multi-layer bonus',
+    backToBack: 'Back-to-back',
+    combo: 'Combos',
+    chain: 'Chains',
+    perfectSphere: 'Perfect sphere',
+    level: 'Level multiplier',
+    softDrop: 'Soft drop',
+    penalty: 'Mismatch penalties'
+};
+
+export class ScoreKeeper {
+    // config: the game's - reads tileScore, multiLayerBonus, comboBonus, chainBonus,
+    // backToBackBonus, perfectSphereBonus and levelMultiplier
+    constructor(config) {
+        this.config = config;
+        this.combo = 0; // Placements in a row that cleared something
+        this.backToBack = false; // Whether the last clear was a multi-layer one
+        this.maxCombo = 0;
+        this.breakdown = Object.fromEntries(Object.keys(SCORE_SOURCES).map(source => [source, 0]));
+    }
+
+    // Price a placement that cleared layers: { layers, tiles, boardEmpty, level, chain }, level
+    // being the one the clear happened on and chain the step of a colour chain (1 for the clear
+    // the piece itself set off). Later steps belong to the same placement, so they don't add to
+    // the combo. Returns { points, parts, combo, chain, backToBack, perfectSphere, levelMultiplier }.
+    scoreClear({ layers, tiles, boardEmpty, level, chain = 1 }) {
+        const { config } = this;
+        const multiLayer = layers > 1;
+        if (chain === 1) this.combo++;
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+
+        const parts = {
+            tiles: tiles * config.tileScore,
+            multiLayer: multiLayer ? layers * config.multiLayerBonus : 0
+        };
+        // Back-to-back: a multi-layer clear straight after another one adds a share of its base
+        const backToBack = multiLayer && this.backToBack;
+        parts.backToBack = backToBack ? Math.round((parts.tiles + parts.multiLayer) * config.backToBackBonus) : 0;
+        parts.combo = chain === 1 ? (this.combo - 1) * config.comboBonus : 0;
+        parts.chain = chain > 1 ? config.chainBonus * 2 ** (chain - 2) : 0;
+        parts.perfectSphere = boardEmpty ? config.perfectSphereBonus : 0;
+        const subtotal = parts.tiles + parts.multiLayer + parts.backToBack + parts.combo + parts.chain + parts.perfectSphere;
+        const levelMultiplier = 1 + (level - 1) * config.levelMultiplier;
+        parts.level = Math.round(subtotal * (levelMultiplier - 1));
+        this.backToBack = multiLayer;
+
+        let points = 0;
+        for (const [source, value] of Object.entries(parts)) {
+            this.breakdown[source] += value;
+            points += value;
+        }
+        return { points, parts, combo: this.combo, chain, backToBack, perfectSphere: boardEmpty, levelMultiplier };
+    }
+
+    // A piece landed without clearing, or was rejected - the combo is over
+    breakCombo() {
+        this.combo = 0;
+    }
+
+    // Points that don't come from clears (negative for penalties)
+    record(source, points) {
+        if (!(source in this.breakdown)) throw new Error(`Unknown score source "${source}"`);
+        this.breakdown[source] += points;
+    }
+
+    getState() {
+        return { combo: this.combo, backToBack: this.backToBack, maxCombo: this.maxCombo, breakdown: { ...this.breakdown } };
+    }
+
+    setState(state) {
+        this.combo = state.combo;
+        this.backToBack = state.backToBack;
+        this.maxCombo = state.maxCombo;
+        this.breakdown = { ...this.breakdown, ...state.breakdown };
+    }
+}
@@ -0,0 +1,101 @@
+// SphereTris - core/timeline.js
+// Tweens for timed effects, advanced by hand (update(dt)) rather than by timers so they run
+// on game time: in step with the simulation, replay speed and pause. Steps queued on a
+// named track play one after another, which is how a clear's fade, the settle after it and
+// the next chain step line up without callback chains.
+
+// Easing curves, progress 0 -> 1 in and out
+export const EASINGS = {
+    linear: t => t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - (1 - t) ** 3,
+    // Runs slightly past the end and comes back - a small bounce on arrival
+    easeOutBack: t => 1 + 2.2 * (t - 1) ** 3 + 1.2 * (t - 1) ** 2
+};
+
+// Rounds of callbacks adding tweens that finish() completes before it drops the rest
+const FINISH_ROUNDS = 100;
+
+export class Timeline {
+    constructor() {
+        this.tweens = [];
+        this.tracks = new Map(); // Track name -> { running: tweens of the current step, waiting: steps }
+        this._collecting = null; // Tweens added by the step being started
+    }
+
+    // After delay seconds, call onUpdate(eased progress) on every update for duration seconds,
+    // then onComplete. ease names one of EASINGS. A detached tween added by a queued step
+    // doesn't hold up the steps after it (a popup that outlasts the clear). Returns the tween.
+    add({ duration, delay = 0, ease = 'linear', detached = false, onUpdate = null, onComplete = null }) {
+        if (!EASINGS[ease]) throw new Error(`Unknown easing "${ease}" (expected one of ${Object.keys(EASINGS).join(', ')})`);
+        const tween = { elapsed: -delay, duration, ease: EASINGS[ease], onUpdate, onComplete, done: false };
+        this.tweens.push(tween);
+        if (this._collecting && !detached) this._collecting.push(tween);
+        return tween;
+    }
+
+    // Nothing but a pause, e.g. between two queued steps
+    wait(seconds, onComplete = null) {
+        return this.add({ duration: seconds, onComplete });
+    }
+
+    // Run step() once every step queued on track before it has finished. A step is finished
+    // when all the tweens it added while it ran are, detached ones aside.
+    queue(track, step) {
+        if (!this.tracks.has(track)) this.tracks.set(track, { running: null, waiting: [] });
+        this.tracks.get(track).waiting.push(step);
+        this._advanceTrack(track);
+    }
+
+    // Whether track has a step playing or waiting
+    isBusy(track) {
+        const state = this.tracks.get(track);
+        return Boolean(state && (state.running || state.waiting.length > 0));
+    }
+
+    update(dt) {
+        // Copy so callbacks can add tweens while we iterate; one that calls finish() has
+        // already completed the rest
+        for (const tween of [...this.tweens]) {
+            if (tween.done) continue;
+            tween.elapsed += dt;
+            if (tween.elapsed < 0) continue; // Still in its delay
+            const progress = tween.duration > 0 ? Math.min(tween.elapsed / tween.duration, 1) : 1;
+            if (tween.onUpdate) tween.onUpdate(tween.ease(progress));
+            if (progress >= 1) {
+                tween.done = true;
+                const index = this.tweens.indexOf(tween);
+                if (index !== -1) this.tweens.splice(index, 1);
+                if (tween.onComplete) tween.onComplete();
+            }
+        }
+        for (const track of this.tracks.keys()) this._advanceTrack(track);
+    }
+
+    // Jump every running tween to its end and drop the queued steps that haven't started
+    // (used before the board they were for is rebuilt). Tweens their callbacks add are
+    // finished too, up to FINISH_ROUNDS deep, so one that keeps adding more can't hang it.
+    finish() {
+        for (const state of this.tracks.values()) state.waiting = [];
+        for (let round = 0; round < FINISH_ROUNDS && this.tweens.length > 0; round++) this.update(Infinity);
+        this.tweens = [];
+        this.tracks.clear();
+    }
+
+    // Start the track's next step once the current one is done, skipping steps that add no tweens
+    _advanceTrack(track) {
+        const state = this.tracks.get(track);
+        while (!(state.running && state.running.some(tween => !tween.done)) && state.waiting.length > 0) {
+            // A step can queue onto another track, which starts that track's step inside this one
+            const outer = this._collecting;
+            this._collecting = [];
+            try {
+                state.waiting.shift()();
+                state.running = this._collecting;
+            } finally {
+                this._collecting = outer;
+            }
+        }
+        if (state.running && state.running.every(tween => tween.done)) state.running = null;
+    }
+}
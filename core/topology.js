@@ -0,0 +1,169 @@
+// SphereTris - core/topology.js
+// Logical face graph of the ball (a truncated icosahedron: 12 pentagons, 20 hexagons).
+// Built once up front so the game never has to scan mesh triangles to find out
+// which face it is on, what shape it is or what is next to it.
+
+import {
+    vec3Add, vec3Sub, vec3Scale, vec3Dot, vec3Cross, vec3Length, vec3Normalize,
+    quatFromAxisAngle, quatMultiply, quatRotateVec3
+} from './math.js';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+// Distance from the centre to a hexagon face in assets/soccer_ball.glb
+export const SOCCER_BALL_HEX_DISTANCE = 3.19989;
+
+// Builds the face graph from vertex positions and, per face, the vertex ids around it.
+// Rings are re-ordered counter-clockwise when seen from outside the ball.
+export function buildTopology(vertices, faceRings) {
+    const faces = faceRings.map((ringIds, id) => {
+        const center = vec3Scale(ringIds.reduce((sum, v) => vec3Add(sum, vertices[v]), [0, 0, 0]), 1 / ringIds.length);
+        const normal = vec3Normalize(center);
+        const ring = sortRing(vertices, ringIds, center, normal);
+        return {
+            id,
+            shape: ring.length === 5 ? 'pent' : 'hex',
+            center,
+            normal,
+            ring,
+            ref: vertices[ring[0]], // Corner 0 - a tile with rotation 0 lines its first corner up with it
+            neighbors: []
+        };
+    });
+
+    // Faces that share an edge (two vertices) are neighbours. neighbors[i] is the face
+    // across the edge from ring[i] to ring[i + 1], so they run counter-clockwise too.
+    const edgeKey = (face, i) => {
+        const v = face.ring[i];
+        const w = face.ring[(i + 1) % face.ring.length];
+        return v < w ? `${v}-${w}` : `${w}-${v}`;
+    };
+    const facesByEdge = new Map();
+    for (const face of faces) {
+        face.ring.forEach((v, i) => {
+            const key = edgeKey(face, i);
+            if (!facesByEdge.has(key)) facesByEdge.set(key, []);
+            facesByEdge.get(key).push(face.id);
+        });
+    }
+    for (const face of faces) {
+        face.neighbors = face.ring
+            .map((v, i) => facesByEdge.get(edgeKey(face, i)).find(id => id !== face.id))
+            .filter(id => id !== undefined); // Open edges (not on a closed ball) have no neighbour
+    }
+
+    return { vertices, faces, triangleToFace: [] };
+}
+
+function sortRing(vertices, ringIds, center, normal) {
+    const axisX = vec3Normalize(vec3Sub(vertices[ringIds[0]], center));
+    const axisY = vec3Cross(normal, axisX);
+    const angleOf = v => {
+        const offset = vec3Sub(vertices[v], center);
+        const angle = Math.atan2(vec3Dot(offset, axisY), vec3Dot(offset, axisX));
+        return angle < -1e-9 ? angle + 2 * Math.PI : Math.max(0, angle);
+    };
+    return [...ringIds].sort((a, b) => angleOf(a) - angleOf(b));
+}
+
+// Procedural truncated icosahedron, scaled and oriented to match assets/soccer_ball.glb
+// (a hexagon at the top and bottom of the ball) so headless games and the page agree on face ids.
+export function createSoccerBallTopology() {
+    // Canonical coordinates (edge length 2): even permutations of
+    // (0, ±1, ±3φ), (±1, ±(2 + φ), ±2φ), (±φ, ±2, ±φ³)
+    const canonical = [];
+    for (const base of [[0, 1, 3 * PHI], [1, 2 + PHI, 2 * PHI], [PHI, 2, PHI * PHI * PHI]]) {
+        for (let signs = 0; signs < 8; signs++) {
+            const v = base.map((x, i) => (signs >> i) & 1 ? -x : x);
+            for (let shift = 0; shift < 3; shift++) {
+                const p = [v[shift % 3], v[(shift + 1) % 3], v[(shift + 2) % 3]];
+                if (!canonical.some(q => vec3Length(vec3Sub(p, q)) < 1e-9)) canonical.push(p);
+            }
+        }
+    }
+
+    // Face directions: pentagons sit on the icosahedron's vertices, hexagons on its face centres
+    const directions = [];
+    for (const base of [[0, 1, PHI], [1, 1, 1], [0, PHI, 1 / PHI]]) {
+        for (let signs = 0; signs < 8; signs++) {
+            const v = base.map((x, i) => (signs >> i) & 1 ? -x : x);
+            for (let shift = 0; shift < 3; shift++) {
+                const p = vec3Normalize([v[shift % 3], v[(shift + 1) % 3], v[(shift + 2) % 3]]);
+                if (!directions.some(q => vec3Length(vec3Sub(p, q)) < 1e-9)) directions.push(p);
+            }
+        }
+    }
+
+    const faceRings = directions.map(direction => {
+        const distances = canonical.map(v => vec3Dot(v, direction));
+        const maxDistance = Math.max(...distances);
+        return distances.flatMap((d, v) => Math.abs(d - maxDistance) < 1e-6 ? [v] : []);
+    });
+
+    // Orientation: hexagon [1, 1, 1] straight up, then spin about Y so the pentagon
+    // [1, φ, 0] ends up in the +Z half of the YZ plane, like the model
+    const up = vec3Normalize([1, 1, 1]);
+    const tilt = vec3Cross(up, [0, 1, 0]);
+    const toUp = quatFromAxisAngle(tilt, Math.acos(vec3Dot(up, [0, 1, 0])));
+    const pent = quatRotateVec3(toUp, vec3Normalize([1, PHI, 0]));
+    const spin = quatFromAxisAngle([0, 1, 0], -Math.atan2(pent[0], pent[2]));
+    const orientation = quatMultiply(spin, toUp);
+
+    const hexDistance = Math.max(...canonical.map(v => vec3Dot(v, up)));
+    const scale = SOCCER_BALL_HEX_DISTANCE / hexDistance;
+    const vertices = canonical.map(v => vec3Scale(quatRotateVec3(orientation, v), scale));
+
+    // Order faces top to bottom so ids read naturally in logs
+    faceRings.sort((a, b) => ringHeight(vertices, b) - ringHeight(vertices, a));
+    return buildTopology(vertices, faceRings);
+}
+
+function ringHeight(vertices, ring) {
+    return ring.reduce((sum, v) => sum + vertices[v][1], 0) / ring.length;
+}
+
+// Map each triangle of a render mesh to the logical face it lies on.
+// positions: flat [x, y, z, ...] already in the ball's local space; indices optional.
+export function mapTrianglesToFaces(topology, positions, indices) {
+    const triangleCount = indices ? indices.length / 3 : positions.length / 9;
+    const vertexAt = (triangle, corner) => {
+        const v = indices ? indices[triangle * 3 + corner] : triangle * 3 + corner;
+        return [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]];
+    };
+
+    const triangleToFace = [];
+    for (let t = 0; t < triangleCount; t++) {
+        const a = vertexAt(t, 0), b = vertexAt(t, 1), c = vertexAt(t, 2);
+        const centroid = vec3Scale(vec3Add(vec3Add(a, b), c), 1 / 3);
+        let normal = vec3Normalize(vec3Cross(vec3Sub(b, a), vec3Sub(c, a)));
+        if (vec3Dot(normal, centroid) < 0) normal = vec3Scale(normal, -1); // Winding can go either way
+
+        let bestFace = -1;
+        let bestDot = -Infinity;
+        for (const face of topology.faces) {
+            const dot = vec3Dot(face.normal, normal);
+            if (dot > bestDot) {
+                bestDot = dot;
+                bestFace = face.id;
+            }
+        }
+        triangleToFace.push(bestFace);
+    }
+    topology.triangleToFace = triangleToFace;
+    return triangleToFace;
+}
+
+// The face a ray from outside the ball towards its centre crosses first.
+// direction: unit vector from the centre towards the ray's origin, in ball space.
+// Returns { face, distance } where distance is measured from the centre along the ray.
+export function faceAlongDirection(topology, direction) {
+    // Convex polyhedron: the ray crosses the face whose plane it meets closest to the centre
+    let best = null;
+    for (const face of topology.faces) {
+        const cos = vec3Dot(face.normal, direction);
+        if (cos <= 1e-6) continue;
+        const distance = vec3Dot(face.center, face.normal) / cos;
+        if (!best || distance < best.distance) best = { face, distance, cos };
+    }
+    return best;
+}
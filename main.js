@@ -3,6 +3,24 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { SpheretrisGame, DEFAULT_CONFIG } from './core/SpheretrisGame.js';
+import { createSoccerBallTopology, mapTrianglesToFaces } from './core/topology.js';
+import { RANDOMIZERS } from './core/pieceGenerator.js';
+import { PIECE_TYPES, PIECE_SETS, armAngle, twistAngle } from './core/pieces.js';
+import { parseSeed, randomSeed } from './core/random.js';
+import { createReplay, ReplayPlayer, REPLAY_SPEEDS } from './core/replay.js';
+import { GameStateMachine, GAME_STATES } from './core/GameStateMachine.js';
+import { serializeGame, restoreGame, validateSave } from './core/saveGame.js';
+import { Leaderboard } from './core/leaderboard.js';
+import { InputBindings, INPUT_ACTIONS } from './core/inputBindings.js';
+import { DIFFICULTIES, CUSTOM_DIFFICULTY_FIELDS, isDifficulty, difficultyOptions, customDifficultyConfig } from './core/difficulty.js';
+import { SCORE_SOURCES } from './core/scoring.js';
+import { GAME_MODES, PRESSURE_LEVELS, isGameMode, isPressureLevel, modeConfig, pressureConfig, leaderboardMode, modeRanking } from './core/modes.js';
+import { validatePuzzle, describeGoal, PUZZLE_GOALS } from './core/puzzles.js';
+import { LevelEditor } from './core/levelEditor.js';
+import { CLEAR_RULES, RING_KINDS } from './core/rings.js';
+import { Timeline } from './core/timeline.js';
+import { EFFECT_QUALITIES, isEffectQuality, effectSettings, burstParticles, rejectFade } from './core/effects.js';
 
 console.log("SphereTris starting...");
 
@@ -31,19 +49,7 @@ controls.maxDistance = 10;
 
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
-
-// --- Tile Configuration ---
-
-const tileColors = [
-    0x00bcd4, 0xff5722, 0x4caf50, 0xffeb3b, 0x9c27b0, 0xf44336, 0x2196f3
-];
-let colorIndex = 0;
-
-function getNextColor() {
-    const color = tileColors[colorIndex];
-    colorIndex = (colorIndex + 1) % tileColors.length;
-    return color;
-}
+const clock = new THREE.Clock();
 
 // --- Tile Geometries ---
 // Define radii
@@ -51,7 +57,6 @@ const hexRadius = 1.417;
 const pentRadius = 1.25; // Adjusted from 1.28 for better fit
 
 const extrudeSettings = { steps: 1, depth: 0.12, bevelEnabled: false };
-const tileDepth = extrudeSettings.depth;
 
 // Hexagon
 const hexShape = new THREE.Shape();
@@ -68,48 +73,145 @@ const pentShape = new THREE.Shape();
 pentShape.moveTo(pentRadius * Math.cos(0), pentRadius * Math.sin(0));
 for (let i = 1; i <= 5; i++) {
     pentShape.lineTo(
-        pentRadius * Math.cos(i * 2 * Math.PI / 5), 
+        pentRadius * Math.cos(i * 2 * Math.PI / 5),
         pentRadius * Math.sin(i * 2 * Math.PI / 5)
     );
 }
 const pentGeometry = new THREE.ExtrudeGeometry(pentShape, extrudeSettings);
 pentGeometry.center();
 
-// Store geometries for random selection
-const tileGeometries = [hexGeometry, pentGeometry];
-
-// --- Game State ---
-
-let activeTiles = [];
-let currentFallingTile = null;
-let ghostTile = null; // Ghost tile to show landing position
-const fallSpeed = 0.005;
-const spawnHeight = 7.0;
-const keyState = {};
-let score = 0;
-let level = 1;
-let isGameOver = false; // Added for game over state
-
-const GAME_OVER_LAYER_THRESHOLD = 4.2;
-const GAME_OVER_WORLD_Y_THRESHOLD = 2.5; // World Y position indicating top-out on the outermost layer
+// Map the game core's shape names to geometries
+const tileGeometries = { hex: hexGeometry, pent: pentGeometry };
 
-// Track which face each tile is placed on
-const occupiedFaces = new Map(); // Maps face index -> tile
+// Distance between neighbouring face centres, used to lay out multi-cell pieces off the ball
+let pieceCellSpacing = 2.4;
 
-// Track tiles by their layers
-const layerTiles = new Map(); // Maps layer number -> array of tiles
+// --- Game State ---
+// Rules and board state live in the SpheretrisGame core; this file only renders them.
+
+let game = null;
+let unbindGameEvents = null; // Detaches the scene from the current game before swapping it out
+let replayPlayer = null; // Set while watching a replay - it drives the game instead of the keyboard
+let currentFallingTile = null; // Group holding one mesh per cell of the game's current piece
+let ghostTile = null; // Ghost cells showing the landing position
+let ghostKey = null; // Cell faces/stack indices/shapes the ghost was built for
+let faceHighlight = null; // Outline of the target face in snap rotation mode
+let faceHighlightKey = null; // faceId/stack height the outline was built for
+// Actions held down per device (see the Input section), e.g. heldActions.keyboard.has('rotateLeft')
+const heldActions = { keyboard: new Set(), gamepad: new Set() };
+
+// Track the mesh for each landed tile
+const tileMeshes = new Map(); // Maps tile id -> mesh
+
+// Which screen is up; the game only ticks and takes input while PLAYING
+const appState = new GameStateMachine(GAME_STATES.LOADING);
+appState.on('change', () => updateStateScreens());
+createLoadingScreen();
+
+// --- URL Options ---
+// ?seed=1234 (or any text) deals the same piece sequence on every machine,
+// ?randomizer=random|bag|weighted picks how shapes are chosen (instead of the difficulty's),
+// ?difficulty=easy|normal|hard|custom preselects the difficulty,
+// ?mode=classic|sprint|ultra|zen|puzzle preselects the game mode,
+// ?pressure=off|pieces|timed preselects rising garbage,
+// ?clears=shells|rings|colors preselects the clear rule for the starting mode,
+// ?preview=1-6 sets how many upcoming pieces are shown,
+// ?pieces=classic|compound adds the multi-cell pieces,
+// ?rotation=free|snap picks how the arrow keys turn the ball (R switches in game),
+// ?effects=off|low|high sets the particle quality and ?motion=reduced|full the reduced
+// motion option (both instead of the ones picked last)
+const urlParams = new URLSearchParams(window.location.search);
+const urlSeed = urlParams.has('seed') ? parseSeed(urlParams.get('seed')) : null;
+let urlRandomizer = urlParams.get('randomizer');
+if (urlRandomizer && !RANDOMIZERS[urlRandomizer]) {
+    console.warn(`Unknown randomizer "${urlRandomizer}", using the difficulty's`);
+    urlRandomizer = null;
+}
+const gameConfig = {};
+if (urlParams.has('preview')) {
+    gameConfig.previewCount = Math.min(6, Math.max(1, parseInt(urlParams.get('preview'), 10) || 1));
+}
+if (urlParams.has('pieces')) {
+    if (PIECE_SETS[urlParams.get('pieces')]) gameConfig.pieceSet = urlParams.get('pieces');
+    else console.warn(`Unknown piece set "${urlParams.get('pieces')}", falling back to "classic"`);
+}
+// 'free' spins the ball while an arrow is held; 'snap' turns it one neighbouring face per press
+let rotationMode = urlParams.get('rotation') === 'snap' ? 'snap' : 'free';
+
+// --- Difficulty ---
+// Picked on the title screen and remembered; the custom numbers are kept separately
+
+const DIFFICULTY_KEY = 'spheretris-difficulty';
+const CUSTOM_DIFFICULTY_KEY = 'spheretris-custom-difficulty';
+let selectedDifficulty = [urlParams.get('difficulty'), readStoredText(DIFFICULTY_KEY)].find(isDifficulty) || 'normal';
+let customDifficultySettings = readCustomDifficulty();
+
+function readCustomDifficulty() {
+    try {
+        return customDifficultyConfig(JSON.parse(readStoredText(CUSTOM_DIFFICULTY_KEY) || '{}'));
+    } catch (error) {
+        console.warn('Ignoring unreadable custom difficulty:', error);
+        return {};
+    }
+}
 
-// --- Game State for Next Piece ---
-let nextTileGeometry = null;
-let nextTileColor = null;
+// --- Game Mode ---
+// Picked on the title screen next to the difficulty, along with the pressure (rising
+// garbage) and the clear rule (remembered per mode) for every mode but Puzzle. Puzzles
+// come from levels/index.json.
+
+const MODE_KEY = 'spheretris-mode';
+const PUZZLE_KEY = 'spheretris-puzzle';
+const PRESSURE_KEY = 'spheretris-pressure';
+const CLEAR_RULES_KEY = 'spheretris-clear-rules';
+let selectedMode = [urlParams.get('mode'), readStoredText(MODE_KEY)].find(isGameMode) || 'classic';
+let selectedPressure = [urlParams.get('pressure'), readStoredText(PRESSURE_KEY)].find(isPressureLevel) || 'off';
+let selectedClearRules = readClearRules(); // Mode -> clear rule, for modes that aren't on 'shells'
+if (CLEAR_RULES[urlParams.get('clears')]) selectedClearRules[selectedMode] = urlParams.get('clears');
+
+function readClearRules() {
+    try {
+        const stored = JSON.parse(readStoredText(CLEAR_RULES_KEY) || '{}');
+        return Object.fromEntries(Object.entries(stored).filter(([mode, rule]) => isGameMode(mode) && CLEAR_RULES[rule]));
+    } catch (error) {
+        console.warn('Ignoring unreadable clear rules:', error);
+        return {};
+    }
+}
+let selectedPuzzleId = readStoredText(PUZZLE_KEY);
+let puzzles = []; // Validated puzzles in index order, once loaded
+
+async function loadPuzzles() {
+    try {
+        const response = await fetch('levels/index.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const files = await response.json();
+        const topology = createSoccerBallTopology(); // Same faces as the game's, for checking face ids
+        const loaded = [];
+        for (const file of files) {
+            try {
+                const levelResponse = await fetch(`levels/${file}`);
+                if (!levelResponse.ok) throw new Error(`HTTP ${levelResponse.status}`);
+                loaded.push(validatePuzzle(await levelResponse.json(), topology));
+            } catch (error) {
+                console.warn(`Skipping puzzle ${file}:`, error);
+            }
+        }
+        puzzles = loaded;
+    } catch (error) {
+        console.warn('Could not load the puzzle list:', error);
+    }
+    updateModePicker();
+}
+loadPuzzles();
 
-// --- Debug Controls ---
-// Press 'p' to switch to pentagon, 'h' to switch to hexagon
-let manualTileSelection = null;
+function selectedPuzzle() {
+    return puzzles.find(puzzle => puzzle.id === selectedPuzzleId) || puzzles[0] || null;
+}
 
 // --- Model Loading ---
 
-let soccerBallMesh = null; // Reference to the base mesh for collision check
+let soccerBallMesh = null; // Reference to the base mesh (its triangles map to logical faces)
 
 const loader = new GLTFLoader();
 let soccerBall;
@@ -127,124 +229,528 @@ loader.load(
         scene.add(soccerBall);
         console.log('Model loaded successfully');
 
-        window.addEventListener('keydown', (event) => { 
-            keyState[event.code] = true; 
-            // Debug: Force specific tile shapes with keyboard
-            if (event.key === 'p') manualTileSelection = pentGeometry;
-            if (event.key === 'h') manualTileSelection = hexGeometry;
-            
-            // Hard drop with spacebar
-            if (event.code === 'Space' && currentFallingTile) {
-                hardDrop();
-                // Prevent space from scrolling the page
-                event.preventDefault();
-            }
-        });
-        window.addEventListener('keyup', (event) => { keyState[event.code] = false; });
-        // window.addEventListener('click', onMouseClick);
+        game = createGame(buildSphereTopology());
+        unbindGameEvents = bindGameEvents();
+
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
 
         // Create score display
         createScoreDisplay();
-        createPiecePreviewDisplay(); 
-        createLayerCountDisplay(); // <-- ADDED CALL HERE
-        
-        // Initialize the first "next" piece before the game starts
-        nextTileGeometry = manualTileSelection || tileGeometries[Math.floor(Math.random() * tileGeometries.length)];
-        nextTileColor = getNextColor();
-        updatePiecePreviewUI(); // Update UI to show the first "next" piece
-
-        spawnNewTile(); // Start the game
+        createPiecePreviewDisplay();
+        createLayerCountDisplay();
+        createModeDisplay();
+        createPressureMeter();
+        createReplayControls();
+        createTitleScreen();
+        createPauseScreen();
+        createLeaderboardScreen();
+        createControlsScreen();
+        createLevelEditorPanel();
+
+        appState.transition(GAME_STATES.TITLE); // The game starts from the title screen's Play button
     },
-    (xhr) => console.log((xhr.loaded / xhr.total * 100) + '% loaded'), // Progress
-    (error) => console.error('An error happened loading the model:', error) // Error
+    (xhr) => { // Progress
+        console.log((xhr.loaded / xhr.total * 100) + '% loaded');
+        const loadingText = document.getElementById('loading-text');
+        if (loadingText && xhr.total) loadingText.textContent = `Loading... ${Math.round(xhr.loaded / xhr.total * 100)}%`;
+    },
+    (error) => { // Error
+        console.error('An error happened loading the model:', error);
+        const loadingText = document.getElementById('loading-text');
+        if (loadingText) loadingText.textContent = 'Could not load the ball model';
+    }
 );
 
+// Pause automatically when the tab is hidden
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden && appState.is(GAME_STATES.PLAYING) && !replayPlayer) togglePause();
+});
+// Closing the tab keeps the run for "Continue"
+window.addEventListener('pagehide', () => saveCurrentGame());
+
+// A fresh live game - the URL seed if one was given, otherwise a new random one.
+// A puzzle passed in is played instead of the selected mode (the level editor's test runs).
+function createGame(topology, { puzzle = selectedMode === 'puzzle' ? selectedPuzzle() : null } = {}) {
+    const { randomizer, config } = difficultyOptions(selectedDifficulty, customDifficultySettings);
+    if (selectedMode === 'puzzle' && !puzzle) console.warn('No puzzles loaded, playing classic instead');
+    const mode = puzzle ? 'puzzle' : selectedMode === 'puzzle' ? 'classic' : selectedMode;
+    // Puzzles are played as designed
+    const variants = puzzle ? {} : { ...pressureConfig(selectedPressure), clearRule: selectedClearRules[mode] || 'shells' };
+    const newGame = new SpheretrisGame({
+        topology,
+        seed: urlSeed ?? randomSeed(),
+        randomizer: urlRandomizer || randomizer,
+        config: { ...config, ...modeConfig(mode, { puzzle }), ...variants, ...gameConfig }
+    });
+    console.log(`Seed ${newGame.seed} (${newGame.randomizer})`);
+    return newGame;
+}
+
+// --- Game Flow ---
+
+// Start playing a new game on a clean board (title screen, "Play again", leaving a replay).
+// "Play again" after testing a level plays that level again.
+function startNewGame() {
+    if (replayPlayer) stopReplay();
+    setActiveGame(createGame(game.topology, editorTestRun ? { puzzle: game.config.puzzle } : {}));
+    if (!appState.is(GAME_STATES.PLAYING)) appState.transition(GAME_STATES.PLAYING);
+    game.spawn();
+}
+
+function togglePause() {
+    if (replayPlayer) return; // Replays have their own Play/Pause
+    if (appState.is(GAME_STATES.PLAYING)) {
+        appState.transition(GAME_STATES.PAUSED);
+        saveCurrentGame();
+    } else if (appState.is(GAME_STATES.PAUSED)) {
+        appState.transition(GAME_STATES.PLAYING);
+    }
+}
+
+// Finish the run here and now - how a Zen game ends, and a way to bank any other score
+function endCurrentGame() {
+    if (replayPlayer || game.isGameOver) return;
+    game.endGame(); // Its gameOver event shows the results
+}
+
+// Drop the current game and go back to the menu with an empty ball behind it
+function returnToTitle() {
+    saveCurrentGame(); // Leaving mid-run can be undone with "Continue"
+    if (replayPlayer) stopReplay();
+    editorTestRun = false;
+    setActiveGame(createGame(game.topology));
+    appState.transition(GAME_STATES.TITLE);
+}
+
+// --- Saved Game ---
+// The live game is kept in localStorage (after every piece, on pause and when the page
+// closes) so the title screen can offer "Continue". Finished games, replays and level
+// editor test runs aren't saved.
+
+const SAVE_KEY = 'spheretris-save';
+
+function saveCurrentGame() {
+    // Only a run in progress - on the title screen `game` is just the empty board behind the menu
+    const inRun = appState.is(GAME_STATES.PLAYING) || appState.is(GAME_STATES.PAUSED) || appState.is(GAME_STATES.CLEARING);
+    if (!game || !inRun || replayPlayer || editorTestRun || game.isGameOver) return;
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(serializeGame(game)));
+    } catch (error) {
+        console.warn('Could not save the game:', error);
+    }
+}
+
+// The stored save if there is a usable one (a broken one is thrown away)
+function loadSavedGame() {
+    let text = null;
+    try {
+        text = localStorage.getItem(SAVE_KEY);
+    } catch (error) {
+        console.warn('Could not read the saved game:', error);
+    }
+    if (!text) return null;
+    try {
+        return validateSave(JSON.parse(text), game.topology);
+    } catch (error) {
+        console.warn('Discarding unusable saved game:', error);
+        clearSavedGame();
+        return null;
+    }
+}
+
+function clearSavedGame() {
+    try {
+        localStorage.removeItem(SAVE_KEY);
+    } catch (error) {
+        console.warn('Could not remove the saved game:', error);
+    }
+}
+
+function continueSavedGame() {
+    const save = loadSavedGame();
+    if (!save) {
+        updateStateScreens(); // Hide the Continue button
+        return;
+    }
+    setActiveGame(restoreGame(save, { topology: game.topology }));
+    console.log(`Continuing saved game from ${save.savedAt} (seed ${game.seed}, score ${game.score})`);
+    appState.transition(GAME_STATES.PLAYING);
+}
+
+// Face graph for the loaded model. The procedural topology is built to match
+// assets/soccer_ball.glb; the mesh is only used to map its triangles to face ids.
+function buildSphereTopology() {
+    const topology = createSoccerBallTopology();
+
+    // soccerBall sits at the scene root, so the mesh's world matrix is its transform relative to the ball
+    soccerBall.updateMatrixWorld(true);
+    const geometry = soccerBallMesh.geometry;
+    const ballPositions = geometry.attributes.position.clone().applyMatrix4(soccerBallMesh.matrixWorld);
+    mapTrianglesToFaces(topology, ballPositions.array, geometry.index ? geometry.index.array : null);
+
+    // Sanity check: every logical face should be covered by the model
+    const coveredFaces = new Set(topology.triangleToFace);
+    if (coveredFaces.size !== topology.faces.length) {
+        console.warn(`Model covers ${coveredFaces.size} of ${topology.faces.length} logical faces - tiles may not line up`);
+    }
+    console.log(`Sphere topology: ${topology.faces.length} faces, ${topology.triangleToFace.length} triangles mapped`);
+
+    const centerDistances = topology.faces.flatMap(face => face.neighbors.map(id =>
+        new THREE.Vector3().fromArray(face.center).distanceTo(new THREE.Vector3().fromArray(topology.faces[id].center))));
+    pieceCellSpacing = centerDistances.reduce((sum, distance) => sum + distance, 0) / centerDistances.length;
+    return topology;
+}
+
 // --- Input Handling ---
+// Keyboard, pointer (mouse/touch) and gamepad all end up as the same actions (see
+// core/inputBindings.js for the rebindable list), so every device plays the same game.
 
-function onMouseClick(event) { // Not used for spawning currently
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = - (event.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
-    if (!soccerBall) return;
-    const intersects = raycaster.intersectObject(soccerBall, true);
-    if (intersects.length > 0) {
-        const intersect = intersects[0];
-        if (intersect.faceIndex !== undefined) {
-            console.log(`Clicked face: ${intersect.faceIndex} at ${intersect.point.toArray().map(p => p.toFixed(2)).join(', ')}`);
+const inputBindings = new InputBindings({ storage: window.localStorage });
+let rebinding = null; // { device, action } while the controls screen waits for a key/button
+
+function onKeyDown(event) {
+    if (rebinding && rebinding.device === 'keyboard') {
+        if (event.code !== 'Escape') inputBindings.set('keyboard', rebinding.action, event.code);
+        finishRebinding();
+        event.preventDefault();
+        return;
+    }
+    const action = inputBindings.actionFor('keyboard', event.code);
+    if (action === 'pause') {
+        togglePause();
+        return;
+    }
+    if (appState.is(GAME_STATES.TITLE) && (event.code === 'Enter' || event.code === 'Space')) {
+        startNewGame();
+        event.preventDefault();
+        return;
+    }
+    if (replayPlayer) return; // The replay's input log is driving the game
+    if (!appState.is(GAME_STATES.PLAYING)) return;
+
+    // Debug: Force specific tile shapes with keyboard
+    if (event.key === '5') game.forceNextShape('pent');
+    if (event.key === 'h') game.forceNextShape('hex');
+
+    if (!action) return;
+    heldActions.keyboard.add(action);
+    pressAction(action, { repeat: event.repeat });
+    event.preventDefault(); // Keep Space and the arrows from scrolling the page
+}
+
+function onKeyUp(event) {
+    const action = inputBindings.actionFor('keyboard', event.code);
+    if (action) heldActions.keyboard.delete(action);
+}
+
+function isActionHeld(action) {
+    return heldActions.keyboard.has(action) || heldActions.gamepad.has(action);
+}
+
+function releaseAllActions() {
+    heldActions.keyboard.clear();
+    heldActions.gamepad.clear();
+}
+
+// One press of an action while playing. Held rotation in free mode is applied per step in
+// animate(); here the rotate actions only matter in snap mode.
+function pressAction(action, { repeat = false } = {}) {
+    switch (action) {
+        case 'drop': game.drop(); break;
+        case 'hold': game.hold(); break;
+        case 'twistLeft': game.twist(1); break;
+        case 'twistRight': game.twist(-1); break;
+        case 'pause': togglePause(); break;
+        case 'rotationMode':
+            rotationMode = rotationMode === 'snap' ? 'free' : 'snap';
+            break;
+        default: {
+            // Snap mode: one press moves the target to the next face that way on screen
+            const directions = { rotateLeft: [-1, 0], rotateRight: [1, 0], rotateUp: [0, 1], rotateDown: [0, -1] };
+            if (rotationMode === 'snap' && !repeat && directions[action]) snapInScreenDirection(...directions[action]);
         }
     }
 }
 
+// --- Pointer Input ---
+// A drag that starts on the ball turns it like a trackball, a tap on a face aims the piece
+// there and a double tap drops it. Drags that miss the ball are left to OrbitControls.
+
+const TAP_MAX_MOVE = 8; // Pixels a press may wander and still count as a tap
+const TAP_MAX_DURATION = 0.3; // Seconds
+const DOUBLE_TAP_INTERVAL = 0.3; // Seconds between the taps of a double tap
+let pointerGesture = null; // { pointerId, startX, startY, lastX, lastY, startTime, dragging }
+let lastTapTime = -Infinity;
+
+renderer.domElement.addEventListener('pointerdown', onPointerDown, { capture: true }); // Before OrbitControls sees it
+renderer.domElement.addEventListener('pointermove', onPointerMove);
+renderer.domElement.addEventListener('pointerup', onPointerUp);
+renderer.domElement.addEventListener('pointercancel', onPointerUp);
+
+// The level editor takes the same gestures: drags turn the ball, taps edit the face
+function canAimWithPointer() {
+    if (!game || !soccerBall) return false;
+    return appState.is(GAME_STATES.EDITING) || (appState.is(GAME_STATES.PLAYING) && !replayPlayer);
+}
+
+// Logical face id under a screen position, or null when the ball isn't there
+function faceAtPointer(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = - (clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObject(soccerBallMesh, false);
+    if (intersects.length === 0 || intersects[0].faceIndex === undefined) return null;
+    return game.topology.triangleToFace[intersects[0].faceIndex] ?? null;
+}
+
+function onPointerDown(event) {
+    if (pointerGesture || !canAimWithPointer() || event.button > 0) return;
+    if (faceAtPointer(event.clientX, event.clientY) === null) return; // Orbit the camera instead
+    controls.enabled = false; // The ball has this gesture
+    pointerGesture = {
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        lastX: event.clientX,
+        lastY: event.clientY,
+        startTime: clock.elapsedTime,
+        dragging: false
+    };
+    renderer.domElement.setPointerCapture?.(event.pointerId);
+}
+
+function onPointerMove(event) {
+    if (!pointerGesture || event.pointerId !== pointerGesture.pointerId) return;
+    if (!pointerGesture.dragging &&
+        Math.hypot(event.clientX - pointerGesture.startX, event.clientY - pointerGesture.startY) > TAP_MAX_MOVE) {
+        pointerGesture.dragging = true;
+    }
+    if (!pointerGesture.dragging || !canAimWithPointer()) return;
+
+    // Trackball: turn the ball by the arc between the two points on a virtual sphere
+    const from = arcballVector(pointerGesture.lastX, pointerGesture.lastY);
+    const to = arcballVector(event.clientX, event.clientY);
+    const angle = from.angleTo(to);
+    if (angle > 1e-4) game.rotate(new THREE.Vector3().crossVectors(from, to).normalize().toArray(), angle);
+    pointerGesture.lastX = event.clientX;
+    pointerGesture.lastY = event.clientY;
+}
+
+function onPointerUp(event) {
+    if (!pointerGesture || event.pointerId !== pointerGesture.pointerId) return;
+    const gesture = pointerGesture;
+    pointerGesture = null;
+    controls.enabled = true;
+    if (gesture.dragging || !canAimWithPointer() || event.type === 'pointercancel') return;
+    if (clock.elapsedTime - gesture.startTime > TAP_MAX_DURATION) return;
+
+    if (appState.is(GAME_STATES.EDITING)) {
+        const faceId = faceAtPointer(event.clientX, event.clientY);
+        if (faceId !== null) editFace(faceId, event.shiftKey);
+        return;
+    }
+    if (clock.elapsedTime - lastTapTime < DOUBLE_TAP_INTERVAL) {
+        game.drop(); // The first tap already aimed here
+        lastTapTime = -Infinity;
+        return;
+    }
+    lastTapTime = clock.elapsedTime;
+    const faceId = faceAtPointer(event.clientX, event.clientY);
+    if (faceId !== null) game.snapToFace(faceId);
+}
+
+// World-space point on a unit sphere filling the smaller side of the canvas
+function arcballVector(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const size = Math.min(rect.width, rect.height) / 2;
+    const x = (clientX - rect.left - rect.width / 2) / size;
+    const y = -(clientY - rect.top - rect.height / 2) / size;
+    const lengthSq = x * x + y * y;
+    const point = lengthSq <= 1 ? new THREE.Vector3(x, y, Math.sqrt(1 - lengthSq)) : new THREE.Vector3(x, y, 0).normalize();
+    return point.applyQuaternion(camera.quaternion);
+}
+
+// --- Gamepad Input ---
+// Polled once per frame: buttons go through the bindings, the left stick turns the ball.
+
+const STICK_DEAD_ZONE = 0.2;
+const gamepadStick = { x: 0, y: 0 };
+const previousGamepadButtons = new Map(); // Gamepad index -> pressed flags from last frame
+
+function pollGamepads() {
+    gamepadStick.x = 0;
+    gamepadStick.y = 0;
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    const held = new Set();
+
+    for (const pad of pads) {
+        const pressed = pad.buttons.map(button => button.pressed);
+        const before = previousGamepadButtons.get(pad.index) || [];
+        previousGamepadButtons.set(pad.index, pressed);
+
+        pressed.forEach((isPressed, button) => {
+            if (!isPressed) return;
+            const action = inputBindings.actionFor('gamepad', button);
+            if (action) held.add(action);
+            if (!before[button]) onGamepadButton(button, action);
+        });
+
+        const [stickX = 0, stickY = 0] = pad.axes;
+        if (Math.abs(stickX) > STICK_DEAD_ZONE) gamepadStick.x = stickX;
+        if (Math.abs(stickY) > STICK_DEAD_ZONE) gamepadStick.y = stickY;
+    }
+    heldActions.gamepad = held;
+}
+
+function onGamepadButton(button, action) {
+    if (rebinding && rebinding.device === 'gamepad') {
+        inputBindings.set('gamepad', rebinding.action, button);
+        finishRebinding();
+        return;
+    }
+    if (action === 'pause') {
+        togglePause();
+        return;
+    }
+    if (appState.is(GAME_STATES.TITLE) && action === 'drop') {
+        startNewGame();
+        return;
+    }
+    if (replayPlayer || !appState.is(GAME_STATES.PLAYING) || !action) return;
+    pressAction(action);
+}
+
 window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    if (particles) particles.material.uniforms.uPixelScale.value = particlePixelScale();
 });
 
-// --- Game Logic ---
-
-// Function to spawn a new falling tile with axis helpers
-function spawnNewTile() {
-    if (isGameOver) {
-        console.log("Game Over - Cannot spawn new tile.");
-        // Clear current/next piece UI if game is over
-        const currentShapeGraphic = document.getElementById('current-shape-graphic');
-        const nextShapeGraphic = document.getElementById('next-shape-graphic');
-        if (currentShapeGraphic) currentShapeGraphic.style.backgroundColor = 'transparent';
-        if (nextShapeGraphic) nextShapeGraphic.style.backgroundColor = 'transparent';
-        updatePiecePreviewUI(); // To clear them visually based on null currentFallingTile etc.
-        return;
-    }
-    console.log("SPAWNING NEW TILE");
-    
-    if (currentFallingTile) {
-        // Remove previous helpers if any exist before removing tile
-        const oldTileHelpers = currentFallingTile.children.filter(child => child.type === 'ArrowHelper');
-        oldTileHelpers.forEach(helper => currentFallingTile.remove(helper));
-        scene.remove(currentFallingTile);
+// --- Game Events ---
+// The core reports what happened; these handlers keep the scene graph and HUD in sync.
+
+// Returns a function that removes all of the handlers again.
+
+function bindGameEvents() {
+    const subscriptions = [];
+    subscriptions.push(game.on('spawn', ({ piece }) => {
+        spawnFallingTileMesh(piece);
+        saveCurrentGame();
+    }));
+    subscriptions.push(game.on('land', ({ tiles }) => {
+        removeFallingTileMesh();
+        tiles.forEach(placeTileMesh);
+        tiles.forEach(tile => emitTileBurst('land', tile));
+        updateLayerCountDisplay();
+        updateScoreDisplay(); // A placement that clears nothing ends the combo
+    }));
+    subscriptions.push(game.on('reject', () => rejectFallingTileMesh()));
+    subscriptions.push(game.on('hold', () => updatePiecePreviewUI())); // The new piece already spawned
+    // Board changes play out one after another on the timeline's board track (see Animations)
+    subscriptions.push(game.on('layersCleared', ({ layers, award }) => {
+        queueBoardStep(() => {
+            showScorePopup(layers[0], award);
+            showShockwave(nearestToCamera(layers[0].tiles));
+            clearTiles(layers.flatMap(layer => layer.tiles));
+        });
+        updateLayerCountDisplay();
+    }));
+    subscriptions.push(game.on('colorsPopped', ({ tiles, award }) => {
+        queueBoardStep(() => {
+            showScorePopup({ tiles }, award);
+            showShockwave(nearestToCamera(tiles));
+            clearTiles(tiles);
+        });
+        updateLayerCountDisplay();
+    }));
+    subscriptions.push(game.on('garbage', ({ tiles }) => {
+        // The stacks on top move out with the tilesMoved that follows
+        queueBoardStep(() => tiles.forEach(placeTileMesh));
+        updateLayerCountDisplay();
+    }));
+    subscriptions.push(game.on('tilesMoved', ({ tiles }) => {
+        queueBoardStep(() => settleTiles(tiles));
+        updateLayerCountDisplay();
+    }));
+    subscriptions.push(game.on('score', () => updateScoreDisplay()));
+    subscriptions.push(game.on('gameOver', () => {
+        if (!replayPlayer && !editorTestRun) clearSavedGame(); // Nothing left to continue
+        triggerGameOver();
+    }));
+    return () => subscriptions.forEach(unsubscribe => unsubscribe());
+}
+
+// Swap in another game (a new live game, or a replay's after a seek) and rebuild the scene from it
+function setActiveGame(newGame) {
+    if (unbindGameEvents) unbindGameEvents();
+    game = newGame;
+    unbindGameEvents = bindGameEvents();
+    rebuildSceneFromGame();
+}
+
+function rebuildSceneFromGame() {
+    timeline.finish(); // Fading tiles from the old board go now, and its queued changes are dropped
+    for (const mesh of tileMeshes.values()) {
+        if (mesh.parent) mesh.parent.remove(mesh);
     }
-    
-    // Remove ghost tile if it exists
-    if (ghostTile) {
-        if (ghostTile.parent) {
-            ghostTile.parent.remove(ghostTile);
-        }
-        ghostTile = null;
+    tileMeshes.clear();
+    removeFallingTileMesh();
+    removeGhostTile();
+    removeFaceHighlight();
+    removeRingHighlight();
+    const gameOverDiv = document.getElementById('game-over-display');
+    if (gameOverDiv) gameOverDiv.remove();
+
+    soccerBall.quaternion.fromArray(game.ballQuaternion);
+    for (const tile of game.activeTiles) placeTileMesh(tile);
+    if (game.current) spawnFallingTileMesh(game.current);
+
+    updateScoreDisplay();
+    updatePiecePreviewUI();
+    updateLayerCountDisplay();
+    if (game.isGameOver) triggerGameOver();
+}
+
+// A piece laid out flat in its own XZ plane: one mesh per cell, anchor at the origin,
+// every cell's Z+ (its underside) pointing down -Y. cells holds the meshes in the same
+// order as the core's cells; centered shifts them so the piece's middle is the origin.
+function createPieceGroup(type, createMaterial, { centered = false } = {}) {
+    const pieceType = PIECE_TYPES[type];
+    const offsets = [new THREE.Vector3()];
+    for (const arm of pieceType.arms) {
+        const angle = armAngle(type, arm, 0);
+        offsets.push(new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle)).multiplyScalar(pieceCellSpacing));
     }
-    
-    // Determine geometry and color for the new falling tile
-    // The "current" falling tile uses what was previously "next"
-    const currentGeometry = nextTileGeometry;
-    const currentColorHex = nextTileColor;
-
-    // Generate the *new* "next" piece
-    // Allow manualTileSelection to override the randomly generated next piece if a key was pressed
-    if (manualTileSelection) {
-        nextTileGeometry = manualTileSelection;
-        // If manual selection is active, reset it after use so the next piece is random unless pressed again
-        // However, for the preview, we want to show what *will* be next if no key is pressed.
-        // So, we will generate a random one for the preview, and if a key is pressed *during* this spawn,
-        // it will affect the *next* spawn cycle correctly.
-        // The current tile will use manualTileSelection if it was set *before* this spawnNewTile call.
-    } else {
-        nextTileGeometry = tileGeometries[Math.floor(Math.random() * tileGeometries.length)];
+    if (centered) {
+        const middle = offsets.reduce((sum, offset) => sum.add(offset), new THREE.Vector3()).divideScalar(offsets.length);
+        offsets.forEach(offset => offset.sub(middle));
     }
-    nextTileColor = getNextColor();
-    // manualTileSelection is reset by keyup event or used once here if it was set
 
-    currentFallingTile = new THREE.Mesh(currentGeometry, new THREE.MeshStandardMaterial({ color: currentColorHex }));
-    currentFallingTile.position.set(0, spawnHeight, 0);
-    
-    // Calculate direction from spawn position to center (0,0,0)
-    const directionToCenter = new THREE.Vector3(0, 0, 0).sub(new THREE.Vector3(0, spawnHeight, 0)).normalize();
-    
-    // Create a quaternion to rotate the tile to face downward toward the center
-    // We want the tile's Z+ axis to point along the direction to center
-    const downVector = new THREE.Vector3(0, 0, 1); // Tile's "down" is along +Z
-    const rotationQuaternion = new THREE.Quaternion().setFromUnitVectors(downVector, directionToCenter);
-    
-    // Apply the rotation
-    currentFallingTile.quaternion.copy(rotationQuaternion);
+    const group = new THREE.Group();
+    const shapes = [pieceType.anchor, ...pieceType.arms.map(arm => arm.shape)];
+    group.userData.cells = shapes.map((shape, index) => {
+        const mesh = new THREE.Mesh(tileGeometries[shape], createMaterial(shape, index));
+        mesh.position.copy(offsets[index]);
+        mesh.rotation.x = Math.PI / 2; // Z+ -> -Y
+        group.add(mesh);
+        return mesh;
+    });
+    group.userData.radius = Math.max(...offsets.map(offset => offset.length())) + hexRadius;
+    return group;
+}
+
+// Function to create the mesh for a newly spawned piece, with axis helpers
+function spawnFallingTileMesh(piece) {
+    console.log("SPAWNING NEW TILE");
+    removeFallingTileMesh();
+    removeGhostTile();
+
+    // Each cell gets its own material so approach and reject colours can be set per piece
+    currentFallingTile = createPieceGroup(piece.type, () => new THREE.MeshStandardMaterial({ color: piece.color }));
+    currentFallingTile.position.set(0, piece.distance, 0);
+    currentFallingTile.rotation.y = twistAngle(piece.type, piece.twist); // Arms are laid out at twist 0
 
     // --- DEBUG: Add Axes Helpers to Falling Tile ---
     const arrowLength = 0.6;
@@ -254,9 +760,10 @@ function spawnNewTile() {
     const arrowX = new THREE.ArrowHelper(new THREE.Vector3(1,0,0), new THREE.Vector3(0,0,0), arrowLength, 0xff0000, headLength, headWidth);
     const arrowY = new THREE.ArrowHelper(new THREE.Vector3(0,1,0), new THREE.Vector3(0,0,0), arrowLength, 0x00ff00, headLength, headWidth);
     const arrowZ = new THREE.ArrowHelper(new THREE.Vector3(0,0,1), new THREE.Vector3(0,0,0), arrowLength, 0x0000ff, headLength, headWidth);
-    currentFallingTile.add(arrowX);
-    currentFallingTile.add(arrowY);
-    currentFallingTile.add(arrowZ);
+    const anchorCell = currentFallingTile.userData.cells[0];
+    anchorCell.add(arrowX);
+    anchorCell.add(arrowY);
+    anchorCell.add(arrowZ);
     // --- END DEBUG ---
 
     scene.add(currentFallingTile);
@@ -266,129 +773,505 @@ function spawnNewTile() {
     updatePiecePreviewUI();
 }
 
-// Main Animation Loop
-function animate() {
-    requestAnimationFrame(animate);
+function removeFallingTileMesh() {
+    if (currentFallingTile) {
+        if (currentFallingTile.parent) {
+            currentFallingTile.parent.remove(currentFallingTile);
+        }
+        currentFallingTile = null;
+    }
+}
 
-    if (isGameOver) {
-        // Allow camera controls but skip game logic
-        controls.update();
-        renderer.render(scene, camera);
-        return;
+// Ball-local orientation of a tile resting on a face: tile Z+ along the face normal,
+// tile X+ (its first corner) pointing at the face corner the core chose from the piece's
+// twist (ring index `rotation`), so the sides line up and the tile keeps its orientation
+function tileLocalQuaternion(faceId, rotation = 0) {
+    const face = game.topology.faces[faceId];
+    const corner = game.topology.vertices[face.ring[rotation]];
+    const normal = new THREE.Vector3().fromArray(face.normal);
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+
+    const tileRefProjected = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion).projectOnPlane(normal).normalize();
+    const faceRefProjected = new THREE.Vector3().fromArray(corner).sub(new THREE.Vector3().fromArray(face.center))
+        .projectOnPlane(normal).normalize();
+    if (tileRefProjected.lengthSq() > 0.001 && faceRefProjected.lengthSq() > 0.001) {
+        let angle = tileRefProjected.angleTo(faceRefProjected);
+        const crossProduct = new THREE.Vector3().crossVectors(tileRefProjected, faceRefProjected);
+        if (crossProduct.dot(normal) < 0) { angle = -angle; }
+        quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(normal, angle));
     }
+    return quaternion;
+}
 
-    // --- Falling Tile Logic ---
-    if (currentFallingTile) {
-        const baseFallSpeed = 0.005; // Initial fall speed
-        const incrementPerLevel = 0.001; // How much speed increases per level
-        const dynamicFallSpeed = baseFallSpeed + (level - 1) * incrementPerLevel;
+function placeTileMesh(tile) {
+    const landedTile = new THREE.Mesh(tileGeometries[tile.shape], new THREE.MeshStandardMaterial({ color: tile.color }));
+    landedTile.position.fromArray(game.tileLocalPosition(tile.faceId, tile.stackIndex));
+    landedTile.quaternion.copy(tileLocalQuaternion(tile.faceId, tile.rotation));
+    landedTile.userData.tileId = tile.id;
+    landedTile.userData.faceIndex = tile.faceId;
 
-        const direction = new THREE.Vector3(0, 0, 0).sub(currentFallingTile.position).normalize();
-        currentFallingTile.position.add(direction.multiplyScalar(dynamicFallSpeed));
+    soccerBall.add(landedTile);
+    tileMeshes.set(tile.id, landedTile);
+    return landedTile;
+}
 
-        // Reset approach color if needed
-        if (currentFallingTile.material._originalColor !== undefined &&
-            currentFallingTile.material.color.getHex() !== currentFallingTile.material._originalColor) {
-            currentFallingTile.material.color.setHex(currentFallingTile.material._originalColor);
-        }
+// The game already discarded the piece - flash the mesh red (see rejectFade) and fade it out
+function rejectFallingTileMesh() {
+    const rejectedTile = currentFallingTile;
+    currentFallingTile = null;
+    removeGhostTile();
+    if (!rejectedTile) return;
+
+    // Create a warning effect - flash every cell red and shatter it outwards
+    const cellMaterials = rejectedTile.userData.cells.map(cell => cell.material);
+    for (const cell of rejectedTile.userData.cells) {
+        const origin = cell.getWorldPosition(new THREE.Vector3());
+        emitBurst('shatter', origin, origin.clone().normalize());
+    }
+    const fade = rejectFade(game.config.rejectDelay, effects);
+    for (const material of cellMaterials) {
+        if (fade.flashColor !== null) material.color.set(fade.flashColor);
+        material.transparent = true;
+    }
 
-        // Create a fresh ghost tile every frame for consistent visibility
-        // First remove previous ghost if it exists
-        if (ghostTile) {
-            if (ghostTile.parent) {
-                ghostTile.parent.remove(ghostTile);
-            }
-            ghostTile = null;
-        }
-        
-        // Create new ghost tile with improved appearance
-        createSimpleGhostTile();
-
-        if (soccerBall) {
-            const collisionRaycaster = new THREE.Raycaster(currentFallingTile.position, direction);
-            // Configure raycaster to only detect objects on layer 0 (ignoring ghost tiles)
-            collisionRaycaster.layers.set(0);
-            
-            const intersects = collisionRaycaster.intersectObject(soccerBall, true)
-                .filter(hit => !hit.object.userData || !hit.object.userData.isGhost); // Extra filter to ensure no ghosts
-
-            if (intersects.length > 0) {
-                const intersect = intersects[0];
-                const distanceToSurface = intersect.distance;
-                const approachThreshold = tileDepth / 2 + 0.2;
-                const collisionThreshold = tileDepth / 2 + 0.01;
-
-                // Approach Indication
-                if (distanceToSurface <= approachThreshold && distanceToSurface > collisionThreshold) {
-                    if (currentFallingTile.material._originalColor === undefined) {
-                        currentFallingTile.material._originalColor = currentFallingTile.material.color.getHex();
-                    }
-                    currentFallingTile.material.color.set(0xffff00);
-                }
-
-                // Collision Check
-                if (distanceToSurface <= collisionThreshold) {
-                    console.log(`Collision detected! Target: ${intersect.object.name || 'Base Sphere'}`);
-                    processTileLanding(intersect);
-                }
+    timeline.add({
+        duration: fade.duration,
+        onUpdate: progress => cellMaterials.forEach(material => { material.opacity = 1 - progress; }),
+        onComplete: () => {
+            if (rejectedTile.parent) {
+                rejectedTile.parent.remove(rejectedTile);
             }
         }
+    });
+}
+
+// Rendered ball orientation is blended between the last two simulation steps
+const previousStepQuaternion = new THREE.Quaternion();
+const currentStepQuaternion = new THREE.Quaternion();
+
+// Main Animation Loop
+// The game advances in fixed steps (core STEP); each frame renders partway between
+// the last two steps, so speed and smoothness don't depend on the refresh rate.
+function animate() {
+    requestAnimationFrame(animate);
+    const delta = Math.min(clock.getDelta(), 0.1); // Clamp so a background tab doesn't teleport the tile
+
+    // Effects follow game time too: they speed up with replay speed and hold while paused
+    const effectsPaused = appState.is(GAME_STATES.PAUSED) || (replayPlayer && replayPlayer.paused);
+    const gameDelta = effectsPaused ? 0 : delta * (replayPlayer ? replayPlayer.speed : 1);
+    updateAnimations(gameDelta);
+    updateEffects(gameDelta);
+    pollGamepads();
+    updateModeDisplay();
+    updatePressureMeter();
+
+    if (!appState.is(GAME_STATES.PLAYING)) {
+        // Allow camera controls but skip game logic (menus, pause, clear animation, game over)
+        if (appState.is(GAME_STATES.EDITING)) soccerBall.quaternion.fromArray(game.ballQuaternion); // Dragged by the editor
+        renderFrame(delta);
+        return;
     }
 
-    // --- Handle Keyboard Rotation for Soccer Ball ---
-    if (soccerBall) {
-        const rotationSpeed = 0.02;
+    let alpha;
+    if (replayPlayer) {
+        // --- Replay Playback ---
+        // The player re-issues the recorded rotations and drops on the right steps
+        // A clear stops playback on the step it happened, until the settle has played
+        replayPlayer.update(delta, () => appState.is(GAME_STATES.PLAYING));
+        updateReplayControls();
+        alpha = replayPlayer.interpolationAlpha;
+    } else {
+        // --- Handle Keyboard Rotation for Soccer Ball ---
+        const rotationSpeed = 1.2; // Radians per second (0.02 per step)
         const cameraRight = new THREE.Vector3();
         camera.getWorldDirection(cameraRight).cross(camera.up).normalize();
-        const horizontalAxis = new THREE.Vector3(0, 1, 0);
-        const rotationQuaternion = new THREE.Quaternion();
-        let needsUpdate = false;
+        const horizontalAxis = [0, 1, 0];
+
+        // --- Falling Tile Logic ---
+        // Held keys are applied once per step, so a 120 Hz screen doesn't turn the ball twice as fast
+        // A clear switches to clearing mid-frame; the next piece neither falls nor turns until it settles
+        game.tick(delta, (step) => {
+            if (!appState.is(GAME_STATES.PLAYING)) return false;
+            game.setSoftDrop(isActionHeld('softDrop'));
+            if (rotationMode !== 'free') return;
+            const angle = rotationSpeed * step;
+            if (isActionHeld('rotateLeft')) game.rotate(horizontalAxis, -angle);
+            if (isActionHeld('rotateRight')) game.rotate(horizontalAxis, angle);
+            if (isActionHeld('rotateUp')) game.rotate(cameraRight.toArray(), -angle);
+            if (isActionHeld('rotateDown')) game.rotate(cameraRight.toArray(), angle);
+            // The left stick turns the ball proportionally to how far it is pushed
+            if (gamepadStick.x !== 0) game.rotate(horizontalAxis, gamepadStick.x * angle);
+            if (gamepadStick.y !== 0) game.rotate(cameraRight.toArray(), gamepadStick.y * angle);
+        });
+        alpha = game.interpolationAlpha;
+    }
+
+    previousStepQuaternion.fromArray(game.previousBallQuaternion);
+    currentStepQuaternion.fromArray(game.stepBallQuaternion);
+    soccerBall.quaternion.slerpQuaternions(previousStepQuaternion, currentStepQuaternion, alpha);
+    soccerBall.updateMatrixWorld(true);
 
-        if (keyState['ArrowLeft']) { rotationQuaternion.setFromAxisAngle(horizontalAxis, -rotationSpeed); soccerBall.quaternion.premultiply(rotationQuaternion); needsUpdate = true; }
-        if (keyState['ArrowRight']) { rotationQuaternion.setFromAxisAngle(horizontalAxis, rotationSpeed); soccerBall.quaternion.premultiply(rotationQuaternion); needsUpdate = true; }
-        if (keyState['ArrowUp']) { rotationQuaternion.setFromAxisAngle(cameraRight, -rotationSpeed); soccerBall.quaternion.premultiply(rotationQuaternion); needsUpdate = true; }
-        if (keyState['ArrowDown']) { rotationQuaternion.setFromAxisAngle(cameraRight, rotationSpeed); soccerBall.quaternion.premultiply(rotationQuaternion); needsUpdate = true; }
+    if (currentFallingTile && game.current) {
+        const distance = THREE.MathUtils.lerp(game.current.previousDistance, game.current.distance, alpha);
+        currentFallingTile.position.set(0, distance, 0);
+        currentFallingTile.rotation.y = twistAngle(game.current.type, game.current.twist);
 
-        if (needsUpdate) soccerBall.updateMatrixWorld(true);
+        // Approach Indication; while resting the piece whitens as the lock delay runs out
+        const lockProgress = game.config.lockDelay > 0 ? Math.min(1, game.current.lockTimer / game.config.lockDelay) : 0;
+        for (const cell of currentFallingTile.userData.cells) {
+            if (game.current.approaching) {
+                cell.material.color.set(0xffff00);
+            } else {
+                cell.material.color.setHex(game.current.color);
+                if (game.current.resting) cell.material.color.lerp(new THREE.Color(0xffffff), lockProgress * 0.7);
+            }
+        }
     }
 
+    updateGhostTile();
+    updateFaceHighlight();
+    updateRingHighlight();
+    if (game.rings !== layerPanelRings) updateLayerCountDisplay(); // The belts moved with the ball
+
     // --- Rendering ---
+    renderFrame(delta);
+}
+
+function renderFrame(delta) {
     controls.update();
     renderer.render(scene, camera);
+    renderPiecePreviews(delta);
 }
 
-// Simple function to create a basic ghost tile
-function createSimpleGhostTile() {
-    if (!currentFallingTile || !soccerBall) return;
-    
-    const raycaster = new THREE.Raycaster();
-    const tilePos = new THREE.Vector3();
-    currentFallingTile.getWorldPosition(tilePos);
-    const direction = new THREE.Vector3(0, 0, 0).sub(tilePos).normalize();
-    
-    // Set up the raycaster to ignore the ghost tile itself
-    raycaster.set(tilePos, direction);
-    // We'll use layer 0 for detection but make sure ghost is visible
-    raycaster.layers.set(0);
-    
-    // Cast ray and get intersections, explicitly filtering out ghost tiles
-    const intersects = raycaster.intersectObject(soccerBall, true)
-        .filter(hit => !hit.object.userData || !hit.object.userData.isGhost);
-    
-    if (intersects.length > 0) {
-        // First remove previous ghost if it exists
-        if (ghostTile) {
-            if (ghostTile.parent) {
-                ghostTile.parent.remove(ghostTile);
-            }
-            ghostTile = null;
+// --- 3D Next-Piece Previews ---
+// The queued pieces are drawn with the real tile geometry into small viewports of the
+// main canvas, lined up with the HUD's next-queue slots.
+
+const previewScene = new THREE.Scene();
+previewScene.add(new THREE.AmbientLight(0xffffff, 0.7));
+const previewLight = new THREE.DirectionalLight(0xffffff, 0.9);
+previewLight.position.set(2, 3, 4);
+previewScene.add(previewLight);
+const previewCamera = new THREE.PerspectiveCamera(35, 1, 0.1, 50);
+const previewModels = {}; // Piece type -> group sharing one material, built on first use
+let previewSpin = 0;
+
+function getPreviewModel(type) {
+    if (!previewModels[type]) {
+        const material = new THREE.MeshStandardMaterial();
+        previewModels[type] = createPieceGroup(type, () => material, { centered: true });
+        previewModels[type].userData.material = material;
+        previewScene.add(previewModels[type]);
+    }
+    return previewModels[type];
+}
+
+function renderPiecePreviews(delta) {
+    const pieces = game && !game.isGameOver ? game.queue : [];
+    previewSpin += delta * 1.5; // Radians per second
+    const slots = document.querySelectorAll('.next-queue-slot');
+    if (pieces.length === 0 || slots.length === 0) return;
+
+    renderer.autoClear = false;
+    renderer.setScissorTest(true);
+    slots.forEach((slot, index) => {
+        const piece = pieces[index];
+        if (!piece || slot.style.display === 'none') return;
+
+        // Viewport coordinates start at the bottom of the canvas
+        const rect = slot.getBoundingClientRect();
+        const bottom = window.innerHeight - rect.bottom;
+        renderer.setViewport(rect.left, bottom, rect.width, rect.height);
+        renderer.setScissor(rect.left, bottom, rect.width, rect.height);
+        renderer.clearDepth();
+
+        const model = getPreviewModel(piece.type);
+        Object.values(previewModels).forEach(other => { other.visible = other === model; });
+        model.userData.material.color.setHex(piece.color);
+        model.rotation.set(1.0, previewSpin + index * 0.8, 0); // Spin in its own plane, tilted to show the depth
+        previewCamera.position.set(0, 0, model.userData.radius * 4.4); // Bigger pieces are framed from further away
+        renderer.render(previewScene, previewCamera);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+    renderer.autoClear = true;
+}
+
+// --- Animations ---
+// Every timed effect is a tween on one timeline (core/timeline.js), advanced from animate()
+// with game time instead of setInterval/setTimeout, so effects stay in step with the
+// simulation on any refresh rate (and in replays). Board changes - a clear fading out, the
+// tiles above settling inward, a garbage push, each step of a colour chain - queue on the
+// 'board' track and play in the order the game reported them; the game is held in CLEARING
+// until that track is idle, so the next piece only comes once the board is still.
+
+const SETTLE_DURATION = 0.35; // Seconds a tile takes to drop (or be pushed) to its new shell
+
+const timeline = new Timeline();
+
+function queueBoardStep(step) {
+    if (appState.is(GAME_STATES.PLAYING)) appState.transition(GAME_STATES.CLEARING);
+    timeline.queue('board', step);
+}
+
+function updateAnimations(delta) {
+    timeline.update(delta);
+    if (appState.is(GAME_STATES.CLEARING) && !timeline.isBusy('board')) appState.transition(GAME_STATES.PLAYING);
+}
+
+// Slide tiles along their face's normal to their new place in the stack, with a small
+// bounce as they arrive (unless motion is reduced) - inward onto a cleared tile's place,
+// or out ahead of garbage
+function settleTiles(tiles) {
+    for (const tile of tiles) {
+        const mesh = tileMeshes.get(tile.id);
+        if (!mesh) continue;
+        const from = mesh.position.clone();
+        const to = new THREE.Vector3().fromArray(game.tileLocalPosition(tile.faceId, tile.stackIndex));
+        timeline.add({
+            duration: SETTLE_DURATION,
+            ease: effectOptions.reducedMotion ? 'easeOutCubic' : 'easeOutBack',
+            onUpdate: progress => mesh.position.lerpVectors(from, to, progress)
+        });
+    }
+}
+
+// --- Particle Effects ---
+// Bursts of particles when tiles clear (plus a shockwave ring running round the ball), dust
+// when a piece lands and a red shatter when one is rejected. core/effects.js works out each
+// burst; here it is written once into a fixed pool of GPU points, and the vertex shader
+// moves every particle from its start values by effect time, so the CPU does nothing per
+// frame. The shaders stick to WebGL 1 / GLSL ES 1.00, so they also run on software WebGL.
+// Quality and reduced motion are picked on the Controls screen.
+
+const EFFECTS_KEY = 'spheretris-effects';
+const SHOCKWAVE_DURATION = 0.8; // Seconds the ring takes to reach the far side of the ball
+const SHOCKWAVE_COLOR = 0xfff59d;
+
+const PARTICLE_VERTEX_SHADER = `
+    uniform float uTime;
+    uniform float uPixelScale;
+    attribute vec3 velocity;
+    attribute vec3 particleColor;
+    attribute float birth;
+    attribute float life;
+    attribute float gravity;
+    attribute float size;
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+        float age = uTime - birth;
+        float t = age / life;
+        vColor = particleColor;
+        vFade = clamp(1.0 - t, 0.0, 1.0);
+        if (t < 0.0 || t > 1.0) {
+            // Not alive: outside the clip volume, so nothing is drawn
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            gl_PointSize = 0.0;
+            return;
+        }
+        vec3 moved = position + velocity * age + vec3(0.0, 0.5 * gravity * age * age, 0.0);
+        vec4 mvPosition = modelViewMatrix * vec4(moved, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = size * uPixelScale * (0.5 + 0.5 * vFade) / -mvPosition.z;
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+        float falloff = 1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - vec2(0.5)));
+        if (falloff <= 0.0) discard;
+        gl_FragColor = vec4(vColor, falloff * vFade);
+    }
+`;
+
+const SHOCKWAVE_VERTEX_SHADER = `
+    varying vec3 vDirection;
+
+    void main() {
+        vDirection = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const SHOCKWAVE_FRAGMENT_SHADER = `
+    uniform vec3 uCenter;
+    uniform vec3 uColor;
+    uniform float uProgress;
+    varying vec3 vDirection;
+
+    void main() {
+        // A band at a growing angle from where the clear happened, fading as it goes
+        float angle = acos(clamp(dot(normalize(vDirection), uCenter), -1.0, 1.0));
+        float offset = (angle - uProgress * 3.14159265) / 0.12;
+        float band = exp(-offset * offset);
+        float alpha = band * (1.0 - uProgress);
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(uColor, alpha);
+    }
+`;
+
+let effectOptions = readEffectOptions(); // { quality, reducedMotion }
+let effects = effectSettings(effectOptions);
+let particles = null; // { points, geometry, material, capacity, cursor } while quality isn't 'off'
+let effectTime = 0; // Seconds of game time, what the particle shader runs on
+
+function readEffectOptions() {
+    let stored = {};
+    try {
+        stored = JSON.parse(readStoredText(EFFECTS_KEY) || '{}');
+    } catch (error) {
+        console.warn('Ignoring unreadable effect options:', error);
+    }
+    const quality = [urlParams.get('effects'), stored.quality].find(isEffectQuality) || 'high';
+    let reducedMotion = typeof stored.reducedMotion === 'boolean'
+        ? stored.reducedMotion
+        : Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    if (['reduced', 'full'].includes(urlParams.get('motion'))) reducedMotion = urlParams.get('motion') === 'reduced';
+    return { quality, reducedMotion };
+}
+
+function setEffectOptions(options) {
+    effectOptions = { ...effectOptions, ...options };
+    effects = effectSettings(effectOptions);
+    writeStoredText(EFFECTS_KEY, JSON.stringify(effectOptions));
+    removeParticles(); // Rebuilt at the new capacity by the next burst
+}
+
+function createParticles(capacity) {
+    const geometry = new THREE.BufferGeometry();
+    const attribute = (name, size) => geometry.setAttribute(name,
+        new THREE.BufferAttribute(new Float32Array(capacity * size), size).setUsage(THREE.DynamicDrawUsage));
+    attribute('position', 3);
+    attribute('velocity', 3);
+    attribute('particleColor', 3);
+    attribute('birth', 1);
+    attribute('life', 1);
+    attribute('gravity', 1);
+    attribute('size', 1);
+    geometry.getAttribute('birth').array.fill(-Infinity); // Long dead
+    geometry.getAttribute('life').array.fill(1);
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: { uTime: { value: effectTime }, uPixelScale: { value: particlePixelScale() } },
+        vertexShader: PARTICLE_VERTEX_SHADER,
+        fragmentShader: PARTICLE_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false; // The shader moves them; the geometry's bounds mean nothing
+    scene.add(points);
+    return { points, geometry, material, capacity, cursor: 0 };
+}
+
+function removeParticles() {
+    if (!particles) return;
+    scene.remove(particles.points);
+    particles.geometry.dispose();
+    particles.material.dispose();
+    particles = null;
+}
+
+// Pixels a point one unit across covers at distance 1
+function particlePixelScale() {
+    return window.innerHeight * renderer.getPixelRatio() / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)));
+}
+
+// Emit a burst (see BURST_KINDS) at a world position off a surface facing normal (world space)
+function emitBurst(kind, origin, normal, color) {
+    if (effects.capacity === 0) return;
+    const burst = burstParticles(kind, { origin: origin.toArray(), normal: normal.toArray(), color, settings: effects });
+    if (burst.length === 0) return;
+    if (!particles) particles = createParticles(effects.capacity);
+    const { geometry } = particles;
+    const particleColor = new THREE.Color();
+    for (const particle of burst) {
+        // The pool is a ring: the oldest particle makes way
+        const index = particles.cursor;
+        particles.cursor = (particles.cursor + 1) % particles.capacity;
+        geometry.getAttribute('position').setXYZ(index, ...particle.position);
+        geometry.getAttribute('velocity').setXYZ(index, ...particle.velocity);
+        geometry.getAttribute('particleColor').setXYZ(index, ...particleColor.setHex(particle.color).toArray());
+        geometry.getAttribute('birth').setX(index, effectTime);
+        geometry.getAttribute('life').setX(index, particle.life);
+        geometry.getAttribute('gravity').setX(index, particle.gravity);
+        geometry.getAttribute('size').setX(index, particle.size);
+    }
+    for (const name of Object.keys(geometry.attributes)) geometry.getAttribute(name).needsUpdate = true;
+}
+
+// A burst from a landed tile, along its face's normal as the ball is turned now
+function emitTileBurst(kind, tile, color) {
+    const origin = soccerBall.localToWorld(new THREE.Vector3().fromArray(game.tileLocalPosition(tile.faceId, tile.stackIndex)));
+    const normal = new THREE.Vector3().fromArray(game.topology.faces[tile.faceId].normal).applyQuaternion(soccerBall.quaternion);
+    emitBurst(kind, origin, normal, color);
+}
+
+// A ring that runs over the ball from tile's face to the far side, just above the cleared shell
+function showShockwave(tile) {
+    if (!effects.shockwave) return;
+    const radius = new THREE.Vector3().fromArray(game.tileLocalPosition(tile.faceId, tile.stackIndex)).length();
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uCenter: { value: new THREE.Vector3().fromArray(game.topology.faces[tile.faceId].normal) },
+            uColor: { value: new THREE.Color(SHOCKWAVE_COLOR) },
+            uProgress: { value: 0 }
+        },
+        vertexShader: SHOCKWAVE_VERTEX_SHADER,
+        fragmentShader: SHOCKWAVE_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    const shockwave = new THREE.Mesh(new THREE.SphereGeometry(radius, 48, 32), material);
+    soccerBall.add(shockwave); // Ball-local, so it turns with the ball
+    timeline.add({
+        duration: SHOCKWAVE_DURATION,
+        ease: 'easeOutCubic',
+        detached: true,
+        onUpdate: progress => { material.uniforms.uProgress.value = progress; },
+        onComplete: () => {
+            soccerBall.remove(shockwave);
+            shockwave.geometry.dispose();
+            material.dispose();
         }
-        
+    });
+}
+
+function updateEffects(delta) {
+    effectTime += delta;
+    if (particles) particles.material.uniforms.uTime.value = effectTime;
+}
+
+// --- Ghost Tile Function ---
+// Shows where every cell of the current piece would land; cells whose shape doesn't
+// match are tinted red, and the ghost is hidden when the anchor cell itself doesn't fit
+function updateGhostTile() {
+    const target = game.current && game.config.ghost ? game.getLandingTarget() : null; // Some difficulties hide it
+    if (!target || target.cells[0].surfaceShape !== target.cells[0].shape) {
+        removeGhostTile();
+        return;
+    }
+
+    const key = target.cells.map(cell => `${cell.faceId}:${cell.stackIndex}:${cell.rotation}:${cell.shape}:${cell.matches}`).join('|');
+    if (ghostTile && ghostKey === key) return; // Already showing the right spot
+    removeGhostTile();
+
+    // Cells live in soccer ball's local space so the ghost follows the ball
+    ghostTile = new THREE.Group();
+    for (const cell of target.cells) {
+        if (cell.faceId === null) continue; // An arm with no face to go to
         // Create a better ghost tile with Tetris-like appearance
-        ghostTile = new THREE.Mesh(
-            currentFallingTile.geometry.clone(),
+        const ghostCell = new THREE.Mesh(
+            tileGeometries[cell.shape],
             new THREE.MeshBasicMaterial({
-                color: 0xffffff,     // White base color
+                color: cell.matches ? 0xffffff : 0xff0000, // White base color, red where it won't fit
                 transparent: true,
                 opacity: 0.4,         // More visible
                 wireframe: false,     // Solid fill
@@ -396,824 +1279,269 @@ function createSimpleGhostTile() {
                 side: THREE.DoubleSide // Render both sides
             })
         );
-        
+
         // Add wireframe on top for better visibility
-        const edgesGeometry = new THREE.EdgesGeometry(ghostTile.geometry);
-        const edgesMaterial = new THREE.LineBasicMaterial({ 
-            color: 0xff00ff,         // Magenta outline
+        const edgesGeometry = new THREE.EdgesGeometry(ghostCell.geometry);
+        const edgesMaterial = new THREE.LineBasicMaterial({
+            color: cell.matches ? 0xff00ff : 0xff0000, // Magenta outline
             linewidth: 3,            // Thicker lines
             transparent: true,
             opacity: 0.9             // Very visible outline
         });
-        const wireframe = new THREE.LineSegments(edgesGeometry, edgesMaterial);
-        ghostTile.add(wireframe);
-        
-        const intersect = intersects[0];
-        const hitObject = intersect.object;
-        let landedWorldPosition = new THREE.Vector3();
-        let landedWorldQuaternion = new THREE.Quaternion();
-
-        // CASE 1: Hit the base soccer ball mesh
-        if (hitObject === soccerBallMesh) {
-            const geometry = hitObject.geometry;
-            const index = geometry.index;
-            const position = geometry.attributes.position;
-            const faceIndex = intersect.faceIndex;
-
-            // Calculate Surface Normal (World Space) - Use geometric normal
-            const faceNormal = new THREE.Vector3();
-            let a, b, c; // vertex indices
-            if (index) { a = index.getX(faceIndex * 3); b = index.getX(faceIndex * 3 + 1); c = index.getX(faceIndex * 3 + 2); }
-            else { a = faceIndex * 3; b = faceIndex * 3 + 1; c = faceIndex * 3 + 2; } 
-            const vA = new THREE.Vector3().fromBufferAttribute(position, a); 
-            const vB = new THREE.Vector3().fromBufferAttribute(position, b); 
-            const vC = new THREE.Vector3().fromBufferAttribute(position, c); 
-            faceNormal.crossVectors(vB.clone().sub(vA), vC.clone().sub(vA));
-            faceNormal.normalize(); 
-            const worldNormal = faceNormal.clone().transformDirection(hitObject.matrixWorld).normalize();
-
-            // Calculate faceVertexSet for shape detection
-            const faceVertexSet = new Set();
-            let a_idx = a, b_idx = b, c_idx = c;
-            faceVertexSet.add(a_idx); faceVertexSet.add(b_idx); faceVertexSet.add(c_idx);
-            if (index) { 
-                const posA = new THREE.Vector3().fromBufferAttribute(position, a_idx);
-                const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(faceNormal, posA);
-                const tolerance = 0.01;
-                for (let i = 0; i < index.count / 3; i++) {
-                    if (i === faceIndex) continue;
-                    const ta = index.getX(i * 3), tb = index.getX(i * 3 + 1), tc = index.getX(i * 3 + 2);
-                    const vTa = new THREE.Vector3().fromBufferAttribute(position, ta);
-                    if (Math.abs(plane.distanceToPoint(vTa)) < tolerance &&
-                        (faceVertexSet.has(ta) || faceVertexSet.has(tb) || faceVertexSet.has(tc)) ) 
-                    {
-                        faceVertexSet.add(ta); faceVertexSet.add(tb); faceVertexSet.add(tc);
-                    }
-                }
-            } 
-            
-            // Determine shape and calculate center
-            const faceIsPentagon = (faceVertexSet.size === 5);
-            const faceIsHexagon = (faceVertexSet.size === 6);
-
-            // Calculate face center
-            const faceCenterLocal = new THREE.Vector3(); 
-            let vertexCount = 0;
-            faceVertexSet.forEach(vIdx => { 
-                faceCenterLocal.add(new THREE.Vector3().fromBufferAttribute(position, vIdx));
-                vertexCount++; 
-            }); 
-            
-            if (vertexCount > 0) {
-                faceCenterLocal.multiplyScalar(1/vertexCount);
-            } else { 
-                faceCenterLocal.add(vA).add(vB).add(vC).multiplyScalar(1/3); 
-            }
-            const worldFaceCenter = faceCenterLocal.clone().applyMatrix4(hitObject.matrixWorld);
-            
-            // Determine tile shape
-            const tileIsPentagon = (currentFallingTile.geometry === pentGeometry);
-            const tileIsHexagon = (currentFallingTile.geometry === hexGeometry);
-
-            // If shapes don't match, don't show ghost
-            if ((faceIsPentagon && tileIsHexagon) || (faceIsHexagon && tileIsPentagon)) {
-                // Don't create a ghost for shape mismatch
-                if (ghostTile && ghostTile.parent) {
-                    ghostTile.parent.remove(ghostTile);
-                }
-                ghostTile = null;
-                return;
-            }
+        ghostCell.add(new THREE.LineSegments(edgesGeometry, edgesMaterial));
 
-            // Position calculation
-            const offsetDistance = tileDepth / 2 + 0.005; 
-            landedWorldPosition = worldFaceCenter.clone().add(worldNormal.clone().multiplyScalar(offsetDistance));
-            
-            // Basic orientation alignment
-            const tileDownVector = new THREE.Vector3(0, 0, 1); 
-            landedWorldQuaternion.setFromUnitVectors(tileDownVector, worldNormal); 
-
-            // Secondary alignment (sides) if shapes match
-            if ((faceIsPentagon && tileIsPentagon) || (faceIsHexagon && tileIsHexagon)) {
-                const tileRefLocal = new THREE.Vector3(1, 0, 0);
-                const faceRefLocal = vA.clone().sub(faceCenterLocal);
-                
-                const tileRefWorld = tileRefLocal.clone().applyQuaternion(landedWorldQuaternion);
-                const faceRefWorld = faceRefLocal.clone().transformDirection(hitObject.matrixWorld);
-                const planeNormal = worldNormal;
-                const tileRefProjected = tileRefWorld.clone().projectOnPlane(planeNormal).normalize();
-                const faceRefProjected = faceRefWorld.clone().projectOnPlane(planeNormal).normalize();
-                
-                if (tileRefProjected.lengthSq() > 0.001 && faceRefProjected.lengthSq() > 0.001) {
-                    let angle = tileRefProjected.angleTo(faceRefProjected);
-                    const crossProduct = new THREE.Vector3().crossVectors(tileRefProjected, faceRefProjected);
-                    if (crossProduct.dot(planeNormal) < 0) { angle = -angle; }
-                    
-                    const sideAlignmentQuaternion = new THREE.Quaternion().setFromAxisAngle(planeNormal, angle);
-                    landedWorldQuaternion.premultiply(sideAlignmentQuaternion);
-                }
-            }
-        } 
-        // CASE 2: Hit a previously landed tile
-        else if (!hitObject.userData.isGhost) { // Make sure we're not hitting another ghost
-            const hitTile = hitObject;
-            
-            // Get hit tile's world transform
-            const hitTileWorldPos = new THREE.Vector3();
-            const hitTileWorldQuat = new THREE.Quaternion();
-            hitTile.getWorldPosition(hitTileWorldPos);
-            hitTile.getWorldQuaternion(hitTileWorldQuat);
-
-            // Check if shapes match for stacking
-            const tileIsPentagon = (currentFallingTile.geometry === pentGeometry);
-            const tileIsHexagon = (currentFallingTile.geometry === hexGeometry);
-            const landedOnPentagon = (hitTile.geometry === pentGeometry);
-            const landedOnHexagon = (hitTile.geometry === hexGeometry);
-            
-            // If shapes don't match, don't show ghost
-            if ((landedOnPentagon && tileIsHexagon) || (landedOnHexagon && tileIsPentagon)) {
-                if (ghostTile && ghostTile.parent) {
-                    ghostTile.parent.remove(ghostTile);
-                }
-                ghostTile = null;
-                return;
-            }
+        ghostCell.position.fromArray(game.tileLocalPosition(cell.faceId, cell.stackIndex));
+        ghostCell.quaternion.copy(tileLocalQuaternion(cell.faceId, cell.rotation));
+        ghostTile.add(ghostCell);
+    }
+    soccerBall.add(ghostTile);
 
-            // Determine the "up" direction of the hit tile in world space
-            const tileLocalUp = new THREE.Vector3(0, 0, 1); 
-            const hitTileWorldUp = tileLocalUp.clone().applyQuaternion(hitTileWorldQuat).normalize();
-           
-            // Calculate position (stacking)
-            landedWorldPosition = hitTileWorldPos.clone().add(hitTileWorldUp.multiplyScalar(tileDepth));
+    // Set the render order to ensure it appears on top of existing tiles
+    ghostTile.traverse(child => {
+        child.userData.isGhost = true;
+        child.renderOrder = 1000;
+    });
+    ghostKey = key;
+}
 
-            // Set orientation to match tile below
-            landedWorldQuaternion.copy(hitTileWorldQuat);
-        }
-        else {
-            // For any other object, use simple normal alignment (fallback)
-            const hitPoint = intersect.point.clone();
-            const normal = intersect.face.normal.clone().transformDirection(soccerBall.matrixWorld);
-            
-            // Add a small offset along normal
-            hitPoint.add(normal.multiplyScalar(0.01));
-            landedWorldPosition = hitPoint;
-            
-            // Set orientation based on normal
-            const tileDownVector = new THREE.Vector3(0, 0, 1);
-            landedWorldQuaternion.setFromUnitVectors(tileDownVector, normal);
-        }
-
-        // NaN Check
-        if (isNaN(landedWorldPosition.x) || isNaN(landedWorldPosition.y) || isNaN(landedWorldPosition.z) || 
-            isNaN(landedWorldQuaternion.x) || isNaN(landedWorldQuaternion.y) || isNaN(landedWorldQuaternion.z) || isNaN(landedWorldQuaternion.w)) {
-            // Don't place ghost with invalid coordinates
-            if (ghostTile && ghostTile.parent) {
-                ghostTile.parent.remove(ghostTile);
-            }
-            ghostTile = null;
-            return;
+function removeGhostTile() {
+    if (ghostTile) {
+        if (ghostTile.parent) {
+            ghostTile.parent.remove(ghostTile);
         }
-
-        // Position ghost tile in soccer ball's local space
-        soccerBall.updateMatrixWorld(true);
-        const landedLocalPosition = soccerBall.worldToLocal(landedWorldPosition.clone());
-        ghostTile.position.copy(landedLocalPosition);
-
-        // Set ghost rotation from world quaternion
-        const parentWorldQuaternionInv = new THREE.Quaternion();
-        soccerBall.getWorldQuaternion(parentWorldQuaternionInv).invert();
-        ghostTile.quaternion.copy(parentWorldQuaternionInv).multiply(landedWorldQuaternion);
-        
-        // Add to scene as a child of soccerBall to follow its movements
-        soccerBall.add(ghostTile);
-        
-        // === IMPORTANT: Make ghost non-interactive but VISIBLE ===
-        // Tag it as a ghost for filtering in gameplay logic
-        ghostTile.userData.isGhost = true;
-        
-        // Set the render order to ensure it appears on top of existing tiles
-        ghostTile.renderOrder = 1000;
-        
-        // Keep the ghost on the default layer 0 but ensure it doesn't interact with gameplay
-        // This is the key change - we DON'T set layers.set(1) anymore to keep it visible
-        
-        // Make all child objects also properly tagged
         ghostTile.traverse(child => {
-            child.userData.isGhost = true;
-            child.renderOrder = 1000;
+            if (child.isLineSegments) child.geometry.dispose();
+            if (child.material) child.material.dispose();
         });
-        
-        // Log that we've created a ghost
-        console.log("Created Tetris-style ghost tile");
+        ghostTile = null;
     }
+    ghostKey = null;
 }
 
-// --- Start ---
-console.log("Three.js setup complete. Starting animation loop...");
-animate();
-
-// --- Add game logic functions ---
-
-// --- Revise the layer detection and clearing logic ---
-// Identify which face belongs to which layer on the soccer ball
-function identifyLayers() {
-    // Initialize layers map - we'll group faces by their spherical coordinates
-    const layers = {};
-    
-    // Make sure the soccer ball's world matrix is up to date
-    soccerBall.updateMatrixWorld(true);
-    
-    if (!soccerBallMesh || !soccerBallMesh.geometry) {
-        console.error("Soccer ball mesh or geometry is not available");
-        return layers;
-    }
-    
-    const geometry = soccerBallMesh.geometry;
-    const position = geometry.attributes.position;
-    
-    // Soccer ball has 5 main horizontal layers when viewed properly
-    // Use distance from central axis instead of just y-coordinate
-    
-    // Get the center of the soccer ball in world space
-    const ballCenter = new THREE.Vector3(0, 0, 0).applyMatrix4(soccerBall.matrixWorld);
-    // Get the up vector of the soccer ball in world space
-    const ballUp = new THREE.Vector3(0, 1, 0).transformDirection(soccerBall.matrixWorld).normalize();
-    
-    if (geometry.index) {
-        // For each face, calculate its center
-        const faceData = [];
-        
-        for (let i = 0; i < geometry.index.count / 3; i++) {
-            const a = geometry.index.getX(i * 3);
-            const b = geometry.index.getX(i * 3 + 1);
-            const c = geometry.index.getX(i * 3 + 2);
-            
-            const vA = new THREE.Vector3().fromBufferAttribute(position, a);
-            const vB = new THREE.Vector3().fromBufferAttribute(position, b);
-            const vC = new THREE.Vector3().fromBufferAttribute(position, c);
-            
-            // Calculate face center
-            const faceCenter = new THREE.Vector3()
-                .add(vA)
-                .add(vB)
-                .add(vC)
-                .multiplyScalar(1/3);
-            
-            // Transform to world coordinates
-            const worldFaceCenter = faceCenter.clone().applyMatrix4(soccerBallMesh.matrixWorld);
-            
-            // Calculate vector from ball center to face center
-            const centerToFace = worldFaceCenter.clone().sub(ballCenter);
-            
-            // Project this vector onto the ball's up axis to get position along axis
-            const heightAlongAxis = centerToFace.dot(ballUp);
-            
-            // Use the distance from the central axis for layer grouping
-            // (Distance from the ray passing through the center along the up vector)
-            const projectedOnUp = ballUp.clone().multiplyScalar(heightAlongAxis);
-            const perpendicular = centerToFace.clone().sub(projectedOnUp);
-            const distanceFromAxis = perpendicular.length();
-            
-            // Store face info
-            faceData.push({
-                index: i,
-                axisHeight: heightAlongAxis,
-                distanceFromAxis: distanceFromAxis
-            });
-        }
-        
-        // Group faces into layers - use primarily axisHeight but with a large tolerance
-        // We want approximately 5-6 main layers on the soccer ball
-        const heightTolerance = 0.5; // Larger tolerance to group faces into main layers
-        
-        faceData.forEach(face => {
-            const height = Math.round(face.axisHeight / heightTolerance) * heightTolerance;
-            const layerKey = height.toFixed(1); // Use one decimal precision for keys
-            
-            if (!layers[layerKey]) {
-                layers[layerKey] = [];
-            }
-            layers[layerKey].push(face.index);
-        });
-        
-        // Debug info about layers
-        console.log(`Found ${Object.keys(layers).length} distinct layers`);
-        for (const [key, faces] of Object.entries(layers)) {
-            console.log(`Layer ${key}: ${faces.length} faces`);
+// --- Snap Rotation ---
+// In snap mode the arrow keys pick a neighbour of the target face by where it appears on
+// screen and the core turns the ball to it (game.snapToFace), so replays stay exact.
+
+function snapInScreenDirection(screenX, screenY) {
+    // Chain from where a snap in progress is headed, seen as it will be when it gets there
+    const fromFaceId = game.snap ? game.snap.faceId : game.getLandingTarget()?.faceId;
+    if (fromFaceId === undefined) return;
+    const orientation = new THREE.Quaternion().fromArray(game.snap ? game.snap.to : game.ballQuaternion);
+    const toScreen = point => new THREE.Vector3().fromArray(point).applyQuaternion(orientation).project(camera);
+
+    const from = toScreen(game.topology.faces[fromFaceId].center);
+    const wanted = new THREE.Vector2(screenX, screenY);
+    let best = null;
+    let bestDot = 0.3; // Roughly within 70 degrees of the key's direction
+    for (const neighborId of game.topology.faces[fromFaceId].neighbors) {
+        const to = toScreen(game.topology.faces[neighborId].center);
+        const dot = new THREE.Vector2(to.x - from.x, to.y - from.y).normalize().dot(wanted);
+        if (dot > bestDot) {
+            best = neighborId;
+            bestDot = dot;
         }
     }
-    
-    return layers;
+    if (best !== null) game.snapToFace(best);
 }
 
-// Check for completed layers after a new tile lands
-function checkForCompletedLayers() {
-    if (activeTiles.length < 5) return; // Need enough tiles to potentially form a layer
-    
-    // Debug - log the current occupied faces and layers
-    console.log(`Currently occupied faces: ${occupiedFaces.size}`);
-    console.log(`Current layers: ${Array.from(layerTiles.keys()).join(', ')}`);
-    
-    // Sort layers from bottom to top (larger distance is lower/outer layer)
-    // For soccer ball, LARGER numbers = further from center = OUTER layers
-    const sortedLayers = Array.from(layerTiles.keys())
-        .map(layer => parseFloat(layer))
-        .sort((a, b) => b - a); // Sort larger to smaller (outer to inner)
-    
-    console.log(`Sorted layers for checking: ${sortedLayers.join(', ')}`);
-    
-    // Check each layer for completion
-    let layersCleared = 0;
-    let layersToClear = [];
-    
-    // First identify all layers that need to be cleared
-    for (const layerNumber of sortedLayers) {
-        // Get the layer using either number or string key
-        const layerKey = layerTiles.has(layerNumber) ? layerNumber : 
-                        (layerTiles.has(layerNumber.toString()) ? layerNumber.toString() : null);
-                        
-        if (!layerKey) {
-            console.warn(`Layer ${layerNumber} not found in layerTiles map!`);
-            continue;
-        }
-        
-        const tilesInLayer = layerTiles.get(layerKey);
-        console.log(`Layer ${layerNumber}: ${tilesInLayer.length} tiles`);
-        
-        // A complete layer has more than 31 tiles (32 is optimal)
-        if (tilesInLayer.length > 31) {
-            console.log(`Complete layer ${layerNumber} found with ${tilesInLayer.length} tiles!`);
-            layersToClear.push(layerNumber);
-            
-            // Add score based on layer size
-            const layerScore = tilesInLayer.length * 25; 
-            score += layerScore;
-            console.log(`Layer ${layerNumber} with ${tilesInLayer.length} tiles will be cleared! Score: +${layerScore}`);
-            
-            // Increment cleared layers counter
-            layersCleared++;
-        }
-    }
-    
-    // Then clear them one by one from bottom to top (important for proper falling behavior)
-    if (layersToClear.length > 0) {
-        // Give bonus for clearing multiple layers at once
-        if (layersToClear.length > 1) {
-            const multiLayerBonus = layersToClear.length * 100;
-            score += multiLayerBonus;
-            console.log(`Multi-layer bonus: +${multiLayerBonus} points for clearing ${layersToClear.length} layers!`);
-        }
-        
-        // Important: Sort layersToClear from outer to inner (larger to smaller)
-        // This ensures we clear from the outside in, which works better for the soccer ball
-        layersToClear.sort((a, b) => parseFloat(b) - parseFloat(a)); // Sort from larger to smaller
-        
-        console.log(`Clearing layers in order: ${layersToClear.join(', ')}`);
-        
-        // Process layers sequentially to avoid race conditions
-        let processNextLayer = function(index) {
-            if (index >= layersToClear.length) {
-                // All layers have been cleared, update score display
-                updateScoreDisplay();
-                return;
-            }
-            
-            const layerNumber = layersToClear[index];
-            clearLayer(layerNumber)
-                .then(() => {
-                    // After layer is cleared, make tiles fall
-                    makeTilesFall(layerNumber);
-                    
-                    // Process next layer with a slight delay to allow for animations
-                    setTimeout(() => {
-                        processNextLayer(index + 1);
-                    }, 300); // Increased delay for better visual effect
-                });
-        };
-        
-        // Start processing layers
-        processNextLayer(0);
-        
-        // Update level based on score
-        level = Math.floor(score / 1000) + 1;
-    }
-
-    // After processing all layers and clearing where necessary
-    if (layersCleared > 0) {
-        console.log(`${layersCleared} layer(s) cleared. Updating score and potentially making tiles fall.`);
-        updateScoreDisplay();
-        // makeTilesFall will call ensureSequentialLayers, which updates the display.
-    } else {
-        // If no layers were cleared, but tiles might have been added/moved or state changed.
-        updateLayerCountDisplay(); // <-- ADDED CALL HERE
+// Outline the face the piece is over (or the one a snap is heading to), on top of its stack
+function updateFaceHighlight() {
+    const faceId = rotationMode !== 'snap' || !game.current
+        ? undefined
+        : game.snap ? game.snap.faceId : game.getLandingTarget()?.faceId;
+    if (faceId === undefined) {
+        removeFaceHighlight();
+        return;
     }
+
+    const stackHeight = (game.occupiedFaces.get(faceId) || []).length;
+    const key = `${faceId}:${stackHeight}`;
+    if (faceHighlight && faceHighlightKey === key) return;
+    removeFaceHighlight();
+
+    const face = game.topology.faces[faceId];
+    const lift = game.config.surfaceOffset + stackHeight * game.config.tileDepth + 0.02;
+    const normal = new THREE.Vector3().fromArray(face.normal);
+    const points = face.ring.map(vertexId =>
+        new THREE.Vector3().fromArray(game.topology.vertices[vertexId]).addScaledVector(normal, lift));
+    faceHighlight = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: 0x00ffff, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    faceHighlight.renderOrder = 1001; // Over the ghost
+    soccerBall.add(faceHighlight); // Ball-local, so it turns with the ball
+    faceHighlightKey = key;
 }
 
-// Function to clear a specific layer with improved synchronization
-function clearLayer(layerNumber) {
-    const layerKey = layerTiles.has(layerNumber) ? layerNumber : 
-                    (layerTiles.has(layerNumber.toString()) ? layerNumber.toString() : null);
-                    
-    if (!layerKey) {
-        console.log(`Layer ${layerNumber} not found for clearing`);
-        return Promise.resolve();
+function removeFaceHighlight() {
+    if (faceHighlight) {
+        if (faceHighlight.parent) faceHighlight.parent.remove(faceHighlight);
+        faceHighlight.geometry.dispose();
+        faceHighlight.material.dispose();
+        faceHighlight = null;
     }
-    
-    const tilesToClear = layerTiles.get(layerKey);
-    console.log(`Clearing layer ${layerNumber} with ${tilesToClear.length} tiles`);
-    
-    // Make a copy of the tiles array to avoid modification issues during clearing
-    const tilesToClearCopy = [...tilesToClear];
-    
-    // Clear the tiles
-    return clearTiles(tilesToClearCopy).then(() => {
-        // Remove tiles from occupiedFaces map
-        for (const tile of tilesToClearCopy) {
-            if (tile.userData.faceIndex !== undefined) {
-                occupiedFaces.delete(tile.userData.faceIndex);
-            }
-            
-            // Remove from activeTiles
-            const index = activeTiles.indexOf(tile);
-            if (index > -1) {
-                activeTiles.splice(index, 1);
-            }
-        }
-        
-        // Remove this layer from tracking
-        layerTiles.delete(layerKey);
-        
-        console.log(`Layer ${layerNumber} successfully cleared`);
-        // updateLayerCountDisplay(); // <-- REMOVED THIS CALL
-    });
+    faceHighlightKey = null;
 }
 
-// Function to make tiles in higher layers fall down - REFACTORED for direct stacking
-function makeTilesFall(clearedLayerNumber) {
-    const clearedLayerValue = parseFloat(clearedLayerNumber);
-    console.log(`Refactored makeTilesFall for clearedLayer: ${clearedLayerValue}`);
-
-    soccerBall.updateMatrixWorld(true); // Ensure soccerBall matrix is up-to-date
-
-    // 1. Atomically extract tiles from layers that need to fall and remove those layers from layerTiles.
-    // This map will store originalLayerFloat -> array of tile objects.
-    const layersToProcessAboveCleared = new Map(); 
-
-    const currentLayerKeysSnapshot = Array.from(layerTiles.keys()); // Iterate over a snapshot of keys
-    for (const layerKey of currentLayerKeysSnapshot) {
-        // Ensure key is float for comparison, though ensureSequentialLayers should maintain this
-        const layerValFloat = parseFloat(layerKey); 
+// --- Ring Highlight ---
+// Under the rings clear rule, the faces of every ring the piece would complete where it
+// is aimed are outlined in gold - the clear it is about to make.
 
-        if (layerValFloat > clearedLayerValue) { // Only process layers above the cleared one
-            const tilesInThisLayer = layerTiles.get(layerKey); // Get the live array from the map
+let ringHighlight = null; // Group of face outlines
+let ringHighlightKey = null; // Ring faces and stack heights the outlines were built for
 
-            if (tilesInThisLayer && tilesInThisLayer.length > 0) {
-                // Store a copy of the tiles for processing
-                layersToProcessAboveCleared.set(layerValFloat, [...tilesInThisLayer]); 
-                // Immediately remove the layer from the global map now that we've captured its tiles
-                layerTiles.delete(layerKey); 
-                console.log(`makeTilesFall: Captured ${tilesInThisLayer.length} tiles from layer ${layerKey} for processing; layer removed from layerTiles.`);
-            } else if (tilesInThisLayer && tilesInThisLayer.length === 0) {
-                // If the layer exists but is empty, and it's above the cleared layer, remove it.
-                layerTiles.delete(layerKey);
-                console.log(`makeTilesFall: Removed empty layer ${layerKey} from layerTiles (was above cleared).`);
-            }
-        }
-    }
-    
-    if (layersToProcessAboveCleared.size === 0) {
-        console.log("No outer layers to move inward.");
-        ensureSequentialLayers(); // Ensure sequence consistency even if no tiles moved
+function updateRingHighlight() {
+    const rings = game.current ? game.ringsCompletedBy(game.getLandingTarget()) : [];
+    if (rings.length === 0) {
+        removeRingHighlight();
         return;
     }
+    const faceIds = [...new Set(rings.flatMap(ring => ring.faces))];
+    const stackHeight = faceId => (game.occupiedFaces.get(faceId) || []).length;
+    // The belts follow the ball, so the same ring ids can mean other faces after a turn
+    const key = `${faceIds.join(',')}:${faceIds.map(stackHeight).join(',')}`;
+    if (ringHighlight && ringHighlightKey === key) return;
+    removeRingHighlight();
+
+    ringHighlight = new THREE.Group();
+    const material = new THREE.LineBasicMaterial({ color: 0xffd700, depthTest: false, transparent: true, opacity: 0.8 });
+    for (const faceId of faceIds) {
+        const face = game.topology.faces[faceId];
+        const lift = game.config.surfaceOffset + stackHeight(faceId) * game.config.tileDepth + 0.02;
+        const normal = new THREE.Vector3().fromArray(face.normal);
+        const points = face.ring.map(vertexId =>
+            new THREE.Vector3().fromArray(game.topology.vertices[vertexId]).addScaledVector(normal, lift));
+        ringHighlight.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), material));
+    }
+    ringHighlight.children.forEach(line => { line.renderOrder = 1001; }); // Over the ghost
+    soccerBall.add(ringHighlight);
+    ringHighlightKey = key;
+}
 
-    // 2. Remove these extracted tiles from global tracking (activeTiles, occupiedFaces).
-    // They are already removed from layerTiles. They will be re-added as they "land".
-    layersToProcessAboveCleared.forEach((tilesToClean, originalLayerFloat) => {
-        console.log(`makeTilesFall: Preparing ${tilesToClean.length} tiles from original layer ${originalLayerFloat} (already removed from layerTiles).`);
-        for (const tile of tilesToClean) {
-            const activeIndex = activeTiles.indexOf(tile);
-            if (activeIndex > -1) activeTiles.splice(activeIndex, 1);
+function removeRingHighlight() {
+    if (ringHighlight) {
+        if (ringHighlight.parent) ringHighlight.parent.remove(ringHighlight);
+        ringHighlight.children.forEach(line => line.geometry.dispose());
+        ringHighlight.children[0]?.material.dispose(); // Shared by every outline
+        ringHighlight = null;
+    }
+    ringHighlightKey = null;
+}
 
-            if (tile.userData.faceIndex !== undefined) {
-                if (occupiedFaces.get(tile.userData.faceIndex) === tile) {
-                    occupiedFaces.delete(tile.userData.faceIndex);
-                }
-            }
-        }
-    });
+// --- Start ---
+console.log("Three.js setup complete. Starting animation loop...");
+animate();
 
-    // 3. Define the expected sequence of layer radii/numbers.
-    const expectedLayers = [3.3, 3.4, 3.5, 3.6, 3.7, 3.8, 3.9, 4.0, 4.1, 4.2];
-
-    const clearedLayerIndexInExpected = expectedLayers.indexOf(clearedLayerValue);
-    if (clearedLayerIndexInExpected === -1) {
-        console.warn(`Cleared layer ${clearedLayerValue} not in expectedLayers. Aborting makeTilesFall. Orphaned tiles will be removed.`);
-        // Remove all tiles that were collected in layersToProcessAboveCleared from the scene
-        layersToProcessAboveCleared.forEach((tilesToOrphan, key) => {
-            for (const tile of tilesToOrphan) {
-                if (tile.parent) tile.parent.remove(tile);
-                console.log(`makeTilesFall: Removed orphaned tile (clearedLayer not in expected) from scene.`);
+// Flash the cleared tiles yellow, then fade and shrink them away. Their meshes leave
+// tileMeshes straight away; the scene keeps them until the fade is done.
+function clearTiles(tiles) {
+    for (const tile of tiles) {
+        const mesh = tileMeshes.get(tile.id);
+        tileMeshes.delete(tile.id);
+        if (!mesh) continue;
+        emitTileBurst('clear', tile, tile.color);
+        const originalColor = mesh.material.color.clone();
+        const originalScale = mesh.scale.clone();
+        mesh.material.color.set(0xffff00); // Flash yellow
+        mesh.material.transparent = true;
+
+        // The fade starts once the flash has shown for a moment
+        timeline.add({
+            delay: 0.1,
+            duration: 0.2,
+            onUpdate: progress => {
+                const fadeOut = 1 - progress;
+                mesh.material.color.copy(originalColor).multiplyScalar(fadeOut);
+                mesh.material.opacity = fadeOut;
+                mesh.scale.copy(originalScale).multiplyScalar(0.5 + fadeOut * 0.5);
+            },
+            onComplete: () => {
+                if (mesh.parent) mesh.parent.remove(mesh);
             }
         });
-        ensureSequentialLayers();
-        return;
     }
+}
 
-    // 4. Process layers sequentially from innermost to outermost that needs to fall
-    //    (sortedOriginalLayersToProcess now uses keys from layersToProcessAboveCleared)
-    const sortedOriginalLayersToProcess = Array.from(layersToProcessAboveCleared.keys()).sort((a, b) => a - b);
-
-    for (let i = 0; i < sortedOriginalLayersToProcess.length; i++) {
-        const originalSourceLayerFloat = sortedOriginalLayersToProcess[i];
-        const targetLayerFloat = expectedLayers[clearedLayerIndexInExpected + i];
-
-        if (targetLayerFloat === undefined) {
-            console.warn(`Ran out of target layers in expectedLayers for original source ${originalSourceLayerFloat}. Remaining tiles will be removed from scene.`);
-            // Remove tiles from this originalSourceLayerFloat and any subsequent ones from the scene
-            for (let k = i; k < sortedOriginalLayersToProcess.length; k++) {
-                const unprocessedLayerKey = sortedOriginalLayersToProcess[k];
-                const tilesToOrphan = layersToProcessAboveCleared.get(unprocessedLayerKey);
-                if (tilesToOrphan) {
-                    for (const tile of tilesToOrphan) {
-                        if (tile.parent) tile.parent.remove(tile);
-                        console.log(`makeTilesFall: Removed orphaned tile (no targetLayer) from layer ${unprocessedLayerKey} from scene.`);
-                    }
-                }
-            }
-            break; // Stop processing further layers
-        }
-
-        console.log(`Processing tiles from original ${originalSourceLayerFloat} to target layer ${targetLayerFloat}`);
-        const tilesToMoveThisPass = layersToProcessAboveCleared.get(originalSourceLayerFloat);
-
-        if (!tilesToMoveThisPass || tilesToMoveThisPass.length === 0) continue;
-
-        // Ensure target layer entry exists in layerTiles (use float as key)
-        if (!layerTiles.has(targetLayerFloat)) {
-            layerTiles.set(targetLayerFloat, []);
+// --- Score Popups ---
+// Floating text over the cleared layer: the points, then whichever bonuses paid out
+
+const SCORE_POPUP_DURATION = 1.4; // Seconds
+const SCORE_POPUP_RISE = 1.2; // World units the popup floats up
+
+function showScorePopup(layer, award) {
+    // Over the cleared tile nearest the camera, so the popup isn't hidden behind the ball
+    const tile = nearestToCamera(layer.tiles);
+    if (!tile) return;
+    const position = soccerBall.localToWorld(new THREE.Vector3().fromArray(game.tileLocalPosition(tile.faceId, tile.stackIndex)));
+
+    const lines = [`+${award.points}`];
+    if (award.chain > 1) lines.push(`Chain x${award.chain}`);
+    else if (award.combo > 1) lines.push(`Combo x${award.combo}`);
+    if (award.backToBack) lines.push('Back-to-back!');
+    if (award.perfectSphere) lines.push('Perfect sphere!');
+    if (award.parts.level > 0) lines.push(`Level x${award.levelMultiplier.toFixed(1)}`);
+
+    const sprite = createTextSprite(lines);
+    sprite.position.copy(position);
+    scene.add(sprite);
+    const start = position.clone();
+    timeline.add({
+        duration: SCORE_POPUP_DURATION,
+        detached: true, // The board carries on underneath
+        onUpdate: progress => {
+            sprite.position.set(start.x, start.y + progress * SCORE_POPUP_RISE, start.z);
+            sprite.material.opacity = progress < 0.6 ? 1 : 1 - (progress - 0.6) / 0.4;
+        },
+        onComplete: () => {
+            scene.remove(sprite);
+            sprite.material.map.dispose();
+            sprite.material.dispose();
         }
+    });
+}
 
-        for (const tile of tilesToMoveThisPass) {
-            tile.updateMatrixWorld(true); // Ensure tile's own matrix is current
-            const tileCurrentWorldPos = new THREE.Vector3();
-            tile.getWorldPosition(tileCurrentWorldPos);
-
-            const sphereCenterWorld = new THREE.Vector3().setFromMatrixPosition(soccerBall.matrixWorld);
-            const directionToCenter = sphereCenterWorld.clone().sub(tileCurrentWorldPos).normalize();
-            const fallRaycaster = new THREE.Raycaster(tileCurrentWorldPos, directionToCenter);
-
-            const raycastTargets = [soccerBallMesh];
-            layerTiles.forEach((tilesInLayerList, layerKey) => {
-                if (parseFloat(layerKey) < targetLayerFloat) { // Consider tiles already settled in layers *below* the current target
-                    raycastTargets.push(...tilesInLayerList);
-                }
-            });
-            const finalRaycastTargets = raycastTargets.filter(obj => obj !== tile); 
-
-            const intersects = fallRaycaster.intersectObjects(finalRaycastTargets, false);
-
-            let landedWorldPosition = new THREE.Vector3();
-            let landedWorldQuaternion = new THREE.Quaternion();
-            let newFaceIndexOfTile = tile.userData.faceIndex; 
-
-            if (intersects.length > 0) {
-                const intersect = intersects[0];
-                const hitObject = intersect.object;
-
-                if (hitObject === soccerBallMesh) {
-                    console.log(`Tile (orig ${originalSourceLayerFloat}) landing on soccerBallMesh face ${intersect.faceIndex}`);
-                    newFaceIndexOfTile = intersect.faceIndex;
-
-                    // --- Start: Ported and adapted logic from processTileLanding for sphere face interaction ---
-                    const geometry = hitObject.geometry;
-                    const index = geometry.index;
-                    const positionAttribute = geometry.attributes.position;
-                    const faceIdx = intersect.faceIndex;
-
-                    const geometricFaceNormalLocal = new THREE.Vector3();
-                    let vA_idx, vB_idx, vC_idx;
-                    if (index) { 
-                        vA_idx = index.getX(faceIdx * 3); 
-                        vB_idx = index.getX(faceIdx * 3 + 1); 
-                        vC_idx = index.getX(faceIdx * 3 + 2); 
-                    } else { 
-                        vA_idx = faceIdx * 3; 
-                        vB_idx = faceIdx * 3 + 1; 
-                        vC_idx = faceIdx * 3 + 2; 
-                    }
-                    const vA_vec = new THREE.Vector3().fromBufferAttribute(positionAttribute, vA_idx);
-                    const vB_vec = new THREE.Vector3().fromBufferAttribute(positionAttribute, vB_idx);
-                    const vC_vec = new THREE.Vector3().fromBufferAttribute(positionAttribute, vC_idx);
-                    geometricFaceNormalLocal.crossVectors(vB_vec.clone().sub(vA_vec), vC_vec.clone().sub(vA_vec)).normalize();
-                    const worldGeometricNormal = geometricFaceNormalLocal.clone().transformDirection(hitObject.matrixWorld).normalize();
-
-                    const faceVertexSet = new Set();
-                    faceVertexSet.add(vA_idx); faceVertexSet.add(vB_idx); faceVertexSet.add(vC_idx);
-                    if (index) {
-                        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(geometricFaceNormalLocal, vA_vec);
-                        const tolerance = 0.01; 
-                        for (let k = 0; k < index.count / 3; k++) {
-                            if (k === faceIdx) continue;
-                            const ta = index.getX(k * 3), tb = index.getX(k * 3 + 1), tc = index.getX(k * 3 + 2);
-                            const vTa = new THREE.Vector3().fromBufferAttribute(positionAttribute, ta);
-                            if (Math.abs(plane.distanceToPoint(vTa)) < tolerance &&
-                                (faceVertexSet.has(ta) || faceVertexSet.has(tb) || faceVertexSet.has(tc))) {
-                                faceVertexSet.add(ta); faceVertexSet.add(tb); faceVertexSet.add(tc);
-                            }
-                        }
-                    }
-                    
-                    const faceIsPentagon = (faceVertexSet.size === 5);
-                    const faceIsHexagon = (faceVertexSet.size === 6);
-
-                    const faceCenterLocal = new THREE.Vector3();
-                    let vertexCount = 0;
-                    faceVertexSet.forEach(vIdx => {
-                        faceCenterLocal.add(new THREE.Vector3().fromBufferAttribute(positionAttribute, vIdx));
-                        vertexCount++;
-                    });
-                    if (vertexCount > 0) faceCenterLocal.multiplyScalar(1 / vertexCount);
-                    else faceCenterLocal.add(vA_vec).add(vB_vec).add(vC_vec).multiplyScalar(1/3); 
-
-                    const worldFaceCenter = faceCenterLocal.clone().applyMatrix4(hitObject.matrixWorld);
-                    
-                    const tileIsPentagon = (tile.geometry === pentGeometry);
-                    const tileIsHexagon = (tile.geometry === hexGeometry);
-
-                    if ((faceIsPentagon && tileIsHexagon) || (faceIsHexagon && tileIsPentagon)) {
-                         console.log(`makeTilesFall: Shape mismatch! Tile (${tileIsPentagon ? 'P' : 'H'}) on Face (${faceIsPentagon ? 'P' : 'H'}). Skipping side alignment.`);
-                        const offsetDistance = tileDepth / 2 + 0.005;
-                        landedWorldPosition.copy(worldFaceCenter).add(worldGeometricNormal.clone().multiplyScalar(offsetDistance));
-                        const tileDownVector = new THREE.Vector3(0, 0, 1);
-                        landedWorldQuaternion.setFromUnitVectors(tileDownVector, worldGeometricNormal);
-                    } else {
-                        const offsetDistance = tileDepth / 2 + 0.005;
-                        landedWorldPosition.copy(worldFaceCenter).add(worldGeometricNormal.clone().multiplyScalar(offsetDistance));
-                        
-                        const tileDownVector = new THREE.Vector3(0, 0, 1);
-                        landedWorldQuaternion.setFromUnitVectors(tileDownVector, worldGeometricNormal);
-
-                        if ((faceIsPentagon && tileIsPentagon) || (faceIsHexagon && tileIsHexagon)) {
-                            const tileRefLocal = new THREE.Vector3(1, 0, 0); 
-                            const faceRefLocal = vA_vec.clone().sub(faceCenterLocal); 
-                            
-                            const tileRefWorld = tileRefLocal.clone().applyQuaternion(landedWorldQuaternion);
-                            const faceRefWorld = faceRefLocal.clone().transformDirection(hitObject.matrixWorld); 
-
-                            const planeNormalForAlignment = worldGeometricNormal; 
-                            const tileRefProjected = tileRefWorld.clone().projectOnPlane(planeNormalForAlignment).normalize();
-                            const faceRefProjected = faceRefWorld.clone().projectOnPlane(planeNormalForAlignment).normalize();
-
-                            if (tileRefProjected.lengthSq() > 0.001 && faceRefProjected.lengthSq() > 0.001) {
-                                let angle = tileRefProjected.angleTo(faceRefProjected);
-                                const crossProduct = new THREE.Vector3().crossVectors(tileRefProjected, faceRefProjected);
-                                if (crossProduct.dot(planeNormalForAlignment) < 0) { angle = -angle; }
-                                
-                                const sideAlignmentQuaternion = new THREE.Quaternion().setFromAxisAngle(planeNormalForAlignment, angle);
-                                landedWorldQuaternion.premultiply(sideAlignmentQuaternion);
-                                console.log(`makeTilesFall: Performed side alignment (Shape match: ${faceIsPentagon ? 'Pent' : 'Hex'})`);
-                            } else {
-                                console.warn("makeTilesFall: Could not project reference vectors for side alignment on sphere face.");
-                            }
-                        }
-                    }
-                    // --- End: Ported and adapted logic ---
-
-                } else { // Landed on another tile
-                    console.log(`Tile (orig ${originalSourceLayerFloat}) stacking on another tile (layer ${hitObject.userData.layerNumber})`);
-                    const hitTileWorldPos = new THREE.Vector3();
-                    const hitTileWorldQuat = new THREE.Quaternion();
-                    hitObject.getWorldPosition(hitTileWorldPos);
-                    hitObject.getWorldQuaternion(hitTileWorldQuat);
-                    const tileLocalUp = new THREE.Vector3(0, 0, 1); 
-                    const hitTileWorldUp = tileLocalUp.clone().applyQuaternion(hitTileWorldQuat).normalize();
-                    landedWorldPosition.copy(hitTileWorldPos).add(hitTileWorldUp.multiplyScalar(tileDepth));
-                    landedWorldQuaternion.copy(hitTileWorldQuat);
-                    newFaceIndexOfTile = hitObject.userData.faceIndex; 
-                }
-            } else {
-                console.warn(`Tile (orig ${originalSourceLayerFloat}) found NO landing spot! Placing radially at target layer ${targetLayerFloat}.`);
-                const dirFromCenterToOldPos = tileCurrentWorldPos.clone().sub(sphereCenterWorld).normalize();
-                landedWorldPosition.copy(sphereCenterWorld).add(dirFromCenterToOldPos.multiplyScalar(targetLayerFloat));
-                const tileDownVector = new THREE.Vector3(0, 0, 1);
-                const approxWorldNormal = dirFromCenterToOldPos.clone().negate(); 
-                landedWorldQuaternion.setFromUnitVectors(tileDownVector, approxWorldNormal);
-                newFaceIndexOfTile = undefined; 
-            }
-
-            // NaN Check
-            if (isNaN(landedWorldPosition.x) || isNaN(landedWorldPosition.y) || isNaN(landedWorldPosition.z) ||
-                isNaN(landedWorldQuaternion.x) || isNaN(landedWorldQuaternion.y) || isNaN(landedWorldQuaternion.z) || isNaN(landedWorldQuaternion.w) ) {
-                console.error(`NaN detected for tile from original ${originalSourceLayerFloat}. Removing tile from scene.`);
-                if (tile.parent) {
-                    tile.parent.remove(tile); // Remove from scene graph
-                }
-                continue; // Skip this tile's final placement and adding to game logic
-            }
-
-            // Apply Transform to soccerBall's local space
-            const landedLocalPosition = soccerBall.worldToLocal(landedWorldPosition.clone());
-            tile.position.copy(landedLocalPosition);
-            const parentWorldQuaternionInv = new THREE.Quaternion().copy(soccerBall.quaternion).invert(); 
-            tile.quaternion.copy(parentWorldQuaternionInv).multiply(landedWorldQuaternion);
-
-            // Update Tile Metadata
-            tile.userData.layerNumber = targetLayerFloat;
-            if (newFaceIndexOfTile !== undefined) {
-                tile.userData.faceIndex = newFaceIndexOfTile;
-                occupiedFaces.set(newFaceIndexOfTile, tile);
-            } else {
-                delete tile.userData.faceIndex;
-            }
-
-            layerTiles.get(targetLayerFloat).push(tile); // Add to the live layerTiles map
-            activeTiles.push(tile); // Add back to activeTiles
-            console.log(`Moved tile (orig ${originalSourceLayerFloat}) to new layer ${targetLayerFloat} at loc (${landedLocalPosition.x.toFixed(2)},${landedLocalPosition.y.toFixed(2)},${landedLocalPosition.z.toFixed(2)})`);
+// The tile (from the game's events) whose current place on the ball is nearest the camera
+function nearestToCamera(tiles) {
+    let nearest = null;
+    let bestDistance = Infinity;
+    for (const tile of tiles) {
+        const world = soccerBall.localToWorld(new THREE.Vector3().fromArray(game.tileLocalPosition(tile.faceId, tile.stackIndex)));
+        const distance = world.distanceTo(camera.position);
+        if (distance < bestDistance) {
+            nearest = tile;
+            bestDistance = distance;
         }
     }
-    
-    // Clean up any empty layers that might have been created in layerTiles if no tiles landed in them
-    // (ensureSequentialLayers will also handle adding missing expected layers)
-    const finalLayerKeys = Array.from(layerTiles.keys());
-    for (const key of finalLayerKeys) {
-        const tilesInLayer = layerTiles.get(key);
-        if (tilesInLayer && tilesInLayer.length === 0) {
-            // Let ensureSequentialLayers handle whether to keep it or not based on expected sequence.
-            // For now, just log. ensureSequentialLayers will add it back if it's an expected empty layer.
-            // layerTiles.delete(key); // This might be too aggressive if ensureSequentialLayers expects to find it
-            console.log(`makeTilesFall: Layer ${key} is empty after processing.`);
-        }
-    }
-    
-    soccerBall.updateMatrixWorld(true);
-    console.log(`makeTilesFall complete. Final active layers: ${Array.from(layerTiles.keys()).map(k => parseFloat(k).toFixed(1)).sort((a,b)=>a-b).join(', ')}`);
-    ensureSequentialLayers(); // Good to call this to re-verify and clean up layer map keys
-    updateLayerCountDisplay(); // <-- Add this call for good measure
+    return nearest;
 }
 
-// Function to clear tiles with improved synchronization
-function clearTiles(tilesToClear) {
-    console.log(`Clearing ${tilesToClear.length} tiles`);
-    
-    // Create a promise that resolves when all tiles are cleared
-    return new Promise((resolve) => {
-        let tilesRemaining = tilesToClear.length;
-        
-        // If no tiles to clear, resolve immediately
-        if (tilesRemaining === 0) {
-            resolve();
-            return;
-        }
-        
-        // Animate the clearing with a fade-out and shrink effect
-        tilesToClear.forEach(tile => {
-            // Add a flash effect before fading
-            const originalColor = tile.material.color.clone();
-            tile.material.color.set(0xffff00); // Flash yellow
-            
-            // Make tile transparent
-            tile.material.transparent = true;
-            
-            // Start with a brief delay to show the flash
-            setTimeout(() => {
-                // Create a fade-out animation
-                const fadeOut = {value: 1.0};
-                const originalScale = tile.scale.clone();
-                
-                const fadeAnimation = setInterval(() => {
-                    fadeOut.value -= 0.08; // Slightly faster fade
-                    
-                    if (fadeOut.value <= 0) {
-                        clearInterval(fadeAnimation);
-                        
-                        // Remove tile from scene
-                        if (tile.parent) {
-                            tile.parent.remove(tile);
-                        }
-                        
-                        // Decrement counter and check if all tiles are cleared
-                        tilesRemaining--;
-                        if (tilesRemaining === 0) {
-                            resolve(); // All tiles cleared, resolve the promise
-                        }
-                    } else {
-                        // Fade the color and scale down
-                        tile.material.color.setRGB(
-                            originalColor.r, 
-                            originalColor.g, 
-                            originalColor.b
-                        ).multiplyScalar(fadeOut.value);
-                        
-                        tile.material.opacity = fadeOut.value;
-                        
-                        // Also shrink the tile as it fades
-                        tile.scale.copy(originalScale).multiplyScalar(0.5 + fadeOut.value * 0.5);
-                    }
-                }, 15); // Speed up animation slightly
-            }, 100); // Brief delay for flash effect
-        });
+// Sprite with one line of text per entry, the first one large
+function createTextSprite(lines) {
+    const lineHeight = 40;
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 64 + (lines.length - 1) * lineHeight;
+    const context = canvas.getContext('2d');
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.lineWidth = 6;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+    lines.forEach((line, index) => {
+        context.font = index === 0 ? 'bold 56px Arial, sans-serif' : 'bold 32px Arial, sans-serif';
+        context.fillStyle = index === 0 ? '#ffeb3b' : '#ffffff';
+        const y = index === 0 ? 0 : 64 + (index - 1) * lineHeight;
+        context.strokeText(line, canvas.width / 2, y);
+        context.fillText(line, canvas.width / 2, y);
     });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+    const height = canvas.height / 128; // World units
+    sprite.scale.set(canvas.width / 128, height, 1);
+    sprite.center.set(0.5, 0); // Grow upwards from the layer
+    sprite.renderOrder = 1; // Over the tiles
+    return sprite;
 }
 
 // Add a simple score display to the screen
@@ -1236,910 +1564,19 @@ function createScoreDisplay() {
 function updateScoreDisplay() {
     const scoreElement = document.getElementById('score-display');
     if (scoreElement) { // Check if element exists before updating
-        scoreElement.innerHTML = `Score: ${score}<br>Level: ${level}`;
-    }
-}
-
-// --- Completely revised hardDrop function ---
-function hardDrop() {
-    if (!currentFallingTile || !soccerBall) return;
-    
-    // Get the current position of the falling tile
-    const tilePos = new THREE.Vector3();
-    currentFallingTile.getWorldPosition(tilePos);
-    
-    // Direction from tile to sphere center (0,0,0)
-    const direction = new THREE.Vector3(0, 0, 0).sub(tilePos).normalize();
-    
-    // Create a raycaster to find the landing position
-    const collisionRaycaster = new THREE.Raycaster(tilePos, direction);
-    // Configure raycaster to only detect objects on layer 0 (ignoring ghost tiles)
-    collisionRaycaster.layers.set(0);
-    
-    soccerBall.updateMatrixWorld(true); // Ensure matrix is up to date
-    
-    // Get intersections with the soccer ball, filtering out any ghost tiles
-    const intersects = collisionRaycaster.intersectObject(soccerBall, true)
-        .filter(hit => !hit.object.userData || !hit.object.userData.isGhost); // Extra filter to ensure no ghosts
-    
-    if (intersects.length > 0) {
-        // Process the same landing code that would happen in a normal collision
-        const intersect = intersects[0];
-        console.log(`Hard drop collision! Target: ${intersect.object.name || 'Base Sphere'}`);
-        
-        // Remove ghost tile
-        if (ghostTile) {
-            if (ghostTile.parent) {
-                ghostTile.parent.remove(ghostTile);
-            }
-            ghostTile = null;
-        }
-        
-        // Call our existing landing logic directly
-        processTileLanding(intersect);
+        const combo = game.scoring.combo > 1 ? ` · Combo x${game.scoring.combo}` : '';
+        scoreElement.innerHTML = `Score: ${game.score}<br>Level: ${game.level}${combo}` +
+            `<br><span style="font-size: 14px;">Seed: ${game.seed} (${game.randomizer}) · ` +
+            `${DIFFICULTIES[game.config.difficulty]?.label ?? game.config.difficulty}</span>`;
     }
 }
 
-// --- Extract the landing logic into a separate function ---
-function processTileLanding(intersect) {
-    // Remove ghost tile if it exists
-    if (ghostTile) {
-        if (ghostTile.parent) {
-            ghostTile.parent.remove(ghostTile);
-        }
-        ghostTile = null;
-    }
-    
-    // Skip if the intersected object is a ghost
-    if (intersect.object.userData && intersect.object.userData.isGhost) {
-        console.log("Ignoring collision with ghost tile");
-        return;
-    }
-    
-    // --- Land Tile Logic --- 
-    const hitObject = intersect.object;
-    let landedWorldPosition = new THREE.Vector3();
-    let landedWorldQuaternion = new THREE.Quaternion();
-
-    // CASE 1: Hit the base soccer ball mesh
-    if (hitObject === soccerBallMesh) {
-        console.log("Landed on base sphere face.");
-        const geometry = hitObject.geometry;
-        const index = geometry.index;
-        const position = geometry.attributes.position;
-        const faceIndex = intersect.faceIndex;
-
-        // 1a. Calculate Surface Normal (World Space) - Use geometric normal
-        const faceNormal = new THREE.Vector3();
-        let a, b, c; // vertex indices
-        if (index) { a = index.getX(faceIndex * 3); b = index.getX(faceIndex * 3 + 1); c = index.getX(faceIndex * 3 + 2); }
-        else { a = faceIndex * 3; b = faceIndex * 3 + 1; c = faceIndex * 3 + 2; } 
-        const vA = new THREE.Vector3().fromBufferAttribute(position, a); 
-        const vB = new THREE.Vector3().fromBufferAttribute(position, b); 
-        const vC = new THREE.Vector3().fromBufferAttribute(position, c); 
-        faceNormal.crossVectors(vB.clone().sub(vA), vC.clone().sub(vA));
-        faceNormal.normalize(); 
-        const worldNormal = faceNormal.clone().transformDirection(hitObject.matrixWorld).normalize();
-
-        // --- Calculate faceVertexSet FIRST --- 
-        const faceVertexSet = new Set();
-        let a_idx = a, b_idx = b, c_idx = c;
-        faceVertexSet.add(a_idx); faceVertexSet.add(b_idx); faceVertexSet.add(c_idx);
-        if (index) { 
-            const posA = new THREE.Vector3().fromBufferAttribute(position, a_idx);
-            const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(faceNormal, posA);
-            const tolerance = 0.01;
-            for (let i = 0; i < index.count / 3; i++) {
-                if (i === faceIndex) continue;
-                const ta = index.getX(i * 3), tb = index.getX(i * 3 + 1), tc = index.getX(i * 3 + 2);
-                const vTa = new THREE.Vector3().fromBufferAttribute(position, ta);
-                const vTb = new THREE.Vector3().fromBufferAttribute(position, tb);
-                const vTc = new THREE.Vector3().fromBufferAttribute(position, tc);
-                if (Math.abs(plane.distanceToPoint(vTa)) < tolerance &&
-                    (faceVertexSet.has(ta) || faceVertexSet.has(tb) || faceVertexSet.has(tc)) ) 
-                {
-                    faceVertexSet.add(ta); faceVertexSet.add(tb); faceVertexSet.add(tc);
-                }
-            }
-        } 
-        // --- End faceVertexSet calculation ---
-        
-        // --- Now determine shape and calculate center --- 
-        const faceIsPentagon = (faceVertexSet.size === 5);
-        const faceIsHexagon = (faceVertexSet.size === 6);
-
-        // Use simple center calculation that works for both shapes
-        const faceCenterLocal = new THREE.Vector3(); 
-        let vertexCount = 0;
-        faceVertexSet.forEach(vIdx => { 
-            faceCenterLocal.add(new THREE.Vector3().fromBufferAttribute(position, vIdx));
-            vertexCount++; 
-        }); 
-        
-        if (vertexCount > 0) {
-            faceCenterLocal.multiplyScalar(1/vertexCount);
-        } else { 
-            faceCenterLocal.add(vA).add(vB).add(vC).multiplyScalar(1/3); 
-        }
-        const worldFaceCenter = faceCenterLocal.clone().applyMatrix4(hitObject.matrixWorld);
-        console.log(`Using calculated center. Face is ${faceIsPentagon ? 'Pentagon' : (faceIsHexagon ? 'Hexagon' : 'Other')}`);
-                                    
-        // Determine tile shape
-        const tileIsPentagon = (currentFallingTile.geometry === pentGeometry);
-        const tileIsHexagon = (currentFallingTile.geometry === hexGeometry);
-
-        // If the shapes don't match (hex on pent or pent on hex), penalize and prevent stacking
-        if ((faceIsPentagon && tileIsHexagon) || (faceIsHexagon && tileIsPentagon)) {
-            console.log(`Shape mismatch! ${tileIsPentagon ? 'Pentagon' : 'Hexagon'} cannot be placed on ${faceIsPentagon ? 'pentagon' : 'hexagon'} face`);
-            
-            // Apply a score penalty
-            const penalty = 15;
-            score = Math.max(0, score - penalty); // Ensure score doesn't go below 0
-            console.log(`Penalty applied: -${penalty} points`);
-            
-            // Create a warning effect - flash the tile red
-            const originalColor = currentFallingTile.material.color.clone();
-            currentFallingTile.material.color.set(0xff0000); // Bright red
-            
-            // Animate the tile fading away
-            const fadeOut = {value: 1.0};
-            const fadeAnimation = setInterval(() => {
-                fadeOut.value -= 0.05;
-                if (fadeOut.value <= 0) {
-                    clearInterval(fadeAnimation);
-                    
-                    // Remove the tile
-                    scene.remove(currentFallingTile);
-                    currentFallingTile = null;
-                    
-                    // Update score display
-                    updateScoreDisplay();
-                    
-                    // Spawn a new tile
-                    console.log("Shape mismatch! Spawning new tile...");
-                    spawnNewTile();
-                } else {
-                    // Fade out the tile
-                    currentFallingTile.material.opacity = fadeOut.value;
-                    currentFallingTile.material.transparent = true;
-                }
-            }, 30);
-            
-            // Exit the landing function early - don't process normal landing
-            return;
-        }
-
-        // If shapes match or we're landing on another tile, continue with normal landing logic
-        const offsetDistance = tileDepth / 2 + 0.005; 
-        landedWorldPosition = worldFaceCenter.clone().add(worldNormal.clone().multiplyScalar(offsetDistance));
-        
-        // --- Align Orientation ---
-        const tileDownVector = new THREE.Vector3(0, 0, 1); 
-        landedWorldQuaternion.setFromUnitVectors(tileDownVector, worldNormal); 
-
-        // --- Secondary Alignment (Sides - If Shape Matches) ---
-        // Perform side alignment if shapes match (Pent <-> Pent or Hex <-> Hex)
-        if ( (faceIsPentagon && tileIsPentagon) || (faceIsHexagon && tileIsHexagon) ) {
-            // Use the faceCenterLocal calculated above
-            const tileRefLocal = new THREE.Vector3(1, 0, 0);
-            const faceRefLocal = vA.clone().sub(faceCenterLocal);
-            
-            const tileRefWorld = tileRefLocal.clone().applyQuaternion(landedWorldQuaternion);
-            const faceRefWorld = faceRefLocal.clone().transformDirection(hitObject.matrixWorld);
-            const planeNormal = worldNormal;
-            const tileRefProjected = tileRefWorld.clone().projectOnPlane(planeNormal).normalize();
-            const faceRefProjected = faceRefWorld.clone().projectOnPlane(planeNormal).normalize();
-            if (tileRefProjected.lengthSq() > 0.001 && faceRefProjected.lengthSq() > 0.001) {
-                let angle = tileRefProjected.angleTo(faceRefProjected);
-                const crossProduct = new THREE.Vector3().crossVectors(tileRefProjected, faceRefProjected);
-                if (crossProduct.dot(planeNormal) < 0) { angle = -angle; }
-                
-                const sideAlignmentQuaternion = new THREE.Quaternion().setFromAxisAngle(planeNormal, angle);
-                landedWorldQuaternion.premultiply(sideAlignmentQuaternion);
-                console.log(`Performed side alignment (Shape match: ${faceIsPentagon ? 'Pent' : 'Hex'})`);
-            } else {
-                console.warn("Could not project reference vectors for side alignment.");
-            }
-        } else {
-            console.log(`Skipped side alignment (Face=${faceIsPentagon ? 'Pent' : (faceIsHexagon ? 'Hex' : 'Other')}, Tile=${tileIsPentagon ? 'Pent' : (tileIsHexagon ? 'Hex' : 'Other')})`);
-        }
-    } 
-    // CASE 2: Hit a previously landed tile
-    else {
-        console.log("Landed on existing tile.");
-        const hitTile = hitObject; // It must be a tile mesh
-        
-        // Get hit tile's world transform
-        const hitTileWorldPos = new THREE.Vector3();
-        const hitTileWorldQuat = new THREE.Quaternion();
-        hitTile.getWorldPosition(hitTileWorldPos);
-        hitTile.getWorldQuaternion(hitTileWorldQuat);
-
-        // Check if the tile shapes match for stacking
-        const tileIsPentagon = (currentFallingTile.geometry === pentGeometry);
-        const tileIsHexagon = (currentFallingTile.geometry === hexGeometry);
-        
-        // Determine shape of the tile being landed on
-        const landedOnPentagon = (hitTile.geometry === pentGeometry);
-        const landedOnHexagon = (hitTile.geometry === hexGeometry);
-        
-        // If the shapes don't match, penalize and prevent stacking
-        if ((landedOnPentagon && tileIsHexagon) || (landedOnHexagon && tileIsPentagon)) {
-            console.log(`Shape mismatch in stack! ${tileIsPentagon ? 'Pentagon' : 'Hexagon'} cannot be placed on ${landedOnPentagon ? 'pentagon' : 'hexagon'} tile`);
-            
-            // Apply a score penalty
-            const penalty = 15;
-            score = Math.max(0, score - penalty); // Ensure score doesn't go below 0
-            console.log(`Penalty applied: -${penalty} points`);
-            
-            // Create a warning effect - flash the tile red
-            const originalColor = currentFallingTile.material.color.clone();
-            currentFallingTile.material.color.set(0xff0000); // Bright red
-            
-            // Animate the tile fading away
-            const fadeOut = {value: 1.0};
-            const fadeAnimation = setInterval(() => {
-                fadeOut.value -= 0.05;
-                if (fadeOut.value <= 0) {
-                    clearInterval(fadeAnimation);
-                    
-                    // Remove the tile
-                    scene.remove(currentFallingTile);
-                    currentFallingTile = null;
-                    
-                    // Update score display
-                    updateScoreDisplay();
-                    
-                    // Spawn a new tile
-                    console.log("Stack shape mismatch! Spawning new tile...");
-                    spawnNewTile();
-                } else {
-                    // Fade out the tile
-                    currentFallingTile.material.opacity = fadeOut.value;
-                    currentFallingTile.material.transparent = true;
-                }
-            }, 30);
-            
-            // Exit the landing function early - don't process normal landing
-            return;
-        }
-
-        // Determine the "up" direction of the hit tile in world space
-        // Assuming tile's local Z+ axis points away from the surface it rests on
-        const tileLocalUp = new THREE.Vector3(0, 0, 1); 
-        const hitTileWorldUp = tileLocalUp.clone().applyQuaternion(hitTileWorldQuat).normalize();
-       
-        // 2b. Calculate Landed Position (Stacking - Centered)
-        // Offset from the center of the tile below along its up direction
-        landedWorldPosition = hitTileWorldPos.clone().add(hitTileWorldUp.multiplyScalar(tileDepth));
-
-        // 2c. Set Landed Quaternion (Match orientation of tile below)
-        landedWorldQuaternion.copy(hitTileWorldQuat);
-    }
-
-    // NaN Check (Applies to both cases)
-    if (isNaN(landedWorldPosition.x) || isNaN(landedWorldPosition.y) || isNaN(landedWorldPosition.z) || 
-        isNaN(landedWorldQuaternion.x) || isNaN(landedWorldQuaternion.y) || isNaN(landedWorldQuaternion.z) || isNaN(landedWorldQuaternion.w) ) {
-        console.error("NaN detected in landed transform! Skipping landing.");
-        // Potentially reset or just don't spawn the tile
-        scene.remove(currentFallingTile);
-        currentFallingTile = null;
-        spawnNewTile(); // Spawn a new one maybe?
-        return; // Exit collision logic for this frame
-    }
-    
-    // --- Create and Place Landed Tile (Common Logic) --- 
-    // 4. Create Landed Tile Instance
-    if (currentFallingTile.material._originalColor !== undefined) {
-        currentFallingTile.material.color.setHex(currentFallingTile.material._originalColor);
-        delete currentFallingTile.material._originalColor;
-    }
-    const landedTile = currentFallingTile.clone();
-    const landedTileHelpers = landedTile.children.filter(child => child.type === 'ArrowHelper');
-    landedTileHelpers.forEach(helper => landedTile.remove(helper));
-    if (landedTile.material._originalColor !== undefined) {
-        delete landedTile.material._originalColor;
-    }
-
-    // 5. Position Tile in Soccer Ball's Local Space
-    soccerBall.updateMatrixWorld(true); // Ensure parent matrix is current
-    const landedLocalPosition = soccerBall.worldToLocal(landedWorldPosition.clone());
-    landedTile.position.copy(landedLocalPosition);
-
-    // 6. Set Tile Rotation from World Quaternion
-    // We calculated the desired world rotation (landedWorldQuaternion).
-    // To set it correctly when the tile is parented to soccerBall, we need
-    // to calculate the equivalent local rotation relative to the parent.
-    const parentWorldQuaternionInv = new THREE.Quaternion();
-    soccerBall.getWorldQuaternion(parentWorldQuaternionInv).invert();
-    landedTile.quaternion.copy(parentWorldQuaternionInv).multiply(landedWorldQuaternion);
-   
-    // 7. Add to Scene Graph & Cleanup
-    soccerBall.add(landedTile);
-    activeTiles.push(landedTile);
-    
-    // Store face -> tile mapping
-    if (intersect.faceIndex !== undefined) {
-        occupiedFaces.set(intersect.faceIndex, landedTile);
-        // Store the face index on the tile for easier reference
-        landedTile.userData.faceIndex = intersect.faceIndex;
-    }
-
-    scene.remove(currentFallingTile); // Remove original from main scene
-    currentFallingTile = null;
-
-    // Assign layer information to the tile based on distance from center
-    soccerBall.updateMatrixWorld(true);
-    const tileWorldPos = new THREE.Vector3();
-    landedTile.getWorldPosition(tileWorldPos);
-    const sphereCenter = new THREE.Vector3(0, 0, 0).applyMatrix4(soccerBall.matrixWorld);
-
-    // Calculate distance from center
-    const distanceFromCenter = tileWorldPos.distanceTo(sphereCenter);
-    
-    // Determine which exact layer value this tile should be assigned to
-    // Define expected layer values - ONLY these values should be used
-    const exactLayerValues = [3.3, 3.4, 3.5, 3.6, 3.7, 3.8, 3.9, 4.0, 4.1, 4.2];
-    
-    // Check if we need to ensure sequential layer values - for example, 
-    // if 3.3 and 3.5 exist but 3.4 doesn't, we should use 3.4
-    const existingLayers = Array.from(layerTiles.keys())
-        .map(layer => parseFloat(layer))
-        .sort((a, b) => a - b); // Sort from innermost to outermost
-    
-    let layerNumber;
-    
-    // First, find the closest exact layer value based on distance
-    let closestExactLayer = exactLayerValues[0];
-    let minDifference = Math.abs(distanceFromCenter - exactLayerValues[0]);
-    for (let i = 1; i < exactLayerValues.length; i++) {
-        const diff = Math.abs(distanceFromCenter - exactLayerValues[i]);
-        if (diff < minDifference) {
-            minDifference = diff;
-            closestExactLayer = exactLayerValues[i];
-        }
-    }
-
-    // Determine layerNumber: prioritize filling a 'sandwiched' missing exact layer if suitable,
-    // otherwise use the closest exact layer. This also handles the case of the very first tile.
-    let identifiedMissingExactLayer = null;
-    // Check for a sandwiched missing layer only if there are enough layers to form a sandwich.
-    if (existingLayers.length >= 2 && exactLayerValues.length >=3) {
-        for (let k = 1; k < exactLayerValues.length - 1; k++) { // Iterate through 'internal' exact layers
-            const prevExact = exactLayerValues[k-1];
-            const currentExact = exactLayerValues[k]; // This is the potential missing layer
-            const nextExact = exactLayerValues[k+1];
-
-            if (existingLayers.includes(prevExact) &&
-                !existingLayers.includes(currentExact) && // currentExact is missing
-                existingLayers.includes(nextExact)) {
-                
-                // Found a sandwiched missing layer: currentExact.
-                // Check if the tile is close enough to this missing layer.
-                if (Math.abs(distanceFromCenter - currentExact) < 0.5) { // Using 0.5 threshold from original logic
-                    identifiedMissingExactLayer = currentExact;
-                    break; // Use the first suitable missing layer found
-                }
-            }
-        }
-    }
-
-    if (identifiedMissingExactLayer !== null) {
-        layerNumber = identifiedMissingExactLayer;
-        console.log(`Filling missing exact layer ${layerNumber} due to proximity and sequence gap.`);
-    } else {
-        // If no suitable missing layer to fill, or not enough existing/exact layers for the sandwich check,
-        // default to the closest exact layer. This also handles the case of the very first tile.
-        layerNumber = closestExactLayer;
-        if (existingLayers.length === 0) {
-            console.log(`First tile - assigning to closest exact layer ${layerNumber} (distance: ${distanceFromCenter.toFixed(2)})`);
-        } else {
-            console.log(`Using closest exact layer ${layerNumber} (distance: ${distanceFromCenter.toFixed(2)}), no suitable gap found/filled.`);
-        }
-    }
-
-    // Store layer information in the tile's userData
-    landedTile.userData.layerNumber = layerNumber;
-
-    // Add tile to the layer tracking
-    if (!layerTiles.has(layerNumber)) {
-        layerTiles.set(layerNumber, []);
-    }
-    layerTiles.get(layerNumber).push(landedTile);
-    console.log(`Tile added to layer ${layerNumber}. Layer now has ${layerTiles.get(layerNumber).length} tiles.`);
-    
-    // Check for Game Over condition
-    if (!isGameOver && landedTile.userData.layerNumber >= GAME_OVER_LAYER_THRESHOLD) {
-        const landedTileWorldPosCheck = new THREE.Vector3();
-        landedTile.getWorldPosition(landedTileWorldPosCheck);
-        if (landedTileWorldPosCheck.y >= GAME_OVER_WORLD_Y_THRESHOLD) {
-            triggerGameOver();
-        }
-    }
-    
-    // IMPORTANT: Check for completed layers immediately BEFORE spawning a new tile
-    // Use a small timeout to ensure the layer state is properly updated first
-    setTimeout(() => {
-        if (isGameOver) { // Check if game ended while waiting for timeout
-             // Ensure UI for current/next piece is cleared if game over happened during timeout
-            const currentShapeGraphic = document.getElementById('current-shape-graphic');
-            const nextShapeGraphic = document.getElementById('next-shape-graphic');
-            if (currentShapeGraphic) currentShapeGraphic.style.backgroundColor = 'transparent';
-            if (nextShapeGraphic) nextShapeGraphic.style.backgroundColor = 'transparent';
-            if(currentFallingTile === null) updatePiecePreviewUI(); // Refresh if falling tile was nulled by gameover
-            return;
-        }
-
-        const tilesInCurrentLayer = layerTiles.get(layerNumber);
-        if (tilesInCurrentLayer && tilesInCurrentLayer.length > 31) {
-            console.log(`Layer ${layerNumber} immediately reached completion with ${tilesInCurrentLayer.length} tiles!`);
-        }
-        checkForCompletedLayers();
-        
-        updateScoreDisplay();
-        updateLayerCountDisplay(); // <-- ADDED CALL HERE
-        
-        console.log("Spawning next tile...");
-        spawnNewTile();
-    }, 10);
-
-    // Helper function to ensure sequential layer values are maintained
-    ensureSequentialLayers();
-}
-
-// Helper function to ensure sequential layer values are maintained
-function ensureSequentialLayers() {
-    // Define the expected sequence of layer values
-    const expectedLayers = [3.3, 3.4, 3.5, 3.6, 3.7, 3.8, 3.9, 4.0, 4.1, 4.2];
-    
-    // Standardize layerTiles to use float keys and remove empty/string-key duplicates
-    const newLayerTiles = new Map();
-    const allKeys = Array.from(layerTiles.keys());
-    const seenFloatKeys = new Set();
-
-    for (const key of allKeys) {
-        const floatKey = parseFloat(key);
-        if (isNaN(floatKey)) {
-            console.warn(`ensureSequentialLayers: Found NaN key: ${key}, removing.`);
-            layerTiles.delete(key); // remove problematic key
-            continue;
-        }
-
-        const tiles = layerTiles.get(key);
-        if (tiles && tiles.length > 0) {
-            if (!newLayerTiles.has(floatKey)) {
-                newLayerTiles.set(floatKey, []);
-            }
-            // Merge tiles if floatKey was already processed from a string version
-            // This also handles consolidating string and float versions of the same key.
-            const existingTilesForFloat = newLayerTiles.get(floatKey);
-            for (const tile of tiles) {
-                if (!existingTilesForFloat.includes(tile)) {
-                    existingTilesForFloat.push(tile);
-                }
-            }
-        } 
-    }
-    // Replace old layerTiles with the standardized one
-    layerTiles.clear();
-    newLayerTiles.forEach((tiles, key) => layerTiles.set(key, tiles));
-    
-    // Get the current layers (now guaranteed to be float keys if not empty)
-    const currentLayers = Array.from(layerTiles.keys()).sort((a, b) => a - b); // Sort from inner to outer
-    
-    if (currentLayers.length <= 1) {
-        console.log('ensureSequentialLayers: 0 or 1 layer, no sequence to fix.');
-        return; 
-    }
-    
-    console.log(`ensureSequentialLayers: Checking sequence: ${currentLayers.join(', ')}`);
-    
-    let missingLayers = [];
-    const minLayerPresent = currentLayers[0];
-    const maxLayerPresent = currentLayers[currentLayers.length - 1];
-
-    // Find the range in expectedLayers that covers our min/max present layers
-    let startIndex = expectedLayers.indexOf(minLayerPresent);
-    if (startIndex === -1) startIndex = 0; // If min not in expected, start check from lowest expected
-    
-    let endIndex = expectedLayers.indexOf(maxLayerPresent);
-    if (endIndex === -1) endIndex = expectedLayers.length -1; // If max not in expected, check up to highest expected
-
-    for (let i = startIndex; i <= endIndex; i++) {
-        const expectedLayer = expectedLayers[i];
-        if (expectedLayer < minLayerPresent) continue; // Don't add expected layers below our actual minimum
-        if (expectedLayer > maxLayerPresent && !currentLayers.includes(expectedLayer)) continue; // Don't add expected far beyond our max unless it's missing *within* our range
-        
-        if (!layerTiles.has(expectedLayer)) { // Check using float key
-             // Only add as missing if it's between min and max present layers, or if it's an edge creating a gap
-             if (expectedLayer > minLayerPresent && expectedLayer < maxLayerPresent) {
-                missingLayers.push(expectedLayer);
-             } else if (expectedLayer === minLayerPresent && !layerTiles.has(expectedLayer)) {
-                 // This case should not happen if currentLayers is derived from layerTiles.keys()
-             } else if (expectedLayer === maxLayerPresent && !layerTiles.has(expectedLayer)) {
-                 // ditto
-             }
-        }
-    }
-    
-    if (missingLayers.length > 0) {
-        console.log(`ensureSequentialLayers: Found missing layers in sequence: ${missingLayers.join(', ')}`);
-        for (const missingLayer of missingLayers) {
-            if (!layerTiles.has(missingLayer)) { // Double check before adding
-                console.log(`ensureSequentialLayers: Adding empty layer ${missingLayer} to maintain sequence`);
-                layerTiles.set(missingLayer, []);
-            }
-        }
-    } else {
-        console.log('ensureSequentialLayers: Layer sequence appears complete within its range or no gaps found.');
-    }
-
-    // Renumbering logic was removed as part of previous requests. 
-    // If tiles end up on non-expected layers due to bugs, this function won't fix their numbers,
-    // only ensures empty placeholders for sequence.
-    console.log("ensureSequentialLayers completed. Final layer keys:", Array.from(layerTiles.keys()).map(k => parseFloat(k).toFixed(1)).sort((a,b)=>a-b).join(', '));
-    updateLayerCountDisplay(); // Update display after any modifications
-}
-
-// --- Ghost Tile Function ---
-function updateGhostTile() {
-    if (!currentFallingTile || !soccerBall) return;
-    
-    // Remove previous ghost if it exists
-    if (ghostTile) {
-        if (ghostTile.parent) {
-            ghostTile.parent.remove(ghostTile);
-        }
-        ghostTile = null;
-    }
-    
-    // Get the current position of the falling tile
-    const tilePos = new THREE.Vector3();
-    currentFallingTile.getWorldPosition(tilePos);
-    
-    // Direction from tile to sphere center
-    const direction = new THREE.Vector3(0, 0, 0).sub(tilePos).normalize();
-    
-    // Create a raycaster to find the landing position
-    const collisionRaycaster = new THREE.Raycaster(tilePos, direction);
-    soccerBall.updateMatrixWorld(true); // Ensure matrix is up to date
-    
-    // Important: Only include objects that should actually be part of gameplay
-    // We need to ignore existing ghost tiles in raycasting
-    const raycastTargets = [soccerBall];
-    
-    // Get intersections with soccer ball and placed tiles, but NOT with ghost tiles
-    const intersects = collisionRaycaster.intersectObject(soccerBall, true)
-        .filter(hit => !hit.object.userData.isGhost); // Extra filter to ensure no ghosts
-    
-    if (intersects.length > 0) {
-        const intersect = intersects[0];
-        const hitObject = intersect.object;
-        
-        // Skip if the hit object is itself a ghost tile (should never happen now)
-        if (hitObject === ghostTile) return;
-        
-        // Don't create ghost if we're going to hit wrong shape
-        const tileIsPentagon = (currentFallingTile.geometry === pentGeometry);
-        const tileIsHexagon = (currentFallingTile.geometry === hexGeometry);
-        
-        if (hitObject === soccerBallMesh) {
-            // Check if landing on face with incompatible shape
-            const geometry = hitObject.geometry;
-            const index = geometry.index;
-            const position = geometry.attributes.position;
-            const faceIndex = intersect.faceIndex;
-            
-            // Calculate face vertex set (copied from processTileLanding)
-            const faceNormal = new THREE.Vector3();
-            let a, b, c; // vertex indices
-            if (index) { a = index.getX(faceIndex * 3); b = index.getX(faceIndex * 3 + 1); c = index.getX(faceIndex * 3 + 2); }
-            else { a = faceIndex * 3; b = faceIndex * 3 + 1; c = faceIndex * 3 + 2; } 
-            const vA = new THREE.Vector3().fromBufferAttribute(position, a); 
-            const vB = new THREE.Vector3().fromBufferAttribute(position, b); 
-            const vC = new THREE.Vector3().fromBufferAttribute(position, c); 
-            faceNormal.crossVectors(vB.clone().sub(vA), vC.clone().sub(vA));
-            faceNormal.normalize();
-            
-            const faceVertexSet = new Set();
-            let a_idx = a, b_idx = b, c_idx = c;
-            faceVertexSet.add(a_idx); faceVertexSet.add(b_idx); faceVertexSet.add(c_idx);
-            
-            if (index) { 
-                const posA = new THREE.Vector3().fromBufferAttribute(position, a_idx);
-                const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(faceNormal, posA);
-                const tolerance = 0.01;
-                for (let i = 0; i < index.count / 3; i++) {
-                    if (i === faceIndex) continue;
-                    const ta = index.getX(i * 3), tb = index.getX(i * 3 + 1), tc = index.getX(i * 3 + 2);
-                    const vTa = new THREE.Vector3().fromBufferAttribute(position, ta);
-                    if (Math.abs(plane.distanceToPoint(vTa)) < tolerance &&
-                        (faceVertexSet.has(ta) || faceVertexSet.has(tb) || faceVertexSet.has(tc)) ) 
-                    {
-                        faceVertexSet.add(ta); faceVertexSet.add(tb); faceVertexSet.add(tc);
-                    }
-                }
-            }
-            
-            const faceIsPentagon = (faceVertexSet.size === 5);
-            const faceIsHexagon = (faceVertexSet.size === 6);
-            
-            // If shapes don't match, don't show ghost
-            if ((faceIsPentagon && tileIsHexagon) || (faceIsHexagon && tileIsPentagon)) {
-                return;
-            }
-        } else {
-            // Check if stacking on a tile with incompatible shape
-            const landedOnPentagon = (hitObject.geometry === pentGeometry);
-            const landedOnHexagon = (hitObject.geometry === hexGeometry);
-            
-            if ((landedOnPentagon && tileIsHexagon) || (landedOnHexagon && tileIsPentagon)) {
-                return;
-            }
-        }
-        
-        // Create a new ghost based on the current falling tile
-        ghostTile = currentFallingTile.clone();
-        
-        // Remove any helpers from the ghost
-        const ghostHelpers = ghostTile.children.filter(child => child.type === 'ArrowHelper');
-        ghostHelpers.forEach(helper => ghostTile.remove(helper));
-        
-        // Make ghost HIGHLY visible with a BRIGHT neon color
-        ghostTile.material = new THREE.MeshStandardMaterial({
-            color: 0xff00ff,     // Bright magenta
-            emissive: 0xff00ff,  // Self-illuminating with same color
-            emissiveIntensity: 0.8,
-            transparent: true,
-            opacity: 0.8,        // More opaque for better visibility
-            depthWrite: false,   // Prevent z-fighting
-            wireframe: false
-        });
-        
-        // == Add edge highlighting for better visibility ==
-        const edgesGeometry = new THREE.EdgesGeometry(ghostTile.geometry);
-        const edgesMaterial = new THREE.LineBasicMaterial({ 
-            color: 0xffffff,  // White edges
-            linewidth: 2
-        });
-        const edges = new THREE.LineSegments(edgesGeometry, edgesMaterial);
-        ghostTile.add(edges);
-        
-        // === CRITICAL: Ensure the ghost doesn't affect game ===
-        // Add a special flag to identify this as a ghost
-        ghostTile.userData.isGhost = true;
-        
-        // Make sure the ghost is never used in collision detection
-        // By setting these flags, raycaster and collision detection will ignore this mesh
-        ghostTile.layers.set(1); // Put on layer 1 (default is 0)
-        ghostTile.visible = true;
-        ghostTile.matrixAutoUpdate = true;
-        
-        // --- USING EXACT SAME LANDING LOGIC AS processTileLanding ---
-        let landedWorldPosition = new THREE.Vector3();
-        let landedWorldQuaternion = new THREE.Quaternion();
-
-        // CASE 1: Hit the base soccer ball mesh
-        if (hitObject === soccerBallMesh) {
-            const geometry = hitObject.geometry;
-            const index = geometry.index;
-            const position = geometry.attributes.position;
-            const faceIndex = intersect.faceIndex;
-
-            // 1a. Calculate Surface Normal (World Space) - Use geometric normal
-            const faceNormal = new THREE.Vector3();
-            let a, b, c; // vertex indices
-            if (index) { a = index.getX(faceIndex * 3); b = index.getX(faceIndex * 3 + 1); c = index.getX(faceIndex * 3 + 2); }
-            else { a = faceIndex * 3; b = faceIndex * 3 + 1; c = faceIndex * 3 + 2; } 
-            const vA = new THREE.Vector3().fromBufferAttribute(position, a); 
-            const vB = new THREE.Vector3().fromBufferAttribute(position, b); 
-            const vC = new THREE.Vector3().fromBufferAttribute(position, c); 
-            faceNormal.crossVectors(vB.clone().sub(vA), vC.clone().sub(vA));
-            faceNormal.normalize(); 
-            const worldNormal = faceNormal.clone().transformDirection(hitObject.matrixWorld).normalize();
-
-            // --- Calculate faceVertexSet FIRST --- 
-            const faceVertexSet = new Set();
-            let a_idx = a, b_idx = b, c_idx = c;
-            faceVertexSet.add(a_idx); faceVertexSet.add(b_idx); faceVertexSet.add(c_idx);
-            if (index) { 
-                const posA = new THREE.Vector3().fromBufferAttribute(position, a_idx);
-                const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(faceNormal, posA);
-                const tolerance = 0.01;
-                for (let i = 0; i < index.count / 3; i++) {
-                    if (i === faceIndex) continue;
-                    const ta = index.getX(i * 3), tb = index.getX(i * 3 + 1), tc = index.getX(i * 3 + 2);
-                    const vTa = new THREE.Vector3().fromBufferAttribute(position, ta);
-                    if (Math.abs(plane.distanceToPoint(vTa)) < tolerance &&
-                        (faceVertexSet.has(ta) || faceVertexSet.has(tb) || faceVertexSet.has(tc)) ) 
-                    {
-                        faceVertexSet.add(ta); faceVertexSet.add(tb); faceVertexSet.add(tc);
-                    }
-                }
-            } 
-            
-            // --- Now determine shape and calculate center --- 
-            const faceIsPentagon = (faceVertexSet.size === 5);
-            const faceIsHexagon = (faceVertexSet.size === 6);
-
-            // Use simple center calculation that works for both shapes
-            const faceCenterLocal = new THREE.Vector3(); 
-            let vertexCount = 0;
-            faceVertexSet.forEach(vIdx => { 
-                faceCenterLocal.add(new THREE.Vector3().fromBufferAttribute(position, vIdx));
-                vertexCount++; 
-            }); 
-            
-            if (vertexCount > 0) {
-                faceCenterLocal.multiplyScalar(1/vertexCount);
-            } else { 
-                faceCenterLocal.add(vA).add(vB).add(vC).multiplyScalar(1/3); 
-            }
-            const worldFaceCenter = faceCenterLocal.clone().applyMatrix4(hitObject.matrixWorld);
-            
-            // If shapes match, continue with normal landing logic
-            const offsetDistance = tileDepth / 2 + 0.005; 
-            landedWorldPosition = worldFaceCenter.clone().add(worldNormal.clone().multiplyScalar(offsetDistance));
-            
-            // --- Align Orientation ---
-            const tileDownVector = new THREE.Vector3(0, 0, 1); 
-            landedWorldQuaternion.setFromUnitVectors(tileDownVector, worldNormal); 
-
-            // --- Secondary Alignment (Sides - If Shape Matches) ---
-            // Perform side alignment if shapes match (Pent <-> Pent or Hex <-> Hex)
-            if ((faceIsPentagon && tileIsPentagon) || (faceIsHexagon && tileIsHexagon)) {
-                // Use the faceCenterLocal calculated above
-                const tileRefLocal = new THREE.Vector3(1, 0, 0);
-                const faceRefLocal = vA.clone().sub(faceCenterLocal);
-                
-                const tileRefWorld = tileRefLocal.clone().applyQuaternion(landedWorldQuaternion);
-                const faceRefWorld = faceRefLocal.clone().transformDirection(hitObject.matrixWorld);
-                const planeNormal = worldNormal;
-                const tileRefProjected = tileRefWorld.clone().projectOnPlane(planeNormal).normalize();
-                const faceRefProjected = faceRefWorld.clone().projectOnPlane(planeNormal).normalize();
-                if (tileRefProjected.lengthSq() > 0.001 && faceRefProjected.lengthSq() > 0.001) {
-                    let angle = tileRefProjected.angleTo(faceRefProjected);
-                    const crossProduct = new THREE.Vector3().crossVectors(tileRefProjected, faceRefProjected);
-                    if (crossProduct.dot(planeNormal) < 0) { angle = -angle; }
-                    
-                    const sideAlignmentQuaternion = new THREE.Quaternion().setFromAxisAngle(planeNormal, angle);
-                    landedWorldQuaternion.premultiply(sideAlignmentQuaternion);
-                }
-            }
-        } 
-        // CASE 2: Hit a previously landed tile
-        else {
-            const hitTile = hitObject; // It must be a tile mesh
-            
-            // Get hit tile's world transform
-            const hitTileWorldPos = new THREE.Vector3();
-            const hitTileWorldQuat = new THREE.Quaternion();
-            hitTile.getWorldPosition(hitTileWorldPos);
-            hitTile.getWorldQuaternion(hitTileWorldQuat);
-
-            // Determine the "up" direction of the hit tile in world space
-            const tileLocalUp = new THREE.Vector3(0, 0, 1); 
-            const hitTileWorldUp = tileLocalUp.clone().applyQuaternion(hitTileWorldQuat).normalize();
-           
-            // 2b. Calculate Landed Position (Stacking - Centered)
-            landedWorldPosition = hitTileWorldPos.clone().add(hitTileWorldUp.multiplyScalar(tileDepth));
-
-            // 2c. Set Landed Quaternion (Match orientation of tile below)
-            landedWorldQuaternion.copy(hitTileWorldQuat);
-        }
-
-        // NaN Check (Applies to both cases)
-        if (isNaN(landedWorldPosition.x) || isNaN(landedWorldPosition.y) || isNaN(landedWorldPosition.z) || 
-            isNaN(landedWorldQuaternion.x) || isNaN(landedWorldQuaternion.y) || isNaN(landedWorldQuaternion.z) || isNaN(landedWorldQuaternion.w)) {
-            return; // Don't show ghost with invalid coordinates
-        }
-
-        // Position ghost tile in soccer ball's local space
-        soccerBall.updateMatrixWorld(true);
-        const landedLocalPosition = soccerBall.worldToLocal(landedWorldPosition.clone());
-        ghostTile.position.copy(landedLocalPosition);
-
-        // Set ghost tile rotation
-        const parentWorldQuaternionInv = new THREE.Quaternion();
-        soccerBall.getWorldQuaternion(parentWorldQuaternionInv).invert();
-        ghostTile.quaternion.copy(parentWorldQuaternionInv).multiply(landedWorldQuaternion);
-        
-        // Add ghost to the soccer ball rather than the scene to ensure it moves with the ball
-        soccerBall.add(ghostTile);
-        
-        // Add a very small offset to avoid z-fighting and ensure it's drawn on top
-        ghostTile.renderOrder = 10;
-        
-        // Log to console that we're showing a ghost
-        console.log("Ghost tile created and showing at", landedLocalPosition);
-    }
-}
-
-// --- Ghost Tile Debug Function ---
-function debugGhostTile() {
-    console.log("=== GHOST TILE DEBUG ===");
-    
-    // Check if ghost tile exists
-    console.log("Ghost tile exists:", ghostTile !== null);
-    
-    if (ghostTile) {
-        console.log("Ghost parent:", ghostTile.parent ? ghostTile.parent.type : "none");
-        console.log("Ghost visible:", ghostTile.visible);
-        console.log("Ghost position:", ghostTile.position);
-        console.log("Ghost color:", ghostTile.material.color.getHexString());
-        console.log("Ghost opacity:", ghostTile.material.opacity);
-        console.log("Ghost on layer:", ghostTile.layers.mask);
-        console.log("Ghost has edges:", ghostTile.children.length > 0);
-    }
-    
-    // Check if we're showing falling tile
-    console.log("Current falling tile exists:", currentFallingTile !== null);
-    
-    if (currentFallingTile) {
-        console.log("Falling tile position:", currentFallingTile.position);
-    }
-    
-    // Check raycasting
-    if (currentFallingTile && soccerBall) {
-        const tilePos = new THREE.Vector3();
-        currentFallingTile.getWorldPosition(tilePos);
-        const direction = new THREE.Vector3(0, 0, 0).sub(tilePos).normalize();
-        
-        console.log("Tile position for raycasting:", tilePos);
-        console.log("Raycast direction:", direction);
-        
-        const raycaster = new THREE.Raycaster(tilePos, direction);
-        const hits = raycaster.intersectObject(soccerBall, true);
-        
-        console.log("Raw raycast hits:", hits.length);
-        if (hits.length > 0) {
-            console.log("First hit object:", hits[0].object.type);
-            console.log("Hit distance:", hits[0].distance);
-            console.log("Hit point:", hits[0].point);
-        }
-    }
-    
-    console.log("=== END DEBUG ===");
-    
-    // Force update ghost tile
-    if (currentFallingTile) {
-        // Remove any existing ghost
-        if (ghostTile && ghostTile.parent) {
-            ghostTile.parent.remove(ghostTile);
-            ghostTile = null;
-        }
-        
-        // Create a bright visible test ghost at the current falling tile position
-        ghostTile = new THREE.Mesh(
-            currentFallingTile.geometry.clone(),
-            new THREE.MeshBasicMaterial({ 
-                color: 0xff0000, 
-                wireframe: true, 
-                transparent: true, 
-                opacity: 0.9 
-            })
-        );
-        
-        // Position slightly offset from the current falling tile
-        currentFallingTile.getWorldPosition(new THREE.Vector3());
-        ghostTile.position.copy(currentFallingTile.position).add(new THREE.Vector3(0, -0.5, 0));
-        ghostTile.quaternion.copy(currentFallingTile.quaternion);
-        
-        // Add to scene directly for maximum visibility
-        scene.add(ghostTile);
-        
-        console.log("TEST GHOST CREATED");
-    }
-    
-    return "Debug complete - check console";
-}
-
 // --- UI for Current and Next Piece ---
 function createPiecePreviewDisplay() {
     const previewContainer = document.createElement('div');
     previewContainer.id = 'piece-preview-container';
     previewContainer.style.position = 'absolute';
-    previewContainer.style.top = '100px'; // Below score
+    previewContainer.style.top = '110px'; // Below score
     previewContainer.style.left = '20px';
     previewContainer.style.fontFamily = 'Arial, sans-serif';
     previewContainer.style.fontSize = '18px';
@@ -2161,79 +1598,209 @@ function createPiecePreviewDisplay() {
     currentShapeGraphic.style.marginLeft = '8px';
     currentShapeGraphic.style.display = 'inline-block';
     currentPieceDiv.appendChild(currentShapeGraphic);
-
+    currentPieceDiv.appendChild(createPieceNameLabel());
+
+    const holdPieceDiv = document.createElement('div');
+    holdPieceDiv.id = 'hold-piece-preview';
+    holdPieceDiv.style.marginBottom = '10px';
+    holdPieceDiv.style.display = 'flex'; // Align items inline
+    holdPieceDiv.style.alignItems = 'center';
+    const holdLabel = document.createElement('span');
+    holdLabel.id = 'hold-label';
+    holdPieceDiv.appendChild(holdLabel);
+
+    const holdShapeGraphic = document.createElement('div');
+    holdShapeGraphic.id = 'hold-shape-graphic';
+    holdShapeGraphic.style.width = '22px'; // Base width
+    holdShapeGraphic.style.height = '20px'; // Base height
+    holdShapeGraphic.style.border = '1px solid white';
+    holdShapeGraphic.style.marginLeft = '8px';
+    holdShapeGraphic.style.display = 'inline-block';
+    holdPieceDiv.appendChild(holdShapeGraphic);
+    holdPieceDiv.appendChild(createPieceNameLabel());
+
+    // Next queue: one slot per upcoming piece, filled in 3D by renderPiecePreviews()
     const nextPieceDiv = document.createElement('div');
     nextPieceDiv.id = 'next-piece-preview';
-    nextPieceDiv.style.display = 'flex'; // Align items inline
-    nextPieceDiv.style.alignItems = 'center';
-    nextPieceDiv.innerHTML = 'Next: ';
-
-    const nextShapeGraphic = document.createElement('div');
-    nextShapeGraphic.id = 'next-shape-graphic';
-    nextShapeGraphic.style.width = '22px'; // Base width
-    nextShapeGraphic.style.height = '20px'; // Base height
-    nextShapeGraphic.style.border = '1px solid white';
-    nextShapeGraphic.style.marginLeft = '8px';
-    nextShapeGraphic.style.display = 'inline-block';
-    nextPieceDiv.appendChild(nextShapeGraphic);
+    nextPieceDiv.innerHTML = 'Next:';
+
+    const nextQueue = document.createElement('div');
+    nextQueue.id = 'next-queue';
+    nextQueue.style.display = 'flex';
+    nextQueue.style.flexDirection = 'column';
+    nextQueue.style.gap = '6px';
+    nextQueue.style.marginTop = '6px';
+    for (let i = 0; i < 6; i++) {
+        const slot = document.createElement('div');
+        slot.className = 'next-queue-slot';
+        const size = i === 0 ? '64px' : '48px'; // The very next piece is shown larger
+        slot.style.width = size;
+        slot.style.height = size;
+        slot.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+        slot.style.borderRadius = '5px';
+        slot.style.display = 'none';
+        nextQueue.appendChild(slot);
+    }
+    nextPieceDiv.appendChild(nextQueue);
 
     previewContainer.appendChild(currentPieceDiv);
+    previewContainer.appendChild(holdPieceDiv);
     previewContainer.appendChild(nextPieceDiv);
     document.body.appendChild(previewContainer);
+    updateHoldLabel();
+}
+
+// The hold slot names the first key bound to hold, so it follows the controls screen
+function updateHoldLabel() {
+    const label = document.getElementById('hold-label');
+    if (!label) return;
+    const [key] = inputBindings.get('keyboard', 'hold');
+    label.textContent = key ? `Hold (${formatBindings('keyboard', [key])}): ` : 'Hold: ';
+}
+
+// Multi-cell pieces are named next to their anchor's shape graphic
+function createPieceNameLabel() {
+    const label = document.createElement('span');
+    label.className = 'piece-name';
+    label.style.marginLeft = '6px';
+    label.style.fontSize = '14px';
+    return label;
+}
+
+// Draw a piece as a coloured clip-path shape of its anchor cell (or clear it when piece is null)
+function applyShapeGraphic(graphic, piece) {
+    const label = graphic.parentElement.querySelector('.piece-name');
+    if (label) label.textContent = piece && PIECE_TYPES[piece.type].arms.length > 0 ? PIECE_TYPES[piece.type].name : '';
+
+    // Reset styles before applying new ones
+    graphic.style.clipPath = 'none';
+    // Set default dimensions which might be overridden by clip-path needs
+    graphic.style.width = '22px';
+    graphic.style.height = '20px';
+
+    if (!piece) {
+        graphic.style.backgroundColor = 'transparent';
+        return;
+    }
+
+    if (piece.shape === 'hex') {
+        graphic.style.clipPath = 'polygon(25% 0%, 75% 0%, 100% 50%, 75% 100%, 25% 100%, 0% 50%)';
+    } else if (piece.shape === 'pent') {
+        graphic.style.clipPath = 'polygon(50% 0%, 100% 38%, 82% 100%, 18% 100%, 0% 38%)';
+        graphic.style.width = '20px'; // Pentagon might look better slightly less wide
+    }
+    graphic.style.backgroundColor = `#${new THREE.Color(piece.color).getHexString()}`;
 }
 
 function updatePiecePreviewUI() {
     const currentShapeGraphic = document.getElementById('current-shape-graphic');
-    const nextShapeGraphic = document.getElementById('next-shape-graphic');
 
-    if (!currentShapeGraphic || !nextShapeGraphic) {
+    if (!currentShapeGraphic) {
         console.warn("Piece preview graphic elements not found.");
         return;
     }
 
-    // Reset styles before applying new ones
-    currentShapeGraphic.style.clipPath = 'none';
-    nextShapeGraphic.style.clipPath = 'none';
-    // Set default dimensions which might be overridden by clip-path needs
-    currentShapeGraphic.style.width = '22px';
-    currentShapeGraphic.style.height = '20px';
-    nextShapeGraphic.style.width = '22px';
-    nextShapeGraphic.style.height = '20px';
+    const showPieces = game && !game.isGameOver;
+    applyShapeGraphic(currentShapeGraphic, showPieces ? game.current : null);
 
-    // Update Current Piece Preview
-    if (currentFallingTile) {
-        if (currentFallingTile.geometry === hexGeometry) {
-            currentShapeGraphic.style.clipPath = 'polygon(25% 0%, 75% 0%, 100% 50%, 75% 100%, 25% 100%, 0% 50%)';
-        } else if (currentFallingTile.geometry === pentGeometry) {
-            currentShapeGraphic.style.clipPath = 'polygon(50% 0%, 100% 38%, 82% 100%, 18% 100%, 0% 38%)';
-            currentShapeGraphic.style.width = '20px'; // Pentagon might look better slightly less wide
-        } else {
-            currentShapeGraphic.style.backgroundColor = 'transparent'; // Unknown shape
-        }
-        currentShapeGraphic.style.backgroundColor = `#${currentFallingTile.material.color.getHexString()}`;
-    } else {
-        currentShapeGraphic.style.backgroundColor = 'transparent';
-        currentShapeGraphic.style.clipPath = 'none';
-    }
+    // Show one next-queue slot per queued piece; the pieces themselves are drawn each frame
+    const queueLength = showPieces ? game.queue.length : 0;
+    document.querySelectorAll('.next-queue-slot').forEach((slot, index) => {
+        slot.style.display = index < queueLength ? 'block' : 'none';
+    });
 
-    // Update Next Piece Preview
-    if (nextTileGeometry && nextTileColor !== null) {
-        if (nextTileGeometry === hexGeometry) {
-            nextShapeGraphic.style.clipPath = 'polygon(25% 0%, 75% 0%, 100% 50%, 75% 100%, 25% 100%, 0% 50%)';
-        } else if (nextTileGeometry === pentGeometry) {
-            nextShapeGraphic.style.clipPath = 'polygon(50% 0%, 100% 38%, 82% 100%, 18% 100%, 0% 38%)';
-            nextShapeGraphic.style.width = '20px'; // Pentagon might look better slightly less wide
-        } else {
-            nextShapeGraphic.style.backgroundColor = 'transparent'; // Unknown shape
-        }
-        nextShapeGraphic.style.backgroundColor = `#${new THREE.Color(nextTileColor).getHexString()}`;
-    } else {
-        nextShapeGraphic.style.backgroundColor = 'transparent';
-        nextShapeGraphic.style.clipPath = 'none';
+    const holdShapeGraphic = document.getElementById('hold-shape-graphic');
+    if (holdShapeGraphic) {
+        applyShapeGraphic(holdShapeGraphic, showPieces ? game.held : null);
+        holdShapeGraphic.style.opacity = game && game.canHold ? '1' : '0.4'; // Dimmed until the next piece
     }
 }
 // --- End UI for Current and Next Piece ---
 
+// --- Mode HUD ---
+// Top centre: what the current mode is counting - Sprint's layers and clock, Ultra's time
+// left, a puzzle's goal and pieces. Classic has nothing extra to show.
+
+function createModeDisplay() {
+    const display = document.createElement('div');
+    display.id = 'mode-display';
+    display.style.position = 'absolute';
+    display.style.top = '20px';
+    display.style.left = '50%';
+    display.style.transform = 'translateX(-50%)';
+    display.style.padding = '6px 14px';
+    display.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    display.style.color = 'white';
+    display.style.fontFamily = 'Arial, sans-serif';
+    display.style.fontSize = '20px';
+    display.style.borderRadius = '5px';
+    display.style.display = 'none';
+    document.body.appendChild(display);
+}
+
+function updateModeDisplay() {
+    const display = document.getElementById('mode-display');
+    if (!display || !game) return;
+    const { mode, goalLayers, puzzle } = game.config;
+    let text = '';
+    if (mode === 'sprint') {
+        text = `Sprint · Layers ${Math.min(game.stats.layersCleared, goalLayers)}/${goalLayers} · ${formatRunTime(game.elapsedTime)}`;
+    } else if (mode === 'ultra') {
+        text = `Ultra · ${formatReplayTime(Math.ceil(game.timeLeft))} left`;
+    } else if (mode === 'zen') {
+        text = 'Zen · End the game from the pause menu';
+    } else if (mode === 'puzzle' && puzzle) {
+        const left = game.piecesLeft + (game.current ? 1 : 0);
+        text = `${puzzle.name} · ${describeGoal(puzzle.goal)} · ${left} ${left === 1 ? 'piece' : 'pieces'} left`;
+    }
+    const visible = text !== '' && [GAME_STATES.PLAYING, GAME_STATES.PAUSED, GAME_STATES.CLEARING, GAME_STATES.GAME_OVER].some(state => appState.is(state));
+    display.style.display = visible ? 'block' : 'none';
+    if (display.textContent !== text) display.textContent = text;
+}
+
+// --- Pressure Meter ---
+// Top right while rising garbage is on: fills towards the next garbage layer and turns red
+// when it is close, so the push never comes out of nowhere.
+
+const PRESSURE_WARNING = 0.75; // Share of the wait after which the meter warns
+
+function createPressureMeter() {
+    const meter = document.createElement('div');
+    meter.id = 'pressure-meter';
+    meter.style.position = 'absolute';
+    meter.style.top = '20px';
+    meter.style.right = '10px';
+    meter.style.width = '180px';
+    meter.style.padding = '8px 10px';
+    meter.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    meter.style.color = 'white';
+    meter.style.fontFamily = 'Arial, sans-serif';
+    meter.style.fontSize = '14px';
+    meter.style.borderRadius = '5px';
+    meter.style.display = 'none';
+    meter.innerHTML = '<div id="pressure-label"></div>' +
+        '<div style="height: 10px; margin-top: 4px; background: #333; border-radius: 5px; overflow: hidden;">' +
+        '<div id="pressure-fill" style="height: 100%; width: 0;"></div></div>';
+    document.body.appendChild(meter);
+}
+
+function updatePressureMeter() {
+    const meter = document.getElementById('pressure-meter');
+    if (!meter || !game) return;
+    const progress = game.garbageProgress;
+    const visible = progress !== null && [GAME_STATES.PLAYING, GAME_STATES.PAUSED, GAME_STATES.CLEARING].some(state => appState.is(state));
+    meter.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+    const warning = progress >= PRESSURE_WARNING;
+    const fill = document.getElementById('pressure-fill');
+    fill.style.width = `${Math.round(progress * 100)}%`;
+    fill.style.backgroundColor = warning ? '#f44336' : '#ffeb3b';
+    const text = game.garbage.held ? 'Garbage held back - too high!'
+        : warning ? 'Garbage incoming!' : `Garbage · ${PRESSURE_LEVELS[game.config.pressure]?.label ?? 'On'}`;
+    const label = document.getElementById('pressure-label');
+    if (label.textContent !== text) label.textContent = text;
+}
+
 function createLayerCountDisplay() {
     const layerCountContainer = document.createElement('div');
     layerCountContainer.id = 'layer-count-display';
@@ -2252,75 +1819,1084 @@ function createLayerCountDisplay() {
     document.body.appendChild(layerCountContainer);
 }
 
+let layerPanelRings = null; // game.rings the panel was last filled from
+
 function updateLayerCountDisplay() {
     const layerCountContainer = document.getElementById('layer-count-display');
     if (!layerCountContainer) return;
+    layerPanelRings = game.rings;
 
     let content = '<strong>Layer Counts:</strong><br>';
-    
-    const sortedLayers = Array.from(layerTiles.keys())
-        .map(layer => parseFloat(layer)) 
-        .sort((a, b) => a - b); 
 
-    if (sortedLayers.length === 0) {
+    const layers = game.getState().layers;
+    if (layers.length === 0) {
         content += '<em>No layers yet</em>';
     } else {
-        for (const layerKey of sortedLayers) {
-            const tilesInLayer = layerTiles.get(layerKey); 
-            if (tilesInLayer) {
-                content += `Layer ${layerKey.toFixed(1)}: ${tilesInLayer.length} tiles<br>`;
-            } else {
-                console.warn(`Layer key ${layerKey} not found in layerTiles during display update after sorting.`);
-            }
+        for (const layer of layers) {
+            content += `Layer ${layer.shell}: ${layer.count}/${game.topology.faces.length} tiles<br>`;
+        }
+    }
+    // Under the rings rule: how many of each ring's faces already have their next tile
+    if (game.rings.length > 0) {
+        content += '<strong>Rings:</strong><br>';
+        const stackHeight = faceId => (game.occupiedFaces.get(faceId) || []).length;
+        const numbers = {};
+        for (const ring of game.rings) {
+            numbers[ring.kind] = (numbers[ring.kind] || 0) + 1;
+            const depth = Math.min(...ring.faces.map(stackHeight));
+            const filled = ring.faces.filter(faceId => stackHeight(faceId) > depth).length;
+            content += `${RING_KINDS[ring.kind]} ${numbers[ring.kind]}: ${filled}/${ring.faces.length}<br>`;
         }
     }
     layerCountContainer.innerHTML = content;
 }
 
 function triggerGameOver() {
-    if (isGameOver) return; // Prevent multiple triggers
-    isGameOver = true;
-    console.log("GAME OVER! Final Score:", score);
-
     // Stop falling tile if any
-    if (currentFallingTile) {
-        if (currentFallingTile.parent) {
-            currentFallingTile.parent.remove(currentFallingTile);
+    removeFallingTileMesh();
+    // Stop ghost tile
+    removeGhostTile();
+    removeFaceHighlight();
+    removeRingHighlight();
+
+    // Display the result - every mode ends through here, won or lost
+    const { won, reason } = game.result;
+    const timed = modeRanking(leaderboardMode(game.config)) === 'time';
+    const headings = {
+        topOut: 'GAME OVER',
+        goal: game.config.mode === 'puzzle' ? 'PUZZLE SOLVED' : `${GAME_MODES[game.config.mode].label.toUpperCase()} COMPLETE`,
+        timeUp: 'TIME UP',
+        outOfPieces: 'OUT OF PIECES',
+        ended: 'GAME ENDED'
+    };
+    const detail = timed && won ? `Time: ${formatRunTime(game.elapsedTime)} · Score: ${game.score}` : `Final Score: ${game.score}`;
+    const buttons = [['Play again', startNewGame], ['Main menu', returnToTitle]];
+    if (editorTestRun) buttons.splice(1, 0, ['Edit level', openLevelEditor]);
+    const gameOverDiv = createMenuScreen('game-over-display',
+        `${headings[reason]}<br><span style="font-size: 32px; font-weight: normal;">${detail}</span>`, buttons);
+    gameOverDiv.style.backgroundColor = won ? 'rgba(0, 80, 30, 0.9)' : 'rgba(100, 0, 0, 0.9)'; // Dark green or dark red
+    gameOverDiv.insertBefore(createScoreBreakdown(), gameOverDiv.lastChild);
+    // Replays and level editor test runs don't go on the leaderboard
+    if (!replayPlayer && !editorTestRun) gameOverDiv.insertBefore(createGameOverLeaderboard(), gameOverDiv.lastChild);
+
+    // No new piece preview updates needed after game over
+    updatePiecePreviewUI();
+    if (appState.can(GAME_STATES.GAME_OVER)) appState.transition(GAME_STATES.GAME_OVER);
+}
+
+// Where the final score came from - only sources that paid (or cost) something
+function createScoreBreakdown() {
+    const table = document.createElement('table');
+    table.style.margin = '15px auto 0';
+    table.style.fontSize = '16px';
+    table.style.fontWeight = 'normal';
+    table.style.borderCollapse = 'collapse';
+    const rows = Object.entries(game.scoring.breakdown)
+        .filter(([, points]) => points !== 0)
+        .map(([source, points]) => [SCORE_SOURCES[source], points > 0 ? `+${points}` : `${points}`]);
+    if (rows.length === 0) rows.push(['No points scored', '']);
+    if (game.scoring.maxCombo > 1) rows.push(['Best combo', `x${game.scoring.maxCombo}`]);
+    if (game.stats.maxChain > 1) rows.push(['Best chain', `x${game.stats.maxChain}`]);
+    if (game.stats.perfectSpheres > 0) rows.push(['Perfect spheres', game.stats.perfectSpheres]);
+    for (const [label, value] of rows) {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        const cell = row.insertCell();
+        cell.textContent = value;
+        cell.style.textAlign = 'right';
+        cell.style.paddingLeft = '20px';
+    }
+    return table;
+}
+
+// --- Leaderboard ---
+// Local high scores, one board per game mode and seed (see core/leaderboard.js)
+
+const PLAYER_NAME_KEY = 'spheretris-player-name';
+const leaderboard = new Leaderboard({ storage: window.localStorage });
+
+// Run summary, name entry when the score makes the board, and this seed's table
+function createGameOverLeaderboard() {
+    const section = document.createElement('div');
+    section.style.fontSize = '16px';
+    section.style.fontWeight = 'normal';
+    section.style.marginTop = '15px';
+
+    const { stats } = game;
+    const summary = document.createElement('div');
+    summary.textContent = `Level ${game.level} · ${stats.layersCleared} layers cleared · ${stats.piecesPlaced} pieces placed · ` +
+        `${stats.mismatches} mismatches (-${stats.penaltyPoints})` + (game.garbageProgress !== null ? ` · ${stats.garbageLayers} garbage layers` : '');
+    section.appendChild(summary);
+
+    const board = { mode: leaderboardMode(game.config), seed: game.seed };
+    const table = document.createElement('div');
+    table.style.marginTop = '10px';
+
+    // Timed boards only take runs that reached the goal
+    const time = modeRanking(board.mode) === 'time' && game.result.won ? Math.round(game.elapsedTime * 1000) / 1000 : null;
+    if (leaderboard.qualifies({ ...board, score: game.score, time })) {
+        const result = {
+            ...board,
+            randomizer: game.randomizer,
+            difficulty: game.config.difficulty,
+            score: game.score,
+            time,
+            level: game.level,
+            stats: { ...stats }
+        };
+        const form = document.createElement('div');
+        form.style.marginTop = '10px';
+        form.textContent = 'New high score! Name: ';
+
+        const nameInput = document.createElement('input');
+        nameInput.maxLength = 16;
+        nameInput.value = readStoredText(PLAYER_NAME_KEY) || '';
+        const submit = () => {
+            const entry = leaderboard.addEntry({ ...result, name: nameInput.value });
+            writeStoredText(PLAYER_NAME_KEY, nameInput.value.trim());
+            form.remove();
+            renderLeaderboardTable(table, leaderboard.getEntries(board), entry && entry.id);
+        };
+        nameInput.addEventListener('keydown', (event) => {
+            event.stopPropagation(); // Typing a name shouldn't pause or drop
+            if (event.key === 'Enter') submit();
+        });
+        form.appendChild(nameInput);
+        const saveButton = createButton('Save score', submit);
+        saveButton.style.marginLeft = '6px';
+        form.appendChild(saveButton);
+        section.appendChild(form);
+        setTimeout(() => nameInput.focus(), 0);
+    }
+
+    renderLeaderboardTable(table, leaderboard.getEntries(board));
+    section.appendChild(table);
+    return section;
+}
+
+// Fill container with a score table; the entry with highlightId is marked
+function renderLeaderboardTable(container, entries, highlightId = null) {
+    container.innerHTML = '';
+    if (entries.length === 0) {
+        container.innerHTML = '<em>No scores yet</em>';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.style.margin = '0 auto';
+    table.style.borderCollapse = 'collapse';
+    table.style.fontSize = '14px';
+    const timed = modeRanking(entries[0].mode) === 'time';
+    const columns = [
+        ['#', (entry, rank) => rank + 1],
+        ['Name', entry => entry.name], // textContent below, so names can't inject markup
+        ...(timed ? [['Time', entry => formatRunTime(entry.time)]] : []),
+        ['Score', entry => entry.score],
+        ['Level', entry => entry.level],
+        ['Difficulty', entry => DIFFICULTIES[entry.difficulty || 'normal']?.label ?? entry.difficulty], // Older scores were all normal
+        ['Layers', entry => entry.layersCleared],
+        ['Pieces', entry => entry.piecesPlaced],
+        ['Misses', entry => entry.mismatches],
+        ['Seed', entry => entry.seed],
+        ['Date', entry => new Date(entry.date).toLocaleDateString()]
+    ];
+
+    const headerRow = table.insertRow();
+    for (const [title] of columns) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        cell.style.padding = '2px 8px';
+        headerRow.appendChild(cell);
+    }
+    entries.forEach((entry, rank) => {
+        const row = table.insertRow();
+        if (entry.id === highlightId) row.style.color = '#ffeb3b';
+        for (const [, value] of columns) {
+            const cell = row.insertCell();
+            cell.textContent = String(value(entry, rank));
+            cell.style.padding = '2px 8px';
         }
-        currentFallingTile = null;
+    });
+    container.appendChild(table);
+}
+
+// Title-screen view of every board, with export/import of the whole table
+function createLeaderboardScreen() {
+    const screen = createMenuScreen('leaderboard-screen', 'Leaderboard', [
+        ['Export', () => downloadJSON('spheretris-leaderboard.json', leaderboard.toJSON())],
+        ['Import', () => fileInput.click()],
+        ['Close', () => { screen.style.display = 'none'; }]
+    ]);
+    screen.style.display = 'none';
+    screen.style.zIndex = '1002'; // Above the title screen
+    screen.style.maxHeight = '80vh';
+    screen.style.overflowY = 'auto';
+
+    const filters = document.createElement('div');
+    filters.style.fontSize = '16px';
+    filters.style.fontWeight = 'normal';
+    filters.style.marginTop = '10px';
+    const modeSelect = document.createElement('select');
+    modeSelect.id = 'leaderboard-mode';
+    const seedSelect = document.createElement('select');
+    seedSelect.id = 'leaderboard-seed';
+    seedSelect.style.marginLeft = '6px';
+    modeSelect.addEventListener('change', () => updateLeaderboardScreen());
+    seedSelect.addEventListener('change', () => updateLeaderboardScreen());
+    filters.appendChild(modeSelect);
+    filters.appendChild(seedSelect);
+
+    const status = document.createElement('div');
+    status.id = 'leaderboard-status';
+    status.style.fontSize = '14px';
+    status.style.fontWeight = 'normal';
+
+    const table = document.createElement('div');
+    table.id = 'leaderboard-table';
+    table.style.fontWeight = 'normal';
+    table.style.marginTop = '10px';
+
+    const fileInput = createJSONFileInput((data) => {
+        const added = leaderboard.importJSON(data);
+        status.textContent = `Imported ${added} new ${added === 1 ? 'score' : 'scores'}`;
+        updateLeaderboardScreen();
+    }, (error) => {
+        status.textContent = `Could not import leaderboard: ${error.message}`;
+    });
+
+    const buttonRow = screen.lastChild;
+    screen.insertBefore(filters, buttonRow);
+    screen.insertBefore(table, buttonRow);
+    screen.insertBefore(status, buttonRow);
+    screen.appendChild(fileInput);
+}
+
+function showLeaderboardScreen() {
+    document.getElementById('leaderboard-status').textContent = '';
+    document.getElementById('leaderboard-mode').value = leaderboardMode(game.config);
+    document.getElementById('leaderboard-seed').value = '';
+    updateLeaderboardScreen();
+    document.getElementById('leaderboard-screen').style.display = 'block';
+}
+
+// "Sprint", "Classic + Every 10 pieces + Rings" for a board with variants, or "Puzzle: Last Gap"
+// for a puzzle's board (its id when the puzzle isn't loaded)
+function leaderboardModeLabel(mode) {
+    if (mode.startsWith('puzzle:')) {
+        const id = mode.slice('puzzle:'.length);
+        return `Puzzle: ${puzzles.find(puzzle => puzzle.id === id)?.name ?? id}`;
     }
-    // Stop ghost tile
-    if (ghostTile) {
-        if (ghostTile.parent) {
-            ghostTile.parent.remove(ghostTile);
+    const [name, ...variants] = mode.split('+');
+    const labels = variants.map(variant => PRESSURE_LEVELS[variant]?.label ?? CLEAR_RULES[variant] ?? variant);
+    return [GAME_MODES[name]?.label ?? name, ...labels].join(' + ');
+}
+
+// Rebuild the mode/seed choices from the table and show the selected board
+function updateLeaderboardScreen() {
+    const modeSelect = document.getElementById('leaderboard-mode');
+    const seedSelect = document.getElementById('leaderboard-seed');
+    const modes = [...new Set([...Object.keys(GAME_MODES).filter(name => name !== 'puzzle'), ...leaderboard.modes()])];
+    const mode = modes.includes(modeSelect.value) ? modeSelect.value : 'classic';
+    modeSelect.innerHTML = '';
+    for (const value of modes) modeSelect.add(new Option(leaderboardModeLabel(value), value));
+    modeSelect.value = mode;
+
+    const seeds = leaderboard.seeds(mode);
+    const selectedSeed = seedSelect.value === '' ? null : Number(seedSelect.value);
+    const seed = seeds.includes(selectedSeed) ? selectedSeed : null; // null = all seeds
+    seedSelect.innerHTML = '';
+    seedSelect.add(new Option('All seeds', ''));
+    for (const value of seeds) seedSelect.add(new Option(`Seed ${value}`, String(value)));
+    seedSelect.value = seed === null ? '' : String(seed);
+
+    const entries = leaderboard.getEntries({ mode, seed: seed ?? undefined }).slice(0, 20);
+    renderLeaderboardTable(document.getElementById('leaderboard-table'), entries);
+}
+
+// --- Controls Screen ---
+// Lists every action with its keyboard and gamepad binding; clicking one waits for the
+// next key or button press and binds it. Bindings are saved by core/inputBindings.js.
+
+const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+
+function createControlsScreen() {
+    const screen = createMenuScreen('controls-screen', 'Controls', [
+        ['Reset to defaults', () => { inputBindings.reset(); finishRebinding(); }],
+        ['Close', () => { screen.style.display = 'none'; rebinding = null; }]
+    ]);
+    screen.style.display = 'none';
+    screen.style.zIndex = '1002'; // Above the title and pause screens
+    screen.style.maxHeight = '80vh';
+    screen.style.overflowY = 'auto';
+
+    const table = document.createElement('table');
+    table.id = 'controls-table';
+    table.style.fontSize = '16px';
+    table.style.fontWeight = 'normal';
+    table.style.margin = '10px auto 0';
+
+    const hint = document.createElement('div');
+    hint.style.fontSize = '14px';
+    hint.style.fontWeight = 'normal';
+    hint.style.marginTop = '10px';
+    hint.textContent = 'Click a binding, then press the new key or button (Esc cancels). ' +
+        'Drag the ball to rotate it, tap a face to aim, double tap to drop. The left stick also rotates.';
+
+    screen.insertBefore(table, screen.lastChild);
+    screen.insertBefore(hint, screen.lastChild);
+    screen.insertBefore(createEffectOptions(), screen.lastChild);
+}
+
+// Particle quality and reduced motion, under the bindings
+function createEffectOptions() {
+    const options = document.createElement('div');
+    options.style.fontSize = '16px';
+    options.style.fontWeight = 'normal';
+    options.style.marginTop = '15px';
+    options.appendChild(document.createTextNode('Effects: '));
+
+    const qualitySelect = document.createElement('select');
+    qualitySelect.id = 'effects-quality-select';
+    for (const [name, quality] of Object.entries(EFFECT_QUALITIES)) qualitySelect.add(new Option(quality.label, name));
+    qualitySelect.value = effectOptions.quality;
+    qualitySelect.addEventListener('change', () => {
+        setEffectOptions({ quality: qualitySelect.value });
+        qualitySelect.blur();
+    });
+    options.appendChild(qualitySelect);
+
+    const motionLabel = document.createElement('label');
+    motionLabel.style.marginLeft = '15px';
+    const motionCheckbox = document.createElement('input');
+    motionCheckbox.type = 'checkbox';
+    motionCheckbox.id = 'reduced-motion-checkbox';
+    motionCheckbox.checked = effectOptions.reducedMotion;
+    motionCheckbox.addEventListener('change', () => {
+        setEffectOptions({ reducedMotion: motionCheckbox.checked });
+        motionCheckbox.blur();
+    });
+    motionLabel.appendChild(motionCheckbox);
+    motionLabel.appendChild(document.createTextNode(' Reduced motion'));
+    options.appendChild(motionLabel);
+    return options;
+}
+
+function showControlsScreen() {
+    rebinding = null;
+    updateControlsScreen();
+    document.getElementById('controls-screen').style.display = 'block';
+}
+
+function updateControlsScreen() {
+    const table = document.getElementById('controls-table');
+    if (!table) return;
+    table.innerHTML = '';
+    const header = table.insertRow();
+    for (const text of ['Action', 'Keyboard', 'Gamepad']) {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        cell.style.padding = '2px 8px';
+        header.appendChild(cell);
+    }
+    for (const [action, label] of Object.entries(INPUT_ACTIONS)) {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        for (const device of ['keyboard', 'gamepad']) {
+            const waiting = rebinding && rebinding.device === device && rebinding.action === action;
+            const button = createButton(waiting ? 'Press...' : formatBindings(device, inputBindings.get(device, action)), () => {
+                rebinding = { device, action };
+                updateControlsScreen();
+            });
+            button.style.minWidth = '110px';
+            row.insertCell().appendChild(button);
         }
-        ghostTile = null;
     }
+}
+
+function finishRebinding() {
+    rebinding = null;
+    updateControlsScreen();
+    updateHoldLabel();
+}
+
+function formatBindings(device, inputs) {
+    if (inputs.length === 0) return '(none)';
+    return inputs.map(input => device === 'gamepad'
+        ? GAMEPAD_BUTTON_NAMES[input] || `Button ${input}`
+        : input.replace(/^Key|^Digit/, '')).join(' / ');
+}
+
+function readStoredText(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
 
-    // Display Game Over message
-    const gameOverDiv = document.createElement('div');
-    gameOverDiv.id = 'game-over-display';
-    gameOverDiv.style.position = 'absolute';
-    gameOverDiv.style.top = '50%';
-    gameOverDiv.style.left = '50%';
-    gameOverDiv.style.transform = 'translate(-50%, -50%)';
-    gameOverDiv.style.padding = '30px';
-    gameOverDiv.style.backgroundColor = 'rgba(100, 0, 0, 0.9)'; // Dark red
-    gameOverDiv.style.color = 'white';
-    gameOverDiv.style.fontFamily = 'Arial, sans-serif';
-    gameOverDiv.style.fontSize = '48px';
-    gameOverDiv.style.fontWeight = 'bold';
-    gameOverDiv.style.textAlign = 'center';
-    gameOverDiv.style.border = '4px solid white';
-    gameOverDiv.style.borderRadius = '15px';
-    gameOverDiv.style.boxShadow = '0 0 20px rgba(0,0,0,0.7)';
-    gameOverDiv.style.zIndex = '1001';
-    gameOverDiv.innerHTML = `GAME OVER<br><span style="font-size: 32px; font-weight: normal;">Final Score: ${score}</span>`;
-    document.body.appendChild(gameOverDiv);
-    
-    // No new piece preview updates needed after game over
-    const currentShapeGraphic = document.getElementById('current-shape-graphic');
-    const nextShapeGraphic = document.getElementById('next-shape-graphic');
-    if(currentShapeGraphic) currentShapeGraphic.style.backgroundColor = 'transparent';
-    if(nextShapeGraphic) nextShapeGraphic.style.backgroundColor = 'transparent';
-}
\ No newline at end of file
+function writeStoredText(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.warn(`Could not store ${key}:`, error);
+    }
+}
+
+// --- JSON Files ---
+
+function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Hidden <input type="file">; click() it to let the player pick a JSON file.
+// onError gets parse errors and anything onData throws.
+function createJSONFileInput(onData, onError) {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow loading the same file twice
+        if (!file) return;
+        file.text()
+            .then(text => onData(JSON.parse(text)))
+            .catch(error => {
+                console.error(`Could not load ${file.name}:`, error);
+                onError(error);
+            });
+    });
+    return fileInput;
+}
+
+// --- Menu Screens ---
+
+// Centered panel shared by the loading, title, pause and game-over screens.
+// buttons is a list of [label, onClick] pairs.
+function createMenuScreen(id, html, buttons = []) {
+    const screen = document.createElement('div');
+    screen.id = id;
+    screen.style.position = 'absolute';
+    screen.style.top = '50%';
+    screen.style.left = '50%';
+    screen.style.transform = 'translate(-50%, -50%)';
+    screen.style.padding = '30px';
+    screen.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    screen.style.color = 'white';
+    screen.style.fontFamily = 'Arial, sans-serif';
+    screen.style.fontSize = '48px';
+    screen.style.fontWeight = 'bold';
+    screen.style.textAlign = 'center';
+    screen.style.border = '4px solid white';
+    screen.style.borderRadius = '15px';
+    screen.style.boxShadow = '0 0 20px rgba(0,0,0,0.7)';
+    screen.style.zIndex = '1001';
+    screen.innerHTML = html;
+
+    if (buttons.length > 0) {
+        const buttonRow = document.createElement('div');
+        buttonRow.style.marginTop = '20px';
+        for (const [label, onClick] of buttons) {
+            const button = createButton(label, onClick);
+            button.style.fontSize = '20px';
+            button.style.padding = '8px 18px';
+            button.style.margin = '0 8px';
+            button.style.cursor = 'pointer';
+            buttonRow.appendChild(button);
+        }
+        screen.appendChild(buttonRow);
+    }
+    document.body.appendChild(screen);
+    return screen;
+}
+
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.marginRight = '6px';
+    button.addEventListener('click', (event) => {
+        onClick();
+        button.blur(); // Keep Space for hard drops instead of re-clicking the button
+        event.stopPropagation();
+    });
+    return button;
+}
+
+function createLoadingScreen() {
+    createMenuScreen('loading-screen', '<span id="loading-text">Loading...</span>');
+}
+
+function createTitleScreen() {
+    const title = createMenuScreen('title-screen',
+        'SphereTris<br><span style="font-size: 18px; font-weight: normal;">' +
+        'Arrow keys or dragging rotate the ball, Space or a double tap drops, Esc or P pauses</span>',
+        [['Continue', continueSavedGame], ['Play', startNewGame], ['Leaderboard', showLeaderboardScreen], ['Controls', showControlsScreen],
+            ['Level editor', openLevelEditor]]);
+    title.querySelector('button').id = 'continue-button';
+    title.style.display = 'none';
+    title.insertBefore(createModePicker(), title.lastChild);
+    title.insertBefore(createDifficultyPicker(), title.lastChild);
+    updateModePicker();
+}
+
+// Mode select for the title screen, with the mode's description and the puzzle list
+function createModePicker() {
+    const picker = document.createElement('div');
+    picker.style.fontSize = '18px';
+    picker.style.fontWeight = 'normal';
+    picker.style.marginTop = '15px';
+    picker.textContent = 'Mode: ';
+
+    const select = document.createElement('select');
+    select.id = 'mode-select';
+    for (const [name, { label }] of Object.entries(GAME_MODES)) select.add(new Option(label, name));
+    select.value = selectedMode;
+    picker.appendChild(select);
+
+    const puzzleSelect = document.createElement('select');
+    puzzleSelect.id = 'puzzle-select';
+    puzzleSelect.style.marginLeft = '6px';
+    picker.appendChild(puzzleSelect);
+
+    const pressureRow = document.createElement('div');
+    pressureRow.id = 'pressure-row';
+    pressureRow.style.marginTop = '6px';
+    pressureRow.textContent = 'Rising garbage: ';
+    const pressureSelect = document.createElement('select');
+    pressureSelect.id = 'pressure-select';
+    for (const [name, { label }] of Object.entries(PRESSURE_LEVELS)) pressureSelect.add(new Option(label, name));
+    pressureSelect.value = selectedPressure;
+    pressureRow.appendChild(pressureSelect);
+    pressureRow.appendChild(document.createTextNode(' Clears: '));
+    const clearRuleSelect = document.createElement('select');
+    clearRuleSelect.id = 'clear-rule-select';
+    for (const [name, label] of Object.entries(CLEAR_RULES)) clearRuleSelect.add(new Option(label, name));
+    pressureRow.appendChild(clearRuleSelect);
+    picker.appendChild(pressureRow);
+
+    const description = document.createElement('div');
+    description.id = 'mode-description';
+    description.style.fontSize = '14px';
+    description.style.marginTop = '4px';
+    picker.appendChild(description);
+
+    select.addEventListener('change', () => {
+        selectedMode = select.value;
+        writeStoredText(MODE_KEY, selectedMode);
+        updateModePicker();
+        select.blur(); // Enter/Space should start the game, not reopen the list
+    });
+    puzzleSelect.addEventListener('change', () => {
+        selectedPuzzleId = puzzleSelect.value;
+        writeStoredText(PUZZLE_KEY, selectedPuzzleId);
+        updateModePicker();
+        puzzleSelect.blur();
+    });
+    pressureSelect.addEventListener('change', () => {
+        selectedPressure = pressureSelect.value;
+        writeStoredText(PRESSURE_KEY, selectedPressure);
+        pressureSelect.blur();
+    });
+    clearRuleSelect.addEventListener('change', () => {
+        if (clearRuleSelect.value === 'shells') delete selectedClearRules[selectedMode];
+        else selectedClearRules[selectedMode] = clearRuleSelect.value;
+        writeStoredText(CLEAR_RULES_KEY, JSON.stringify(selectedClearRules));
+        clearRuleSelect.blur();
+    });
+    return picker;
+}
+
+// Puzzle choices appear once levels/index.json has loaded
+function updateModePicker() {
+    const puzzleSelect = document.getElementById('puzzle-select');
+    if (!puzzleSelect) return;
+    const puzzle = selectedPuzzle();
+    if (puzzleSelect.options.length !== puzzles.length) {
+        puzzleSelect.innerHTML = '';
+        for (const { id, name } of puzzles) puzzleSelect.add(new Option(name, id));
+    }
+    if (puzzle) puzzleSelect.value = puzzle.id;
+    puzzleSelect.style.display = selectedMode === 'puzzle' && puzzles.length > 0 ? 'inline-block' : 'none';
+    document.getElementById('pressure-row').style.display = selectedMode === 'puzzle' && puzzle ? 'none' : 'block';
+    document.getElementById('clear-rule-select').value = selectedClearRules[selectedMode] || 'shells';
+
+    let text = GAME_MODES[selectedMode].description;
+    if (selectedMode === 'puzzle') {
+        text = puzzle ? `${puzzle.description || puzzle.name} (${describeGoal(puzzle.goal)}, ${puzzle.pieces.length} ${puzzle.pieces.length === 1 ? 'piece' : 'pieces'})`
+            : 'No puzzles found - Classic is played instead';
+    }
+    document.getElementById('mode-description').textContent = text;
+}
+
+// Difficulty select for the title screen, with the custom settings under it when 'Custom' is picked
+function createDifficultyPicker() {
+    const picker = document.createElement('div');
+    picker.style.fontSize = '18px';
+    picker.style.fontWeight = 'normal';
+    picker.style.marginTop = '15px';
+    picker.textContent = 'Difficulty: ';
+
+    const select = document.createElement('select');
+    select.id = 'difficulty-select';
+    for (const [name, { label }] of Object.entries(DIFFICULTIES)) select.add(new Option(label, name));
+    select.value = selectedDifficulty;
+    picker.appendChild(select);
+
+    const customPanel = document.createElement('div');
+    customPanel.style.fontSize = '14px';
+    customPanel.style.marginTop = '8px';
+    // Start from the normal numbers for anything the player hasn't set
+    const values = { ...DEFAULT_CONFIG, ...customDifficultySettings };
+    for (const [key, field] of Object.entries(CUSTOM_DIFFICULTY_FIELDS)) {
+        const row = document.createElement('label');
+        row.style.display = 'block';
+        row.textContent = `${field.label} `;
+        const input = document.createElement('input');
+        if (field.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = values[key];
+        } else {
+            input.type = 'number';
+            Object.assign(input, { min: field.min, max: field.max, step: field.step, value: values[key] });
+            input.style.width = '70px';
+        }
+        input.addEventListener('keydown', event => event.stopPropagation()); // Typing shouldn't start a game
+        input.addEventListener('change', () => {
+            const value = field.type === 'boolean' ? input.checked : parseFloat(input.value);
+            customDifficultySettings = customDifficultyConfig({ ...customDifficultySettings, [key]: value });
+            if (field.type !== 'boolean' && customDifficultySettings[key] !== undefined) input.value = customDifficultySettings[key];
+            writeStoredText(CUSTOM_DIFFICULTY_KEY, JSON.stringify(customDifficultySettings));
+        });
+        row.appendChild(input);
+        customPanel.appendChild(row);
+    }
+    customPanel.style.display = selectedDifficulty === 'custom' ? 'block' : 'none';
+    picker.appendChild(customPanel);
+
+    select.addEventListener('change', () => {
+        selectedDifficulty = select.value;
+        writeStoredText(DIFFICULTY_KEY, selectedDifficulty);
+        customPanel.style.display = selectedDifficulty === 'custom' ? 'block' : 'none';
+        select.blur(); // Enter/Space should start the game, not reopen the list
+    });
+    return picker;
+}
+
+function createPauseScreen() {
+    const pause = createMenuScreen('pause-screen', 'PAUSED',
+        [['Resume', togglePause], ['Controls', showControlsScreen], ['End game', endCurrentGame], ['Edit level', openLevelEditor],
+            ['Main menu', returnToTitle]]);
+    pause.querySelectorAll('button')[3].id = 'edit-level-button';
+    pause.style.display = 'none';
+}
+
+// Show the screen that belongs to the current state (game over manages its own panel)
+function updateStateScreens() {
+    const screens = {
+        'loading-screen': GAME_STATES.LOADING,
+        'title-screen': GAME_STATES.TITLE,
+        'pause-screen': GAME_STATES.PAUSED,
+        'level-editor': GAME_STATES.EDITING
+    };
+    for (const [id, state] of Object.entries(screens)) {
+        const screen = document.getElementById(id);
+        if (screen) screen.style.display = appState.is(state) ? 'block' : 'none';
+    }
+    const leaderboardScreen = document.getElementById('leaderboard-screen');
+    if (leaderboardScreen && !appState.is(GAME_STATES.TITLE)) leaderboardScreen.style.display = 'none';
+    const controlsScreen = document.getElementById('controls-screen');
+    if (controlsScreen && !appState.is(GAME_STATES.TITLE) && !appState.is(GAME_STATES.PAUSED)) {
+        controlsScreen.style.display = 'none';
+        rebinding = null;
+    }
+    // The editor has its own panel in place of the score and replay controls
+    for (const id of ['score-display', 'replay-controls']) {
+        const element = document.getElementById(id);
+        if (element) element.style.display = appState.is(GAME_STATES.EDITING) ? 'none' : 'block';
+    }
+    const editLevelButton = document.getElementById('edit-level-button');
+    if (editLevelButton) editLevelButton.style.display = editorTestRun ? 'inline-block' : 'none';
+    const continueButton = document.getElementById('continue-button');
+    if (continueButton && appState.is(GAME_STATES.TITLE)) {
+        continueButton.style.display = loadSavedGame() ? 'inline-block' : 'none';
+    }
+}
+
+// --- Level Editor ---
+// Builds puzzle files on the ball itself: a tap stacks a tile on the face (Shift-tap or
+// the Remove tool takes the top one off) and a drag turns the ball. The board behind it
+// is a SpheretrisGame made from the level, so it looks exactly like the puzzle will.
+
+let levelEditor = null; // Kept while testing so "Edit level" comes back to the same level
+let editorTool = 'add'; // 'add' or 'remove'
+let editorColor = null; // '#rrggbb' for new tiles, null for the puzzle grey
+let editorTestRun = false; // True while the edited level is being played to try it
+
+function openLevelEditor() {
+    if (!levelEditor) levelEditor = new LevelEditor(game.topology);
+    editorTestRun = false;
+    showEditorBoard();
+    appState.transition(GAME_STATES.EDITING);
+    updateEditorPanel();
+}
+
+// Rebuild the board from the level, leaving the ball turned the way it was
+function showEditorBoard() {
+    const ballQuaternion = game.ballQuaternion;
+    const board = new SpheretrisGame({ topology: game.topology, config: modeConfig('puzzle', { puzzle: levelEditor.toDraft() }) });
+    board.ballQuaternion = [...ballQuaternion];
+    board.previousBallQuaternion = [...ballQuaternion];
+    board.stepBallQuaternion = [...ballQuaternion];
+    setActiveGame(board);
+}
+
+// Tap on faceId with the current tool (or the other one when inverted)
+function editFace(faceId, inverted) {
+    const remove = (editorTool === 'remove') !== inverted;
+    const changed = remove ? levelEditor.removeTile(faceId) : levelEditor.addTile(faceId, editorColor);
+    if (!changed) {
+        setEditorStatus(remove ? 'Nothing to remove there' : 'That stack is as high as it can go');
+        return;
+    }
+    showEditorBoard();
+    updateEditorPanel();
+}
+
+function playEditedLevel() {
+    let puzzle;
+    try {
+        puzzle = levelEditor.toPuzzle();
+    } catch (error) {
+        setEditorStatus(error.message);
+        return;
+    }
+    editorTestRun = true;
+    setActiveGame(createGame(game.topology, { puzzle }));
+    appState.transition(GAME_STATES.PLAYING);
+    game.spawn();
+}
+
+function exportLevel() {
+    try {
+        const puzzle = levelEditor.toPuzzle();
+        downloadJSON(`${puzzle.id}.json`, puzzle);
+        setEditorStatus(`Saved ${puzzle.id}.json - add it to levels/index.json to list it`);
+    } catch (error) {
+        setEditorStatus(error.message);
+    }
+}
+
+function importLevel(data) {
+    try {
+        levelEditor = new LevelEditor(game.topology, data);
+    } catch (error) {
+        setEditorStatus(`Could not load level: ${error.message}`);
+        return;
+    }
+    showEditorBoard();
+    updateEditorPanel();
+}
+
+function createLevelEditorPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'level-editor';
+    panel.style.position = 'absolute';
+    panel.style.bottom = '20px';
+    panel.style.left = '20px';
+    panel.style.width = '340px';
+    panel.style.padding = '10px';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '14px';
+    panel.style.borderRadius = '5px';
+    panel.style.display = 'none';
+    panel.innerHTML = '<strong>Level Editor</strong><br>' +
+        '<span style="font-size: 12px;">Tap a face to stack a tile, Shift-tap to take one off, drag to turn the ball</span>';
+
+    // Text fields go straight into the level; typing mustn't reach the game's key bindings
+    const addField = (label, key, onChange) => {
+        const row = document.createElement('label');
+        row.style.display = 'block';
+        row.style.marginTop = '6px';
+        row.textContent = `${label} `;
+        const input = document.createElement('input');
+        input.id = `level-editor-${key}`;
+        input.style.width = '220px';
+        input.addEventListener('keydown', event => event.stopPropagation());
+        input.addEventListener('change', () => {
+            try {
+                onChange(input.value.trim());
+            } catch (error) {
+                setEditorStatus(error.message);
+                return;
+            }
+            updateEditorPanel();
+        });
+        row.appendChild(input);
+        panel.appendChild(row);
+        return input;
+    };
+    addField('Name', 'name', name => levelEditor.setInfo({ name }));
+    addField('Id', 'id', id => levelEditor.setInfo({ id }));
+    addField('About', 'description', description => levelEditor.setInfo({ description }));
+    // Pieces are typed as a list, e.g. "hex, hex, HHP"
+    addField('Pieces', 'pieces', text => {
+        levelEditor.setPieces(text.split(/[\s,]+/).filter(Boolean));
+        showEditorBoard(); // The queue on the HUD follows the pieces
+    });
+
+    const goalRow = document.createElement('div');
+    goalRow.style.marginTop = '6px';
+    goalRow.textContent = 'Goal ';
+    const goalSelect = document.createElement('select');
+    goalSelect.id = 'level-editor-goal';
+    for (const [type, label] of Object.entries(PUZZLE_GOALS)) goalSelect.add(new Option(label, type));
+    const countInput = document.createElement('input');
+    countInput.id = 'level-editor-goal-count';
+    countInput.type = 'number';
+    countInput.min = '1';
+    countInput.style.width = '50px';
+    countInput.style.marginLeft = '6px';
+    countInput.addEventListener('keydown', event => event.stopPropagation());
+    const setGoal = () => {
+        levelEditor.setGoal({ type: goalSelect.value, count: Math.max(1, parseInt(countInput.value, 10) || 1) });
+        updateEditorPanel();
+        goalSelect.blur();
+    };
+    goalSelect.addEventListener('change', setGoal);
+    countInput.addEventListener('change', setGoal);
+    goalRow.append(goalSelect, countInput);
+    panel.appendChild(goalRow);
+
+    const toolRow = document.createElement('div');
+    toolRow.style.marginTop = '6px';
+    toolRow.textContent = 'Tool ';
+    const toolSelect = document.createElement('select');
+    toolSelect.id = 'level-editor-tool';
+    toolSelect.add(new Option('Add tiles', 'add'));
+    toolSelect.add(new Option('Remove tiles', 'remove'));
+    toolSelect.addEventListener('change', () => {
+        editorTool = toolSelect.value;
+        toolSelect.blur();
+    });
+    // New tiles take the picked colour unless "Grey" is ticked
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = '#4caf50';
+    colorInput.style.marginLeft = '6px';
+    const greyLabel = document.createElement('label');
+    const greyCheckbox = document.createElement('input');
+    greyCheckbox.type = 'checkbox';
+    greyCheckbox.checked = true;
+    greyLabel.append(greyCheckbox, ' Grey');
+    const setColor = () => {
+        editorColor = greyCheckbox.checked ? null : colorInput.value;
+        colorInput.disabled = greyCheckbox.checked;
+    };
+    colorInput.addEventListener('input', setColor);
+    greyCheckbox.addEventListener('change', setColor);
+    setColor();
+    toolRow.append(toolSelect, colorInput, greyLabel);
+    panel.appendChild(toolRow);
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.marginTop = '8px';
+    const fileInput = createJSONFileInput(importLevel, error => setEditorStatus(`Could not load level: ${error.message}`));
+    buttonRow.appendChild(createButton('Play', playEditedLevel));
+    buttonRow.appendChild(createButton('Export', exportLevel));
+    buttonRow.appendChild(createButton('Import', () => fileInput.click()));
+    buttonRow.appendChild(createButton('Clear board', () => {
+        levelEditor.clearTiles();
+        showEditorBoard();
+        updateEditorPanel();
+    }));
+    buttonRow.appendChild(createButton('Main menu', returnToTitle));
+    buttonRow.appendChild(fileInput);
+    panel.appendChild(buttonRow);
+
+    const status = document.createElement('div');
+    status.id = 'level-editor-status';
+    status.style.marginTop = '6px';
+    panel.appendChild(status);
+
+    document.body.appendChild(panel);
+}
+
+// Fill the fields from the level and say whether it can be played yet
+function updateEditorPanel() {
+    if (!levelEditor || !document.getElementById('level-editor')) return;
+    const { level } = levelEditor;
+    document.getElementById('level-editor-name').value = level.name;
+    document.getElementById('level-editor-id').value = level.id;
+    document.getElementById('level-editor-description').value = level.description ?? '';
+    document.getElementById('level-editor-pieces').value = level.pieces.join(', ');
+    document.getElementById('level-editor-goal').value = level.goal.type;
+    const countInput = document.getElementById('level-editor-goal-count');
+    countInput.value = level.goal.count ?? 1;
+    countInput.style.display = level.goal.type === 'layers' ? 'inline-block' : 'none';
+
+    const tiles = level.tiles.length;
+    let text = `${tiles} ${tiles === 1 ? 'tile' : 'tiles'} · ${describeGoal(level.goal)} with ${level.pieces.length} ` +
+        `${level.pieces.length === 1 ? 'piece' : 'pieces'}`;
+    try {
+        levelEditor.toPuzzle();
+    } catch (error) {
+        text += ` · Not playable yet: ${error.message}`;
+    }
+    setEditorStatus(text);
+}
+
+function setEditorStatus(text) {
+    const status = document.getElementById('level-editor-status');
+    if (status) status.textContent = text;
+}
+
+// --- Replay Controls ---
+// Every game records its inputs, so it can be saved as JSON and watched again later.
+
+let isScrubbing = false; // True while the seek slider is being dragged
+
+function createReplayControls() {
+    const panel = document.createElement('div');
+    panel.id = 'replay-controls';
+    panel.style.position = 'absolute';
+    panel.style.bottom = '20px';
+    panel.style.left = '20px';
+    panel.style.padding = '10px';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '14px';
+    panel.style.borderRadius = '5px';
+
+    const fileInput = createJSONFileInput(
+        (replay) => startReplay(replay),
+        (error) => setReplayStatus(`Could not load replay: ${error.message}`)
+    );
+
+    panel.appendChild(createButton('Export Replay', exportReplay));
+    panel.appendChild(createButton('Import Replay', () => fileInput.click()));
+    panel.appendChild(fileInput);
+
+    const status = document.createElement('div');
+    status.id = 'replay-status';
+    status.style.marginTop = '6px';
+    panel.appendChild(status);
+
+    // Playback bar - only shown while watching a replay
+    const playback = document.createElement('div');
+    playback.id = 'replay-playback';
+    playback.style.display = 'none';
+    playback.style.marginTop = '8px';
+
+    const playButton = createButton('Pause', () => {
+        if (replayPlayer.paused) replayPlayer.play();
+        else replayPlayer.pause();
+    });
+    playButton.id = 'replay-play';
+    playback.appendChild(playButton);
+
+    const speedSelect = document.createElement('select');
+    speedSelect.id = 'replay-speed';
+    speedSelect.style.marginRight = '6px';
+    for (const speed of REPLAY_SPEEDS) {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = `${speed}x`;
+        speedSelect.appendChild(option);
+    }
+    speedSelect.value = '1';
+    speedSelect.addEventListener('change', () => replayPlayer.setSpeed(Number(speedSelect.value)));
+    playback.appendChild(speedSelect);
+
+    const seekSlider = document.createElement('input');
+    seekSlider.id = 'replay-seek';
+    seekSlider.type = 'range';
+    seekSlider.min = '0';
+    seekSlider.step = '1';
+    seekSlider.style.verticalAlign = 'middle';
+    seekSlider.addEventListener('input', () => { isScrubbing = true; });
+    // Seeking re-simulates from the start, so only do it once the slider is released
+    seekSlider.addEventListener('change', () => {
+        isScrubbing = false;
+        replayPlayer.seek(Number(seekSlider.value));
+    });
+    playback.appendChild(seekSlider);
+
+    const timeLabel = document.createElement('span');
+    timeLabel.id = 'replay-time';
+    timeLabel.style.margin = '0 6px';
+    playback.appendChild(timeLabel);
+
+    playback.appendChild(createButton('Exit Replay', startNewGame));
+    panel.appendChild(playback);
+    document.body.appendChild(panel);
+}
+
+function exportReplay() {
+    if (!game) return;
+    const replay = replayPlayer ? replayPlayer.replay : createReplay(game);
+    downloadJSON(`spheretris-replay-${replay.seed}-${replay.score}.json`, replay);
+}
+
+function startReplay(replay) {
+    const player = new ReplayPlayer(replay, { topology: game.topology }); // Throws on a malformed file
+    player.on('reset', ({ game: replayGame }) => {
+        setActiveGame(replayGame);
+        // Seeking back from the end leaves the game-over screen
+        if (!replayGame.isGameOver && !appState.is(GAME_STATES.PLAYING)) appState.transition(GAME_STATES.PLAYING);
+    });
+    player.on('state', () => updateReplayControls());
+    player.on('end', () => setReplayStatus('Replay finished'));
+    replayPlayer = player;
+    releaseAllActions();
+
+    setActiveGame(player.game);
+    if (!appState.is(GAME_STATES.PLAYING)) appState.transition(GAME_STATES.PLAYING);
+    document.getElementById('replay-seek').max = String(replay.steps);
+    document.getElementById('replay-speed').value = '1';
+    document.getElementById('replay-playback').style.display = 'block';
+    setReplayStatus(`Watching replay - seed ${replay.seed} (${replay.randomizer}), score ${replay.score}`);
+    updateReplayControls();
+}
+
+// Back to live input; callers swap in the next game
+function stopReplay() {
+    replayPlayer = null;
+    document.getElementById('replay-playback').style.display = 'none';
+    setReplayStatus('');
+}
+
+function updateReplayControls() {
+    if (!replayPlayer) return;
+    document.getElementById('replay-play').textContent = replayPlayer.paused ? 'Play' : 'Pause';
+    if (!isScrubbing) document.getElementById('replay-seek').value = String(game.stepCount);
+    document.getElementById('replay-time').textContent =
+        `${formatReplayTime(replayPlayer.currentTime)} / ${formatReplayTime(replayPlayer.duration)}`;
+}
+
+function setReplayStatus(text) {
+    const status = document.getElementById('replay-status');
+    if (status) status.textContent = text;
+}
+
+// Sprint and puzzle times, e.g. 1:23.45
+function formatRunTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
+}
+
+function formatReplayTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
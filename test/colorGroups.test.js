@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TILE_COLORS, GARBAGE_TILE_COLOR } from '../core/SpheretrisGame.js';
+import { findColorGroups, touchingTiles } from '../core/colorGroups.js';
+import { topology, dropOn, gameWithTiles, faceOfShape } from './helpers.js';
+
+const [first, second] = TILE_COLORS;
+
+// occupiedFaces for stacks given as { faceId: [color...] }, innermost first
+function board(stacks) {
+    let id = 0;
+    const occupiedFaces = new Map();
+    for (const [faceId, colors] of Object.entries(stacks)) {
+        occupiedFaces.set(Number(faceId), colors.map((color, stackIndex) => ({ id: id++, faceId: Number(faceId), stackIndex, color })));
+    }
+    return occupiedFaces;
+}
+
+test('tiles touch the ones under and over them and beside them in the same shell', () => {
+    const [a, b] = [0, topology.faces[0].neighbors[0]];
+    const occupiedFaces = board({ [a]: [first, first, first], [b]: [second, second] });
+    const middle = occupiedFaces.get(a)[1];
+    const touching = touchingTiles(topology, occupiedFaces, middle).map(tile => [tile.faceId, tile.stackIndex]);
+    assert.deepEqual(touching.sort(), [[a, 0], [a, 2], [b, 1]].sort());
+});
+
+test('groups need colorGroupSize tiles of one colour, and garbage never groups', () => {
+    const [a, b] = [0, topology.faces[0].neighbors[0]];
+    const occupiedFaces = board({ [a]: [first, first, GARBAGE_TILE_COLOR], [b]: [first, second, GARBAGE_TILE_COLOR] });
+    assert.deepEqual(findColorGroups(topology, occupiedFaces, { minSize: 3, inertColor: GARBAGE_TILE_COLOR })
+        .map(group => group.length), [3]);
+    assert.deepEqual(findColorGroups(topology, occupiedFaces, { minSize: 4, inertColor: GARBAGE_TILE_COLOR }), []);
+});
+
+test('tiles dropping into a new group pop again as the next step of a chain', () => {
+    // Three first-colour tiles round a hexagon wait for a fourth; the second-colour stack
+    // on one of them lands next to a lone second-colour tile once they pop
+    const face = faceOfShape('hex');
+    const [n1, n2, n3] = topology.faces[face].neighbors;
+    const side = topology.faces[n1].neighbors.find(faceId => ![face, n2, n3].includes(faceId));
+    const game = gameWithTiles([
+        { faceId: n1, color: first }, { faceId: n1, color: second }, { faceId: n1, color: second }, { faceId: n1, color: second },
+        { faceId: n2, color: first },
+        { faceId: n3, color: first },
+        { faceId: side, color: second }
+    ], { config: { clearRule: 'colors', colorCount: 1 } });
+    const pops = [];
+    game.on('colorsPopped', event => pops.push(event));
+    dropOn(game, face);
+    assert.deepEqual(pops.map(pop => [pop.chain, pop.tiles.length]), [[1, 4], [2, 4]]);
+    assert.ok(pops[1].award.chain > 0, 'the second step pays a chain bonus');
+    assert.equal(game.stats.maxChain, 2);
+    assert.equal(game.activeTiles.length, 0);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIFFICULTIES, difficultyOptions, levelForScore } from '../core/difficulty.js';
+import { SpheretrisGame } from '../core/SpheretrisGame.js';
+import { topology } from './helpers.js';
+
+test('without thresholds a level lasts pointsPerLevel points', () => {
+    const curve = { pointsPerLevel: 1000 };
+    assert.equal(levelForScore(0, curve), 1);
+    assert.equal(levelForScore(999, curve), 1);
+    assert.equal(levelForScore(1000, curve), 2);
+    assert.equal(levelForScore(4500, curve), 5);
+});
+
+test('thresholds set the early levels, then pointsPerLevel takes over from the last one', () => {
+    const curve = { levelThresholds: [500, 1200, 2000, 3000], pointsPerLevel: 1500 };
+    assert.equal(levelForScore(499, curve), 1);
+    assert.equal(levelForScore(500, curve), 2);
+    assert.equal(levelForScore(1999, curve), 3);
+    assert.equal(levelForScore(3000, curve), 5);
+    assert.equal(levelForScore(4499, curve), 5);
+    assert.equal(levelForScore(4500, curve), 6);
+});
+
+test('a preset gives its randomizer and a config that records the choice', () => {
+    const { randomizer, config } = difficultyOptions('hard');
+    assert.equal(randomizer, 'weighted');
+    assert.equal(config.difficulty, 'hard');
+    assert.equal(config.lockDelay, 0.25);
+    assert.deepEqual(difficultyOptions('normal'), { randomizer: 'random', config: { difficulty: 'normal' } });
+});
+
+test('a preset config is a copy the game can change freely', () => {
+    const { config } = difficultyOptions('hard');
+    config.levelThresholds.push(9999);
+    config.pieceWeights.hex = 0;
+    assert.deepEqual(DIFFICULTIES.hard.config.levelThresholds, [500, 1200, 2000, 3000]);
+    assert.equal(DIFFICULTIES.hard.config.pieceWeights.hex, 10);
+});
+
+test('a custom difficulty keeps known fields, clamped to their ranges', () => {
+    const { config } = difficultyOptions('custom', {
+        penalty: 9000,
+        lockDelay: -1,
+        baseFallSpeed: 0.5,
+        ghost: false,
+        spawnHeight: 'high',
+        topOut: false
+    });
+    assert.deepEqual(config, { penalty: 500, lockDelay: 0, baseFallSpeed: 0.5, ghost: false, difficulty: 'custom' });
+});
+
+test('an unknown difficulty is an error', () => {
+    assert.throws(() => difficultyOptions('nightmare'), /Unknown difficulty "nightmare"/);
+});
+
+test('a game started on a preset plays by its numbers', () => {
+    const { randomizer, config } = difficultyOptions('easy');
+    const game = new SpheretrisGame({ topology, seed: 1, randomizer, config });
+    assert.equal(game.randomizer, 'bag');
+    assert.equal(game.config.penalty, 5);
+    assert.equal(game.config.difficulty, 'easy');
+    assert.equal(game.level, 1);
+});
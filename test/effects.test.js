@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BURST_KINDS, effectSettings, burstParticles, rejectFade } from '../core/effects.js';
+
+test('a rejected piece fades over the reject delay, and only flashes without reduced motion', () => {
+    assert.deepEqual(rejectFade(0.6, effectSettings()), { duration: 0.6, flashColor: 0xff0000 });
+    assert.deepEqual(rejectFade(0.25, effectSettings({ reducedMotion: true })), { duration: 0.25, flashColor: null });
+});
+
+// A fixed sequence instead of Math.random, so counts and ranges can be checked exactly
+function sequence(values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+test('quality presets scale particles, cap the pool and switch the shockwave', () => {
+    assert.deepEqual(effectSettings({ quality: 'off' }), { quality: 'off', reducedMotion: false, particles: 0, capacity: 0, speed: 1, gravity: 1, shockwave: false });
+    assert.deepEqual(effectSettings({ quality: 'low' }), { quality: 'low', reducedMotion: false, particles: 0.4, capacity: 1024, speed: 1, gravity: 1, shockwave: true });
+    assert.deepEqual(effectSettings(), { quality: 'high', reducedMotion: false, particles: 1, capacity: 4096, speed: 1, gravity: 1, shockwave: true });
+    assert.throws(() => effectSettings({ quality: 'ultra' }), /Unknown effect quality "ultra"/);
+});
+
+test('reduced motion keeps a quarter of the particles, slow and without gravity, and no shockwave', () => {
+    const settings = effectSettings({ quality: 'high', reducedMotion: true });
+    assert.equal(settings.particles, 0.25);
+    assert.equal(settings.speed, 0.15);
+    assert.equal(settings.gravity, 0);
+    assert.equal(settings.shockwave, false);
+});
+
+test('a burst has its kind\'s particle count for the quality', () => {
+    const origin = [0, 1, 0];
+    const normal = [0, 1, 0];
+    const count = quality => burstParticles('clear', { origin, normal, settings: effectSettings({ quality }) }).length;
+    assert.equal(count('high'), BURST_KINDS.clear.count);
+    assert.equal(count('low'), Math.round(BURST_KINDS.clear.count * 0.4));
+    assert.equal(count('off'), 0);
+    assert.equal(burstParticles('clear', { origin, normal, settings: effectSettings({ reducedMotion: true }) }).length,
+        Math.round(BURST_KINDS.clear.count * 0.25));
+    assert.throws(() => burstParticles('sparkle', { origin, normal }), /Unknown burst "sparkle"/);
+});
+
+test('burst particles start at the origin and fly off the surface within their kind\'s ranges', () => {
+    const origin = [0.3, 0.8, -0.5];
+    const normal = [0, 0, 1];
+    for (const [kind, burst] of Object.entries(BURST_KINDS)) {
+        const particles = burstParticles(kind, { origin, normal, color: 0x123456, random: sequence([0, 0.25, 0.5, 0.75, 0.999]) });
+        for (const particle of particles) {
+            assert.deepEqual(particle.position, origin);
+            const speed = Math.hypot(...particle.velocity);
+            assert.ok(speed >= burst.speed[0] - 1e-9 && speed <= burst.speed[1] + 1e-9, `${kind} speed ${speed}`);
+            assert.ok(particle.velocity[2] >= -1e-9, `${kind} flies off the surface`);
+            assert.ok(particle.life >= burst.life[0] && particle.life <= burst.life[1]);
+            assert.equal(particle.color, burst.color ?? 0x123456);
+            assert.equal(particle.gravity, burst.gravity);
+            assert.equal(particle.size, burst.size);
+        }
+    }
+});
+
+test('reduced motion slows the particles and drops their gravity', () => {
+    const settings = effectSettings({ reducedMotion: true });
+    const [particle] = burstParticles('shatter', { origin: [0, 0, 1], normal: [0, 0, 1], settings, random: sequence([0.5]) });
+    const full = burstParticles('shatter', { origin: [0, 0, 1], normal: [0, 0, 1], random: sequence([0.5]) })[0];
+    assert.ok(particle.gravity === 0);
+    assert.ok(Math.abs(Math.hypot(...particle.velocity) - Math.hypot(...full.velocity) * 0.15) < 1e-9);
+});
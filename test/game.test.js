@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpheretrisGame } from '../core/SpheretrisGame.js';
+import { topology, dropOn, playPieces, gameWithTiles, faceOfShape, stepUntilPiece } from './helpers.js';
+
+test('the same seed deals the same pieces', () => {
+    const pieces = seed => {
+        const game = new SpheretrisGame({ topology, seed, config: { previewCount: 6 } });
+        return game.queue.map(piece => piece.type).join(',');
+    };
+    assert.equal(pieces(42), pieces(42));
+    assert.notEqual(pieces(42), pieces(43));
+});
+
+test('a piece lands on top of the stack it is dropped on', () => {
+    const faceId = faceOfShape('hex');
+    const game = gameWithTiles([faceId], { pieces: ['hex'] });
+    dropOn(game, faceId);
+    const stack = game.occupiedFaces.get(faceId);
+    assert.equal(stack.length, 2);
+    assert.deepEqual(stack.map(tile => tile.stackIndex), [0, 1]);
+    assert.equal(game.stats.piecesPlaced, 1);
+});
+
+test('filling the last face of a shell clears it and the tiles above drop a shell', () => {
+    const gapId = faceOfShape('hex');
+    const others = topology.faces.map(face => face.id).filter(faceId => faceId !== gapId);
+    const game = gameWithTiles([...others, others[0]], { pieces: ['hex'] });
+    const cleared = [];
+    game.on('layersCleared', ({ layers }) => cleared.push(...layers));
+    dropOn(game, gapId);
+    assert.equal(cleared.length, 1);
+    assert.equal(cleared[0].shell, 1);
+    assert.equal(cleared[0].tiles.length, 32);
+    assert.equal(game.stats.layersCleared, 1);
+    assert.deepEqual(game.getState().tiles.map(tile => [tile.faceId, tile.stackIndex]), [[others[0], 0]]);
+});
+
+test('a shape dropped on the wrong face is turned away', () => {
+    const game = gameWithTiles([], { pieces: ['pent', 'pent'] });
+    dropOn(game, faceOfShape('hex'));
+    assert.equal(game.activeTiles.length, 0);
+    assert.equal(game.stats.mismatches, 1);
+});
+
+test('a rejected piece reports the penalty it actually cost', () => {
+    const game = gameWithTiles([], { pieces: ['pent', 'pent'], config: { penalty: 15 } });
+    game.score = 10;
+    const rejects = [];
+    game.on('reject', event => rejects.push(event));
+    dropOn(game, faceOfShape('hex'));
+    assert.equal(rejects[0].penalty, 10);
+    assert.equal(rejects[0].reason, 'mismatch');
+    assert.deepEqual([rejects[0].cell.shape, rejects[0].cell.surfaceShape], ['pent', 'hex']);
+    assert.equal(game.score, 0);
+    assert.equal(game.stats.penaltyPoints, 10);
+});
+
+test('a game played the same way ends up the same', () => {
+    const play = () => {
+        const game = new SpheretrisGame({ topology, seed: 7 });
+        game.spawn();
+        playPieces(game, 40);
+        return game.getState();
+    };
+    assert.deepEqual(play(), play());
+});
+
+test('tick stops on the step beforeStep turns down and drops the rest of the time', () => {
+    const gapId = faceOfShape('hex');
+    const others = topology.faces.map(face => face.id).filter(faceId => faceId !== gapId);
+    const game = gameWithTiles(others, { pieces: ['hex', 'hex'] });
+    stepUntilPiece(game);
+    game.snapToFace(gapId);
+    game.setSoftDrop(true);
+    // Like the page: once a clear is playing out, no further steps until it has settled
+    let settling = false;
+    game.on('layersCleared', () => { settling = true; });
+    const beforeStep = () => !settling;
+    game.tick(10, beforeStep);
+    assert.ok(settling, 'the piece fell in and cleared the shell');
+    const stepsAtClear = game.stepCount;
+    const spawned = game.current.distance;
+    assert.equal(game.interpolationAlpha, 0);
+    game.tick(1, beforeStep);
+    assert.equal(game.stepCount, stepsAtClear);
+    assert.equal(game.current.distance, spawned, 'the next piece waits for the clear');
+    settling = false;
+    game.tick(0.5, beforeStep);
+    assert.equal(game.stepCount, stepsAtClear + 30);
+    assert.ok(game.current.distance < spawned, 'the next piece falls once the clear has settled');
+});
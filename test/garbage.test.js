@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GARBAGE_TILE_COLOR } from '../core/SpheretrisGame.js';
+import { topology, gameWithTiles } from './helpers.js';
+
+const allFaces = topology.faces.map(face => face.id);
+
+// Steps until the next garbage layer is due, with garbageInterval at three steps
+function stepToGarbage(game) {
+    for (let i = 0; i < 3; i++) game.step();
+}
+
+test('a garbage layer pushes every stack out but the ones under its gaps', () => {
+    const game = gameWithTiles([0, 1, 1], { config: { garbageInterval: 0.05, garbageGaps: 2 } });
+    const layers = [];
+    game.on('garbage', event => layers.push(event));
+    stepToGarbage(game);
+    assert.equal(layers.length, 1);
+    const { gaps, tiles } = layers[0];
+    assert.equal(gaps.length, 2);
+    assert.equal(tiles.length, topology.faces.length - 2);
+    assert.ok(gaps.every(faceId => !game.occupiedFaces.has(faceId)), 'gaps go on empty faces while there are any');
+    assert.deepEqual(game.occupiedFaces.get(1).map(tile => tile.color === GARBAGE_TILE_COLOR), [true, false, false]);
+    assert.deepEqual({ ...game.garbage }, { pieces: 0, steps: 0, held: false });
+});
+
+test('a garbage layer still rises when every face is occupied', () => {
+    const game = gameWithTiles(allFaces, { config: { garbageInterval: 0.05, garbageGaps: 2 } });
+    const layers = [];
+    game.on('garbage', event => layers.push(event));
+    stepToGarbage(game);
+    assert.equal(layers.length, 1);
+    const { gaps } = layers[0];
+    assert.equal(gaps.length, 2);
+    for (const face of topology.faces) {
+        assert.equal(game.occupiedFaces.get(face.id).length, gaps.includes(face.id) ? 1 : 2);
+    }
+    assert.equal(game.stats.garbageLayers, 1);
+    assert.equal(game.garbageProgress, 0);
+});
+
+test('without top-out a layer that would reach the top waits, still due', () => {
+    const game = gameWithTiles([0, 0, 0], { config: { garbageInterval: 0.05, topOut: false, topOutShell: 4 } });
+    const held = [];
+    game.on('garbageHeld', event => held.push(event));
+    game.on('garbage', () => assert.fail('the layer should be held back'));
+    for (let i = 0; i < 10; i++) game.step();
+    assert.equal(held.length, 1);
+    assert.equal(game.garbage.held, true);
+    assert.equal(game.garbageProgress, 1);
+    assert.equal(game.isGameOver, false);
+});
+
+test('a tall stack over a gap is not pushed, so it cannot top out', () => {
+    // Every face holds a tile and one holds a stack a tile short of the top, so the gaps
+    // have to go on occupied faces; the push only ends the game when they miss that stack
+    const tall = allFaces[0];
+    const outcomes = { spared: 0, toppedOut: 0 };
+    for (let seed = 1; seed <= 60; seed++) {
+        const game = gameWithTiles([...allFaces, tall, tall], { seed, config: { garbageInterval: 0.05, garbageGaps: 2, topOutShell: 4 } });
+        let gaps = null;
+        game.on('garbage', event => { gaps = event.gaps; });
+        stepToGarbage(game);
+        assert.ok(gaps, 'the layer rose');
+        if (gaps.includes(tall)) {
+            assert.equal(game.isGameOver, false);
+            assert.equal(game.occupiedFaces.get(tall).length, 3);
+            outcomes.spared++;
+        } else {
+            assert.equal(game.isGameOver, true);
+            outcomes.toppedOut++;
+        }
+    }
+    assert.ok(outcomes.spared > 0 && outcomes.toppedOut > 0, JSON.stringify(outcomes));
+});
+
+test('without top-out a tall stack over a gap does not hold the layer back', () => {
+    // 31 gaps leave a single face to push - the layer only waits when that is the tall one
+    const tall = allFaces[0];
+    let risen = 0;
+    for (let seed = 1; seed <= 20; seed++) {
+        const game = gameWithTiles([...allFaces, tall, tall], { seed, config: { garbageInterval: 0.05, garbageGaps: 31, topOutShell: 4, topOut: false } });
+        let gaps = null;
+        game.on('garbage', event => { gaps = event.gaps; });
+        stepToGarbage(game);
+        if (gaps) {
+            assert.ok(gaps.includes(tall));
+            risen++;
+        }
+    }
+    assert.ok(risen > 0);
+});
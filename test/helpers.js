@@ -0,0 +1,59 @@
+// SphereTris - test/helpers.js
+// Plays games the way a player would, through the public commands only, so everything a
+// test does is in the input log and replays the same.
+
+import { SpheretrisGame } from '../core/SpheretrisGame.js';
+import { createSoccerBallTopology } from '../core/topology.js';
+
+export const topology = createSoccerBallTopology();
+
+// Run steps until there is a falling piece (after a spawn delay or a clear), at most a second of game time
+export function stepUntilPiece(game) {
+    for (let i = 0; i < 60 && !game.current && !game.isGameOver; i++) game.step();
+    return game.current;
+}
+
+// Turn the ball so faceId is under the falling piece and drop it there
+export function dropOn(game, faceId) {
+    if (!stepUntilPiece(game)) return;
+    game.snapToFace(faceId);
+    while (game.snap && !game.isGameOver) game.step();
+    game.drop();
+}
+
+// Drop every piece on the lowest face it fits, count times - a simple deterministic player
+export function playPieces(game, count) {
+    for (let i = 0; i < count && !game.isGameOver; i++) {
+        if (!stepUntilPiece(game)) return;
+        const shape = game.current.shape;
+        let best = null;
+        for (const face of game.topology.faces) {
+            const stack = game.occupiedFaces.get(face.id) || [];
+            const top = stack.length > 0 ? stack[stack.length - 1].shape : face.shape;
+            if (top === shape && (!best || stack.length < best.height)) best = { faceId: face.id, height: stack.length };
+        }
+        dropOn(game, best ? best.faceId : 0);
+    }
+}
+
+// A started game with no tiles but the ones listed (a faceId or { faceId, color } per tile,
+// stacked in order)
+export function gameWithTiles(tiles, { pieces = ['hex'], config = {}, seed = 1 } = {}) {
+    const puzzle = {
+        version: 1,
+        id: 'test',
+        name: 'Test',
+        tiles: tiles.map(tile => (typeof tile === 'number' ? { faceId: tile } : tile))
+            .map(tile => ({ ...tile, shape: topology.faces[tile.faceId].shape })),
+        pieces,
+        goal: { type: 'layers', count: 99 }
+    };
+    const game = new SpheretrisGame({ topology, seed, config: { mode: 'puzzle', puzzle, ...config } });
+    game.spawn();
+    return game;
+}
+
+// A face with the given shape
+export function faceOfShape(shape) {
+    return topology.faces.find(face => face.shape === shape).id;
+}
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Leaderboard, LEADERBOARD_VERSION } from '../core/leaderboard.js';
+
+const stats = { layersCleared: 1, piecesPlaced: 10, mismatches: 0, penaltyPoints: 0 };
+
+function entry(id, fields = {}) {
+    return { id, mode: 'classic', seed: 1, score: 100, date: '2026-01-01T00:00:00.000Z', name: 'x', ...fields };
+}
+
+test('boards rank by score, or by time for timed modes', () => {
+    const board = new Leaderboard();
+    board.addEntry({ mode: 'classic', seed: 1, name: 'low', score: 100, level: 1, stats });
+    board.addEntry({ mode: 'classic', seed: 1, name: 'high', score: 500, level: 2, stats });
+    board.addEntry({ mode: 'sprint', seed: 1, name: 'slow', score: 900, level: 1, stats, time: 90 });
+    board.addEntry({ mode: 'sprint', seed: 1, name: 'fast', score: 100, level: 1, stats, time: 60 });
+    assert.deepEqual(board.getEntries({ mode: 'classic', seed: 1 }).map(saved => saved.name), ['high', 'low']);
+    assert.deepEqual(board.getEntries({ mode: 'sprint', seed: 1 }).map(saved => saved.name), ['fast', 'slow']);
+    assert.equal(board.addEntry({ mode: 'classic', seed: 1, name: 'none', score: 0, level: 1, stats }), null);
+});
+
+test('an import adds the entries it does not have and sorts them in', () => {
+    const board = new Leaderboard();
+    board.importJSON({ version: LEADERBOARD_VERSION, entries: [entry('a')] });
+    const added = board.importJSON({ version: LEADERBOARD_VERSION, entries: [entry('a'), entry('b', { score: 300, date: '2026-02-01T00:00:00.000Z' })] });
+    assert.equal(added, 1);
+    assert.deepEqual(board.getEntries({ mode: 'classic' }).map(saved => saved.id), ['b', 'a']);
+});
+
+test('an import with an entry that has no usable date is turned down and leaves the board working', () => {
+    const board = new Leaderboard();
+    board.importJSON({ version: LEADERBOARD_VERSION, entries: [entry('a')] });
+    const undated = entry('b');
+    delete undated.date;
+    assert.throws(() => board.importJSON({ version: LEADERBOARD_VERSION, entries: [undated] }), /Malformed leaderboard entry/);
+    assert.throws(() => board.importJSON({ version: LEADERBOARD_VERSION, entries: [entry('c', { date: 12 })] }), /Malformed/);
+    assert.throws(() => board.importJSON({ version: LEADERBOARD_VERSION, entries: [entry('d', { date: 'yesterday' })] }), /Malformed/);
+    assert.deepEqual(board.getEntries({ mode: 'classic' }).map(saved => saved.id), ['a']);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { topology, gameWithTiles, stepUntilPiece } from './helpers.js';
+
+const hexFaces = topology.faces.filter(face => face.shape === 'hex').map(face => face.id);
+
+// A hex piece aimed at faceId and soft-dropped until it touches the surface
+function restingOn(faceId, config = {}) {
+    const game = gameWithTiles([], { pieces: ['hex'], config });
+    stepUntilPiece(game);
+    game.snapToFace(faceId);
+    while (game.snap) game.step();
+    game.setSoftDrop(true);
+    while (!game.current.resting) game.step();
+    return game;
+}
+
+test('a resting piece lands only once the lock delay has run out', () => {
+    const game = restingOn(hexFaces[0], { lockDelay: 0.5 });
+    const landed = [];
+    game.on('land', event => landed.push(event));
+    let steps = 1; // The step that brought it to rest already counted
+    while (landed.length === 0) {
+        assert.ok(game.current.resting);
+        game.step();
+        steps++;
+    }
+    assert.equal(steps, 30);
+    assert.equal(landed[0].tile.faceId, hexFaces[0]);
+});
+
+test('turning the ball during the lock delay re-aims the piece', () => {
+    const game = restingOn(hexFaces[0], { lockDelay: 1 });
+    game.snapToFace(hexFaces[1]);
+    while (game.current) game.step();
+    assert.equal(game.occupiedFaces.has(hexFaces[0]), false);
+    assert.equal(game.occupiedFaces.get(hexFaces[1]).length, 1);
+});
+
+test('moving a resting piece over a taller stack lifts it onto the stack', () => {
+    const game = gameWithTiles([hexFaces[1], hexFaces[1]], { pieces: ['hex'], config: { lockDelay: 1 } });
+    stepUntilPiece(game);
+    game.snapToFace(hexFaces[0]);
+    while (game.snap) game.step();
+    game.setSoftDrop(true);
+    while (!game.current.resting) game.step();
+    const restingDistance = game.current.distance;
+    game.snapToFace(hexFaces[1]);
+    while (game.snap) game.step();
+    assert.ok(game.current.distance > restingDistance);
+    while (game.current) game.step();
+    assert.equal(game.occupiedFaces.get(hexFaces[1]).length, 3);
+});
+
+test('a soft drop pays its points per unit fallen when the piece lands', () => {
+    const game = restingOn(hexFaces[0], { softDropPoints: 5 });
+    const distance = game.current.softDropDistance;
+    assert.ok(distance > 0);
+    while (game.current) game.step();
+    const points = Math.floor(distance * 5);
+    assert.equal(game.score, points);
+    assert.equal(game.scoring.breakdown.softDrop, points);
+});
+
+test('a piece that only falls at the normal speed earns nothing for it', () => {
+    const game = gameWithTiles([], { pieces: ['hex'] });
+    stepUntilPiece(game);
+    game.snapToFace(hexFaces[0]);
+    while (game.current) game.step();
+    assert.equal(game.score, 0);
+    assert.equal(game.scoring.breakdown.softDrop, 0);
+});
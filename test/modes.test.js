@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpheretrisGame } from '../core/SpheretrisGame.js';
+import { modeConfig, pressureConfig, leaderboardMode, modeRanking } from '../core/modes.js';
+import { topology, gameWithTiles, dropOn, faceOfShape } from './helpers.js';
+
+const hexFace = faceOfShape('hex');
+
+// Every face but the one left open, three shells deep: each hex dropped there clears a layer
+const threeOpenShells = [1, 2, 3].flatMap(() => topology.faces.map(face => face.id).filter(faceId => faceId !== hexFace));
+
+function gameOverOf(game) {
+    let result = null;
+    game.on('gameOver', event => { result = event; });
+    return () => result;
+}
+
+test('modeConfig records the mode and refuses unknown ones', () => {
+    assert.deepEqual(modeConfig('sprint'), { goalLayers: 3, mode: 'sprint' });
+    assert.throws(() => modeConfig('marathon'), /Unknown game mode "marathon"/);
+    assert.throws(() => modeConfig('puzzle'), /Puzzle mode needs a puzzle/);
+    assert.throws(() => pressureConfig('always'), /Unknown pressure "always"/);
+});
+
+test('puzzle mode keeps its own copy of the puzzle', () => {
+    const puzzle = { id: 'p', tiles: [] };
+    const config = modeConfig('puzzle', { puzzle });
+    puzzle.tiles.push({ faceId: 0 });
+    assert.deepEqual(config.puzzle, { id: 'p', tiles: [] });
+});
+
+test('sprint is won once the goal layers are cleared', () => {
+    const game = gameWithTiles(threeOpenShells, { pieces: ['hex', 'hex', 'hex', 'hex'], config: modeConfig('sprint') });
+    const result = gameOverOf(game);
+    for (let i = 0; i < 3; i++) {
+        assert.equal(result(), null);
+        dropOn(game, hexFace);
+    }
+    assert.equal(game.stats.layersCleared, 3);
+    assert.equal(result().won, true);
+    assert.equal(result().reason, 'goal');
+});
+
+test('ultra ends, as a win, when the time runs out', () => {
+    const game = new SpheretrisGame({ topology, seed: 1, config: { ...modeConfig('ultra'), timeLimit: 2 } });
+    game.spawn();
+    const result = gameOverOf(game);
+    for (let i = 0; i < 119; i++) game.step();
+    assert.equal(result(), null);
+    assert.ok(game.timeLeft > 0);
+    game.step();
+    assert.deepEqual([result().won, result().reason], [true, 'timeUp']);
+    assert.equal(game.timeLeft, 0);
+});
+
+test('a puzzle that runs out of pieces before its goal is lost', () => {
+    const game = gameWithTiles([], { pieces: ['hex'] });
+    const result = gameOverOf(game);
+    dropOn(game, hexFace);
+    for (let i = 0; i < 60 && !game.isGameOver; i++) game.step();
+    assert.deepEqual([result().won, result().reason], [false, 'outOfPieces']);
+});
+
+test('zen turns away a piece that would top out instead of ending the game', () => {
+    const tall = Array(7).fill(hexFace);
+    const game = gameWithTiles(tall, { pieces: ['hex', 'hex'], config: modeConfig('zen') });
+    const rejects = [];
+    game.on('reject', event => rejects.push(event));
+    dropOn(game, hexFace);
+    assert.equal(game.isGameOver, false);
+    assert.equal(rejects.length, 1);
+    assert.deepEqual([rejects[0].reason, rejects[0].penalty, rejects[0].cell], ['topOut', 0, null]);
+    assert.equal(game.occupiedFaces.get(hexFace).length, 7);
+});
+
+test('the same drop ends a classic game', () => {
+    const tall = Array(7).fill(hexFace);
+    const game = gameWithTiles(tall, { pieces: ['hex', 'hex'], config: modeConfig('classic') });
+    const result = gameOverOf(game);
+    dropOn(game, hexFace);
+    assert.deepEqual([result().won, result().reason], [false, 'topOut']);
+});
+
+test('each mode variant gets its own leaderboard and ranking', () => {
+    assert.equal(leaderboardMode({ mode: 'classic', pressure: 'off', clearRule: 'shells' }), 'classic');
+    assert.equal(leaderboardMode({ mode: 'ultra', pressure: 'timed', clearRule: 'rings' }), 'ultra+timed+rings');
+    assert.equal(leaderboardMode({ mode: 'puzzle', puzzle: { id: 'starter-1' }, pressure: 'pieces' }), 'puzzle:starter-1');
+    assert.equal(modeRanking('sprint+pieces'), 'time');
+    assert.equal(modeRanking('puzzle:starter-1'), 'time');
+    assert.equal(modeRanking('zen+colors'), 'score');
+    assert.equal(modeRanking('gone'), 'score');
+});
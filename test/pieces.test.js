@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIECE_TYPES, pieceCells } from '../core/pieces.js';
+import { topology, gameWithTiles, stepUntilPiece } from './helpers.js';
+
+const neighbours = faceId => new Set(topology.faces[faceId].neighbors);
+
+// The cells a fresh game's first piece would cover if dropped on faceId
+function targetOn(game, faceId) {
+    stepUntilPiece(game);
+    game.snapToFace(faceId);
+    while (game.snap) game.step();
+    return game.getLandingTarget();
+}
+
+// A hex face where an H-H-H piece fits whole, and one where it does not
+function findFaces() {
+    let fit = null;
+    let misfit = null;
+    for (const face of topology.faces.filter(face => face.shape === 'hex')) {
+        const target = targetOn(gameWithTiles([], { pieces: ['HHH'] }), face.id);
+        if (target.matches && fit === null) fit = face.id;
+        if (!target.matches && misfit === null) misfit = face.id;
+    }
+    return { fit, misfit };
+}
+
+test('pieceCells puts the anchor first and each arm on its own neighbouring face', () => {
+    const anchor = topology.faces.find(face => face.shape === 'pent');
+    const cells = pieceCells(topology, 'HPH', 0, anchor, [0, 0, 0, 1]);
+    assert.equal(cells.length, 1 + PIECE_TYPES.HPH.arms.length);
+    assert.equal(cells[0].face, anchor);
+    assert.deepEqual(cells.map(cell => cell.shape), ['pent', 'hex', 'hex']);
+    const armFaces = cells.slice(1).map(cell => cell.face.id);
+    assert.equal(new Set(armFaces).size, armFaces.length);
+    assert.ok(armFaces.every(faceId => neighbours(anchor.id).has(faceId)));
+});
+
+test('a compound piece that fits lands one tile per cell', () => {
+    const { fit } = findFaces();
+    const game = gameWithTiles([], { pieces: ['HHH'] });
+    const target = targetOn(game, fit);
+    const landed = [];
+    game.on('land', event => landed.push(event));
+    game.drop();
+    game.step();
+    assert.equal(landed.length, 1);
+    assert.deepEqual(landed[0].tiles.map(tile => tile.faceId), target.cells.map(cell => cell.faceId));
+    for (const cell of target.cells) assert.equal(game.occupiedFaces.get(cell.faceId).length, 1);
+    assert.equal(game.stats.piecesPlaced, 1);
+});
+
+test('a compound piece with one mismatched cell is turned away whole', () => {
+    const { misfit } = findFaces();
+    const game = gameWithTiles([], { pieces: ['HHH'], config: { penalty: 15 } });
+    const target = targetOn(game, misfit);
+    const rejects = [];
+    game.on('reject', event => rejects.push(event));
+    game.drop();
+    game.step();
+    assert.equal(rejects.length, 1);
+    const { reason, cell, faceId } = rejects[0];
+    assert.equal(reason, 'mismatch');
+    assert.equal(faceId, misfit);
+    assert.equal(cell.matches, false);
+    assert.notEqual(cell.faceId, misfit, 'the anchor fits - an arm is what misses');
+    assert.ok(target.cells.some(other => other.faceId === cell.faceId));
+    assert.equal(game.occupiedFaces.size, 0, 'no cell of a rejected piece stays on the ball');
+    assert.equal(game.stats.mismatches, 1);
+});
+
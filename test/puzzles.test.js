@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validatePuzzle, parseTileColor, describeGoal, PUZZLE_TILE_COLOR } from '../core/puzzles.js';
+import { LevelEditor, MAX_EDITOR_STACK_HEIGHT } from '../core/levelEditor.js';
+import { SpheretrisGame } from '../core/SpheretrisGame.js';
+import { topology, faceOfShape } from './helpers.js';
+
+const hexFace = faceOfShape('hex');
+const pentFace = faceOfShape('pent');
+
+const readLevel = file => JSON.parse(readFileSync(new URL(`../levels/${file}`, import.meta.url), 'utf8'));
+
+const puzzle = (overrides = {}) => ({
+    version: 1,
+    id: 'sample',
+    name: 'Sample',
+    tiles: [{ faceId: hexFace, shape: 'hex' }],
+    pieces: ['hex'],
+    goal: { type: 'layers', count: 1 },
+    ...overrides
+});
+
+test('validatePuzzle explains what is wrong with a puzzle', () => {
+    const cases = [
+        [puzzle({ version: 2 }), /Unsupported puzzle version 2/],
+        [puzzle({ id: 'Not OK' }), /needs an id of lowercase letters/],
+        [puzzle({ name: ' ' }), /"sample" has no name/],
+        [puzzle({ tiles: [{ faceId: 999, shape: 'hex' }] }), /unknown face 999/],
+        [puzzle({ tiles: [{ faceId: hexFace, shape: 'pent' }] }), new RegExp(`puts a pent tile on hex face ${hexFace}`)],
+        [puzzle({ tiles: [{ faceId: hexFace, shape: 'hex', color: 'red' }] }), /unreadable colour "red"/],
+        [puzzle({ pieces: [] }), /has no pieces/],
+        [puzzle({ pieces: ['hex', 'HHHH'] }), /deals unknown piece "HHHH"/],
+        [puzzle({ goal: { type: 'score' } }), /needs a goal of type layers or clearBoard/],
+        [puzzle({ goal: { type: 'layers', count: 0 } }), /needs a layer count of at least 1/],
+        [puzzle({ tiles: [], goal: { type: 'clearBoard' } }), /has nothing to clear/]
+    ];
+    for (const [data, message] of cases) assert.throws(() => validatePuzzle(data, topology), message);
+    assert.equal(validatePuzzle(puzzle(), topology).id, 'sample');
+});
+
+test('tile colours are #rrggbb strings or colour numbers', () => {
+    assert.equal(parseTileColor('#00ff80'), 0x00ff80);
+    assert.equal(parseTileColor(0x123456), 0x123456);
+    assert.equal(parseTileColor('00ff80'), null);
+    assert.equal(parseTileColor(0x1000000), null);
+    assert.equal(describeGoal({ type: 'layers', count: 1 }), 'Clear 1 layer');
+    assert.equal(describeGoal({ type: 'clearBoard' }), 'Empty the ball');
+});
+
+test('every shipped level is a valid puzzle', () => {
+    for (const file of readLevel('index.json')) {
+        assert.doesNotThrow(() => validatePuzzle(readLevel(file), topology), file);
+    }
+});
+
+test('the editor stacks tiles with their face shape, up to the height cap', () => {
+    const editor = new LevelEditor(topology);
+    for (let i = 0; i < MAX_EDITOR_STACK_HEIGHT; i++) assert.equal(editor.addTile(pentFace), true);
+    assert.equal(editor.addTile(pentFace), false);
+    assert.equal(editor.stackHeight(pentFace), MAX_EDITOR_STACK_HEIGHT);
+    assert.ok(editor.toDraft().tiles.every(tile => tile.shape === 'pent'));
+    assert.equal(editor.removeTile(pentFace), true);
+    assert.equal(editor.stackHeight(pentFace), MAX_EDITOR_STACK_HEIGHT - 1);
+    assert.equal(editor.removeTile(hexFace), false);
+    assert.throws(() => editor.addTile(999), /Unknown face 999/);
+    assert.throws(() => editor.addTile(hexFace, 'blue'), /Unreadable tile colour "blue"/);
+    assert.throws(() => editor.setPieces(['hex', 'HHHH']), /Unknown piece "HHHH"/);
+});
+
+test('an edited level becomes a puzzle that plays with its board and pieces', () => {
+    const editor = new LevelEditor(topology);
+    editor.addTile(hexFace, '#ff0000');
+    editor.addTile(pentFace);
+    editor.addTile(hexFace);
+    editor.setPieces(['HPH', 'hex']);
+    editor.setGoal({ type: 'clearBoard', count: 3 });
+    editor.setInfo({ id: 'edited', name: 'Edited' });
+    const result = editor.toPuzzle();
+    assert.equal(result.$schema, 'level.schema.json');
+    assert.deepEqual(result.goal, { type: 'clearBoard' });
+    assert.deepEqual(result.tiles.map(tile => tile.faceId), [hexFace, hexFace, pentFace].sort((a, b) => a - b));
+
+    const game = new SpheretrisGame({ topology, seed: 1, config: { mode: 'puzzle', puzzle: result } });
+    assert.deepEqual(game.occupiedFaces.get(hexFace).map(tile => tile.color), [0xff0000, PUZZLE_TILE_COLOR]);
+    assert.equal(game.occupiedFaces.get(pentFace).length, 1);
+    game.spawn();
+    assert.equal(game.current.type, 'HPH');
+});
+
+test('a level opened in the editor comes back out unchanged', () => {
+    for (const file of readLevel('index.json')) {
+        const level = readLevel(file);
+        const reopened = new LevelEditor(topology, level).toPuzzle();
+        assert.deepEqual(reopened, { $schema: 'level.schema.json', ...level }, file);
+    }
+});
+
+test('the editor refuses an invalid level and toPuzzle refuses an unplayable one', () => {
+    assert.throws(() => new LevelEditor(topology, puzzle({ pieces: [] })), /has no pieces/);
+    const editor = new LevelEditor(topology);
+    editor.setGoal({ type: 'clearBoard' });
+    assert.throws(() => editor.toPuzzle(), /has nothing to clear/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpheretrisGame } from '../core/SpheretrisGame.js';
+import { createReplay, validateReplay, ReplayPlayer } from '../core/replay.js';
+import { topology, playPieces } from './helpers.js';
+
+function playedGame(config = {}) {
+    const game = new SpheretrisGame({ topology, seed: 11, config });
+    game.spawn();
+    playPieces(game, 30);
+    return game;
+}
+
+test('a replay plays back to the same board and score', () => {
+    const game = playedGame();
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(createReplay(game))), { topology });
+    player.seek(game.stepCount);
+    assert.deepEqual(player.game.getState(), game.getState());
+});
+
+test('seeking back and forth gives the same game as playing through', () => {
+    const game = playedGame();
+    const player = new ReplayPlayer(createReplay(game), { topology });
+    player.seek(Math.floor(game.stepCount / 2));
+    const halfway = player.game.getState();
+    player.seek(game.stepCount);
+    player.seek(Math.floor(game.stepCount / 2));
+    assert.deepEqual(player.game.getState(), halfway);
+});
+
+test('replays from before layers became shells are turned down', () => {
+    const replay = createReplay(playedGame());
+    assert.throws(() => validateReplay({ ...replay, version: 1 }), /before layers became shells/);
+    assert.throws(() => validateReplay({ ...replay, inputs: [[5, 'd'], [2, 'd']] }), /out of order/);
+});
+
+test('playback stops for the update once beforeStep returns false', () => {
+    const game = playedGame();
+    const player = new ReplayPlayer(createReplay(game), { topology });
+    player.update(0.5, () => player.game.stepCount < 10);
+    assert.equal(player.game.stepCount, 10);
+    player.update(0.5);
+    assert.equal(player.game.stepCount, 40);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findClearRings } from '../core/rings.js';
+import { topology, dropOn, gameWithTiles } from './helpers.js';
+
+const rings = findClearRings(topology);
+
+test('there are four latitude belts and six great circles of ten hexagons', () => {
+    assert.equal(rings.filter(ring => ring.kind === 'latitude').length, 4);
+    const circles = rings.filter(ring => ring.kind === 'greatCircle');
+    assert.equal(circles.length, 6);
+    for (const circle of circles) {
+        assert.equal(circle.faces.length, 10);
+        assert.ok(circle.faces.every(faceId => topology.faces[faceId].shape === 'hex'));
+    }
+});
+
+test('filling the last face of a ring clears that ring only', () => {
+    const [ring] = rings.filter(candidate => candidate.kind === 'greatCircle');
+    const [last, ...rest] = ring.faces;
+    const game = gameWithTiles(rest, { pieces: ['hex'], config: { clearRule: 'rings' } });
+    const cleared = [];
+    game.on('layersCleared', ({ layers }) => cleared.push(...layers));
+    dropOn(game, last);
+    assert.deepEqual(cleared.map(layer => [layer.ring.id, layer.shell]), [[ring.id, 1]]);
+    assert.equal(game.activeTiles.length, 0);
+});
+
+test('a garbage push leaves every ring a gap', () => {
+    // One open face per ring, everything else filled - a push with a single random gap
+    // would complete most of them
+    const open = new Set(rings.map(ring => ring.faces.find(faceId => faceId % 2 === ring.id % 2) ?? ring.faces[0]));
+    const filled = topology.faces.map(face => face.id).filter(faceId => !open.has(faceId));
+    for (let seed = 1; seed <= 5; seed++) {
+        const game = gameWithTiles(filled, { seed, config: { clearRule: 'rings', garbageInterval: 0.05, garbageGaps: 1 } });
+        for (let i = 0; i < 3; i++) game.step();
+        assert.equal(game.stats.garbageLayers, 1);
+        for (const ring of rings) {
+            const depth = Math.min(...ring.faces.map(faceId => (game.occupiedFaces.get(faceId) || []).length));
+            assert.equal(depth, 0, `ring ${ring.id} was completed by the push (seed ${seed})`);
+        }
+    }
+});
+
+test('the latitude belts circle whichever face the ball has on top', () => {
+    const belts = up => findClearRings(topology, up).filter(ring => ring.kind === 'latitude');
+    for (const face of topology.faces) {
+        const around = belts(face.normal);
+        assert.equal(around.length, 4);
+        // The first belt is the ring of faces touching the top one
+        assert.deepEqual(around[0].faces, [...face.neighbors].sort((a, b) => a - b));
+    }
+});
+
+test('the game finds its rings for the ball as it is turned now', () => {
+    const game = gameWithTiles([], { config: { clearRule: 'rings' } });
+    const before = game.rings;
+    assert.deepEqual(before, rings);
+    // Bring another face to the top: the belts move, the great circles don't
+    const face = topology.faces.find(candidate => candidate.normal[1] < -0.9);
+    game.snapToFace(face.id);
+    while (game.snap) game.step();
+    const after = game.rings;
+    assert.equal(after.length, before.length);
+    assert.deepEqual(after.filter(ring => ring.kind === 'greatCircle'), before.filter(ring => ring.kind === 'greatCircle'));
+    assert.notDeepEqual(after.filter(ring => ring.kind === 'latitude'), before.filter(ring => ring.kind === 'latitude'));
+    assert.deepEqual(after, findClearRings(topology, face.normal));
+});
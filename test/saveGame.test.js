@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpheretrisGame } from '../core/SpheretrisGame.js';
+import { serializeGame, restoreGame, validateSave, SAVE_VERSION } from '../core/saveGame.js';
+import { topology, playPieces } from './helpers.js';
+
+function playedGame(config = {}) {
+    const game = new SpheretrisGame({ topology, seed: 5, config });
+    game.spawn();
+    playPieces(game, 25);
+    return game;
+}
+
+test('a restored game has the same state as the saved one', () => {
+    const game = playedGame();
+    const restored = restoreGame(JSON.parse(JSON.stringify(serializeGame(game))), { topology });
+    assert.deepEqual(restored.getState(), game.getState());
+});
+
+test('a restored game carries on exactly like the original', () => {
+    const game = playedGame();
+    const restored = restoreGame(JSON.parse(JSON.stringify(serializeGame(game))), { topology });
+    playPieces(game, 20);
+    playPieces(restored, 20);
+    assert.deepEqual(restored.getState(), game.getState());
+});
+
+test('a save with a hole in a stack is turned down', () => {
+    const save = serializeGame(playedGame());
+    const tile = save.tiles.find(saved => saved.stackIndex === 0);
+    tile.stackIndex = 5;
+    assert.throws(() => validateSave(save, topology), /broken tile stack/);
+});
+
+test('saves from older versions are turned down', () => {
+    const save = serializeGame(playedGame());
+    assert.throws(() => validateSave({ ...save, version: SAVE_VERSION - 1 }, topology), /older version/);
+    assert.throws(() => restoreGame({ ...save, version: 2 }, { topology }), /older version/);
+});
+
+test('the ball orientation comes back bit for bit, so a resumed game still matches its replay', () => {
+    const game = new SpheretrisGame({ topology, seed: 9 });
+    game.spawn();
+    for (let i = 0; i < 40; i++) {
+        game.rotate([Math.sin(i), 1, Math.cos(i * 3)], 0.37 + i / 7);
+        game.step();
+        const restored = restoreGame(JSON.parse(JSON.stringify(serializeGame(game))), { topology });
+        assert.deepEqual(restored.ballQuaternion, game.ballQuaternion);
+    }
+});
+
+test('a save whose ball orientation is not a unit quaternion is turned down', () => {
+    const save = serializeGame(playedGame());
+    assert.throws(() => validateSave({ ...save, ballQuaternion: [0, 0, 0, 2] }, topology), /unit quaternion/);
+    assert.throws(() => validateSave({ ...save, ballQuaternion: [0, 0, 0, null] }, topology), /ball orientation/);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG } from '../core/SpheretrisGame.js';
+import { ScoreKeeper, SCORE_SOURCES } from '../core/scoring.js';
+
+const clear = (overrides = {}) => ({ layers: 1, tiles: 10, boardEmpty: false, level: 1, ...overrides });
+
+test('a single clear pays per tile and nothing else', () => {
+    const keeper = new ScoreKeeper(DEFAULT_CONFIG);
+    const result = keeper.scoreClear(clear());
+    assert.equal(result.points, 250);
+    assert.deepEqual(result.parts, { tiles: 250, multiLayer: 0, backToBack: 0, combo: 0, chain: 0, perfectSphere: 0, level: 0 });
+    assert.equal(result.combo, 1);
+});
+
+test('clears in a row build a combo that a quiet placement ends', () => {
+    const keeper = new ScoreKeeper(DEFAULT_CONFIG);
+    keeper.scoreClear(clear());
+    assert.equal(keeper.scoreClear(clear()).parts.combo, 50);
+    assert.equal(keeper.scoreClear(clear()).parts.combo, 100);
+    keeper.breakCombo();
+    const after = keeper.scoreClear(clear());
+    assert.equal(after.combo, 1);
+    assert.equal(after.parts.combo, 0);
+    assert.equal(keeper.maxCombo, 3);
+});
+
+test('a multi-layer clear straight after another one scores back-to-back', () => {
+    const keeper = new ScoreKeeper(DEFAULT_CONFIG);
+    const first = keeper.scoreClear(clear({ layers: 2, tiles: 20 }));
+    assert.equal(first.parts.multiLayer, 200);
+    assert.equal(first.backToBack, false);
+    keeper.breakCombo();
+    const second = keeper.scoreClear(clear({ layers: 2, tiles: 20 }));
+    assert.equal(second.backToBack, true);
+    assert.equal(second.parts.backToBack, 350); // Half of 500 tiles + 200 multi-layer
+    keeper.breakCombo();
+    keeper.scoreClear(clear());
+    keeper.breakCombo();
+    assert.equal(keeper.scoreClear(clear({ layers: 2, tiles: 20 })).backToBack, false, 'a single clear breaks the streak');
+});
+
+test('emptying the ball pays the perfect sphere bonus', () => {
+    const result = new ScoreKeeper(DEFAULT_CONFIG).scoreClear(clear({ boardEmpty: true }));
+    assert.equal(result.perfectSphere, true);
+    assert.equal(result.parts.perfectSphere, 2000);
+    assert.equal(result.points, 2250);
+});
+
+test('higher levels multiply everything a clear earns', () => {
+    const result = new ScoreKeeper(DEFAULT_CONFIG).scoreClear(clear({ level: 3, boardEmpty: true }));
+    assert.equal(result.levelMultiplier, 1.2);
+    assert.equal(result.parts.level, 450);
+    assert.equal(result.points, 2700);
+});
+
+test('chain steps double their bonus and leave the combo alone', () => {
+    const keeper = new ScoreKeeper(DEFAULT_CONFIG);
+    keeper.scoreClear(clear());
+    assert.equal(keeper.scoreClear(clear({ chain: 2 })).parts.chain, 100);
+    const third = keeper.scoreClear(clear({ chain: 3 }));
+    assert.equal(third.parts.chain, 200);
+    assert.equal(third.parts.combo, 0);
+    assert.equal(keeper.combo, 1);
+});
+
+test('the breakdown adds up every source the score came from', () => {
+    const keeper = new ScoreKeeper(DEFAULT_CONFIG);
+    const points = keeper.scoreClear(clear({ layers: 2, tiles: 20, level: 2 })).points;
+    keeper.record('softDrop', 12);
+    keeper.record('penalty', -15);
+    assert.deepEqual(Object.keys(keeper.breakdown), Object.keys(SCORE_SOURCES));
+    assert.equal(keeper.breakdown.softDrop, 12);
+    assert.equal(keeper.breakdown.penalty, -15);
+    const total = Object.values(keeper.breakdown).reduce((sum, value) => sum + value, 0);
+    assert.equal(total, points + 12 - 15);
+});
+
+test('recording an unknown source is an error', () => {
+    assert.throws(() => new ScoreKeeper(DEFAULT_CONFIG).record('bonus', 10), /Unknown score source "bonus"/);
+});
+
+test('a keeper picks up where a saved one left off', () => {
+    const keeper = new ScoreKeeper(DEFAULT_CONFIG);
+    keeper.scoreClear(clear({ layers: 2, tiles: 20 }));
+    keeper.scoreClear(clear({ layers: 2, tiles: 20 }));
+    const restored = new ScoreKeeper(DEFAULT_CONFIG);
+    restored.setState(JSON.parse(JSON.stringify(keeper.getState())));
+    assert.deepEqual(restored.scoreClear(clear({ layers: 2, tiles: 20 })), keeper.scoreClear(clear({ layers: 2, tiles: 20 })));
+    assert.deepEqual(restored.getState(), keeper.getState());
+});
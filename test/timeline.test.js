@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timeline, EASINGS } from '../core/timeline.js';
+
+test('a tween waits out its delay, then eases from 0 to 1 and completes', () => {
+    const timeline = new Timeline();
+    const values = [];
+    let completed = false;
+    timeline.add({ duration: 1, delay: 0.5, ease: 'easeInCubic', onUpdate: value => values.push(value), onComplete: () => { completed = true; } });
+    timeline.update(0.25);
+    assert.deepEqual(values, []);
+    timeline.update(0.75);
+    assert.deepEqual(values, [EASINGS.easeInCubic(0.5)]);
+    timeline.update(1);
+    assert.deepEqual(values, [EASINGS.easeInCubic(0.5), 1]);
+    assert.ok(completed);
+    assert.equal(timeline.tweens.length, 0);
+    assert.throws(() => timeline.add({ duration: 1, ease: 'bouncy' }), /Unknown easing "bouncy"/);
+});
+
+test('queued steps play one after another, and detached tweens hold nothing up', () => {
+    const timeline = new Timeline();
+    const started = [];
+    timeline.queue('board', () => {
+        started.push('clear');
+        timeline.add({ duration: 1 });
+        timeline.add({ duration: 5, detached: true });
+    });
+    timeline.queue('board', () => started.push('empty'));
+    timeline.queue('board', () => {
+        started.push('settle');
+        timeline.add({ duration: 1 });
+    });
+    assert.deepEqual(started, ['clear']);
+    timeline.update(1);
+    assert.deepEqual(started, ['clear', 'empty', 'settle']);
+    assert.ok(timeline.isBusy('board'));
+    timeline.update(1);
+    assert.equal(timeline.isBusy('board'), false);
+});
+
+test('finish completes what is running, drops what waits and ends when callbacks keep adding tweens', () => {
+    const timeline = new Timeline();
+    let completed = 0;
+    const again = () => {
+        completed++;
+        timeline.add({ duration: 1, onComplete: again });
+    };
+    timeline.queue('board', () => timeline.add({ duration: 1, onComplete: again }));
+    timeline.queue('board', () => assert.fail('a waiting step should be dropped'));
+    timeline.finish();
+    assert.ok(completed > 1);
+    assert.equal(timeline.tweens.length, 0);
+    assert.equal(timeline.isBusy('board'), false);
+});
+
+test('a callback that finishes the timeline leaves the tweens added after it alone', () => {
+    const timeline = new Timeline();
+    let fresh = null;
+    let completions = 0;
+    timeline.add({ duration: 1, onComplete: () => {
+        timeline.finish();
+        fresh = timeline.add({ duration: 1 });
+    } });
+    timeline.add({ duration: 2, onComplete: () => completions++ });
+    timeline.update(1);
+    assert.equal(completions, 1);
+    assert.deepEqual(timeline.tweens, [fresh]);
+});
+
+test('a step that starts another track still waits for its own tweens', () => {
+    const timeline = new Timeline();
+    const started = [];
+    timeline.queue('board', () => {
+        timeline.queue('camera', () => timeline.add({ duration: 2 }));
+        timeline.add({ duration: 1 });
+    });
+    timeline.queue('board', () => started.push('next'));
+    timeline.update(0.5);
+    assert.deepEqual(started, []);
+    timeline.update(0.5);
+    assert.deepEqual(started, ['next']);
+    assert.ok(timeline.isBusy('camera'));
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSoccerBallTopology, faceAlongDirection } from '../core/topology.js';
+
+const topology = createSoccerBallTopology();
+
+test('the ball has 12 pentagons and 20 hexagons', () => {
+    assert.equal(topology.faces.length, 32);
+    assert.equal(topology.faces.filter(face => face.shape === 'pent').length, 12);
+    assert.equal(topology.faces.filter(face => face.shape === 'hex').length, 20);
+});
+
+test('every face has one neighbour per side, and neighbours are mutual', () => {
+    for (const face of topology.faces) {
+        assert.equal(face.neighbors.length, face.shape === 'hex' ? 6 : 5);
+        assert.equal(face.ring.length, face.neighbors.length);
+        for (const neighborId of face.neighbors) assert.ok(topology.faces[neighborId].neighbors.includes(face.id));
+    }
+});
+
+test('pentagons only touch hexagons', () => {
+    for (const face of topology.faces.filter(face => face.shape === 'pent')) {
+        assert.ok(face.neighbors.every(neighborId => topology.faces[neighborId].shape === 'hex'));
+    }
+});
+
+test('a face is found along its own normal', () => {
+    for (const face of topology.faces) assert.equal(faceAlongDirection(topology, face.normal).face.id, face.id);
+});
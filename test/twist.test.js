@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReplay, ReplayPlayer } from '../core/replay.js';
+import { topology, gameWithTiles, stepUntilPiece, dropOn } from './helpers.js';
+
+// The faces an H-H-H piece dropped on faceId would cover after twisting it `turns` times
+function coveredFaces(faceId, turns) {
+    const game = gameWithTiles([], { pieces: ['HHH'] });
+    stepUntilPiece(game);
+    game.snapToFace(faceId);
+    while (game.snap) game.step();
+    for (let i = 0; i < turns; i++) game.twist(1);
+    return game.getLandingTarget().cells.map(cell => cell.faceId);
+}
+
+test('a twist wraps around the anchor sides of a hexagon and a pentagon', () => {
+    for (const [shape, sides] of [['hex', 6], ['pent', 5]]) {
+        const game = gameWithTiles([], { pieces: [shape] });
+        stepUntilPiece(game);
+        game.twist(-1);
+        assert.equal(game.current.twist, sides - 1);
+        for (let i = 0; i < sides; i++) game.twist(1);
+        assert.equal(game.current.twist, sides - 1, `${shape} comes back round after ${sides} turns`);
+    }
+});
+
+test('a twist needs a direction and a game still running', () => {
+    const game = gameWithTiles([], { pieces: ['hex'] });
+    stepUntilPiece(game);
+    assert.equal(game.twist(0), false);
+    game.endGame();
+    assert.equal(game.twist(1), false);
+    assert.equal(game.inputLog.some(([, type]) => type === 't'), false);
+});
+
+test('a twisted tile lands turned the same way', () => {
+    const faceId = topology.faces.find(face => face.shape === 'hex').id;
+    const rotations = [0, 1].map(turns => {
+        const game = gameWithTiles([], { pieces: ['hex'] });
+        stepUntilPiece(game);
+        for (let i = 0; i < turns; i++) game.twist(1);
+        dropOn(game, faceId);
+        game.step();
+        return game.occupiedFaces.get(faceId)[0].rotation;
+    });
+    assert.notEqual(rotations[0], rotations[1]);
+});
+
+test('twisting a compound piece swings its arms onto other faces', () => {
+    const faceId = topology.faces.find(face => face.shape === 'hex').id;
+    const straight = coveredFaces(faceId, 0);
+    const twisted = coveredFaces(faceId, 1);
+    assert.equal(twisted[0], straight[0], 'the anchor stays put');
+    assert.notDeepEqual(twisted.slice(1).sort(), straight.slice(1).sort());
+    assert.deepEqual(coveredFaces(faceId, 6), straight);
+});
+
+test('twists are logged and replay to the same board', () => {
+    const game = gameWithTiles([], { pieces: ['HHH', 'hex'] });
+    for (const faceId of [4, 5, 6, 20]) {
+        stepUntilPiece(game);
+        game.twist(faceId % 2 === 0 ? 1 : -1);
+        dropOn(game, faceId);
+    }
+    for (let i = 0; i < 60; i++) game.step();
+    assert.ok(game.inputLog.some(([, type]) => type === 't'));
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(createReplay(game))), { topology });
+    player.seek(game.stepCount);
+    assert.deepEqual(player.game.getState(), game.getState());
+});